@@ -0,0 +1,365 @@
+// controllers/bankStatementController.js
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import BankStatementImport from '../models/BankStatementImport.js';
+import BankTransaction from '../models/BankTransaction.js';
+import { planOldestFirst, applyPaymentPlan } from '../utils/payments.js';
+import {
+    BANK_STATEMENT_FORMATS,
+    parseBankStatement,
+    fingerprintBankRows,
+    loadMatchContext,
+    matchBankCredit,
+} from '../utils/bankStatements.js';
+
+const MAPPING_KEYS = ['date', 'narration', 'reference', 'credit', 'debit', 'amount', 'type'];
+const REVIEWABLE_STATUSES = ['unmatched', 'suggested'];
+
+// @desc    Column mappings available for bank statement uploads
+// @route   GET /api/bank-statements/formats
+// @access  Private/Admin
+export const getBankStatementFormats = async (req, res) => {
+    return res.json(BANK_STATEMENT_FORMATS);
+};
+
+// @desc    Upload a bank statement CSV (raw text/csv body). Credits are queued for review with a
+//          suggested customer/invoice; debits are skipped. Columns come from ?format= and can be
+//          overridden with ?mapping={"date":"...","narration":"...","credit":"..."}.
+// @route   POST /api/bank-statements/import?format=&mapping=&fileName=
+// @access  Private/Admin
+export const importBankStatement = async (req, res) => {
+    try {
+        const { format = 'generic', fileName } = req.query;
+
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({ message: 'Send the statement as a text/csv request body' });
+        }
+
+        if (!BANK_STATEMENT_FORMATS[format]) {
+            return res.status(400).json({ message: `Unknown bank format. Use one of: ${Object.keys(BANK_STATEMENT_FORMATS).join(', ')}` });
+        }
+
+        let overrides = {};
+        if (req.query.mapping) {
+            try {
+                overrides = JSON.parse(req.query.mapping);
+            } catch (error) {
+                return res.status(400).json({ message: 'mapping must be a JSON object' });
+            }
+            if (!overrides || typeof overrides !== 'object' || Object.keys(overrides).some(key => !MAPPING_KEYS.includes(key))) {
+                return res.status(400).json({ message: `mapping keys must be among: ${MAPPING_KEYS.join(', ')}` });
+            }
+        }
+
+        const mapping = { ...BANK_STATEMENT_FORMATS[format], ...overrides };
+
+        let parsed;
+        try {
+            parsed = parseBankStatement(req.body, mapping);
+        } catch (error) {
+            return res.status(400).json({ message: error.message });
+        }
+
+        const statementImport = new BankStatementImport({
+            fileName,
+            bankFormat: req.query.mapping ? 'custom' : format,
+            columnMapping: mapping,
+            importedBy: req.admin._id,
+            rowErrors: parsed.errors,
+        });
+        statementImport.counts.rows = parsed.rows.length + parsed.errors.length;
+        statementImport.counts.invalid = parsed.errors.length;
+
+        const credits = parsed.rows.filter(row => row.credit > 0);
+        statementImport.counts.credits = credits.length;
+        statementImport.counts.debits = parsed.rows.length - credits.length;
+
+        const fingerprints = fingerprintBankRows(credits);
+        const withFingerprints = credits.map((row, index) => ({ row, fingerprint: fingerprints[index] }));
+        const seen = new Set(
+            (await BankTransaction.find({ fingerprint: { $in: withFingerprints.map(c => c.fingerprint) } })
+                .select('fingerprint')
+                .lean()).map(t => t.fingerprint)
+        );
+
+        const context = await loadMatchContext();
+        const transactions = [];
+
+        for (const { row, fingerprint } of withFingerprints) {
+            // Already imported from an earlier, overlapping statement
+            if (seen.has(fingerprint)) {
+                statementImport.counts.duplicates += 1;
+                continue;
+            }
+            seen.add(fingerprint);
+
+            const { match, candidates } = matchBankCredit(row, context);
+            transactions.push({
+                import: statementImport._id,
+                transactionDate: row.transactionDate,
+                narration: row.narration,
+                reference: row.reference || undefined,
+                amount: row.credit,
+                payerVpa: row.payerVpa,
+                fingerprint,
+                status: match ? 'suggested' : 'unmatched',
+                match: match || undefined,
+                candidates,
+            });
+
+            statementImport.counts[match ? 'suggested' : 'unmatched'] += 1;
+        }
+
+        await statementImport.save();
+        const created = await BankTransaction.insertMany(transactions);
+
+        return res.status(201).json({
+            import: statementImport,
+            transactions: created,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    List statement uploads, newest first
+// @route   GET /api/bank-statements/imports
+// @access  Private/Admin
+export const getBankStatementImports = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const count = await BankStatementImport.countDocuments();
+
+        const imports = await BankStatementImport.find()
+            .select('-rowErrors')
+            .populate('importedBy', 'username')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            imports,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Review queue of imported credits; defaults to everything still waiting for a decision
+// @route   GET /api/bank-statements/transactions?status=&import=&page=&limit=
+// @access  Private/Admin
+export const getBankTransactions = async (req, res) => {
+    try {
+        const { status, import: importId, page = 1, limit = 50 } = req.query;
+
+        const query = { status: status ? { $in: status.split(',') } : { $in: REVIEWABLE_STATUSES } };
+        if (importId) query.import = importId;
+
+        const count = await BankTransaction.countDocuments(query);
+
+        const transactions = await BankTransaction.find(query)
+            .populate('match.customer', 'name customerNo phoneNo')
+            .populate('match.invoice', 'invoiceNumber dueAmount status')
+            .populate('candidates.customer', 'name customerNo phoneNo')
+            .populate('candidates.invoice', 'invoiceNumber dueAmount status')
+            .sort({ transactionDate: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            transactions,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// Check a reviewer's choice of customer and optional invoice; returns an error message or the documents
+const resolveMatchTarget = async (customerId, invoiceId) => {
+    const customer = await Customer.findById(customerId);
+    if (!customer) {
+        return { error: 'Customer not found', status: 404 };
+    }
+
+    if (!invoiceId) {
+        return { customer };
+    }
+
+    const invoice = await Invoice.findOne({ _id: invoiceId, customer: customer._id });
+    if (!invoice) {
+        return { error: 'Invoice not found for this customer', status: 404 };
+    }
+
+    if (invoice.status === 'void' || !(invoice.dueAmount > 0)) {
+        return { error: `Invoice ${invoice.invoiceNumber} has nothing due`, status: 400 };
+    }
+
+    return { customer, invoice };
+};
+
+// @desc    Reassign a queued credit to another customer and/or invoice without booking it yet
+// @route   PUT /api/bank-statements/transactions/:id/match
+// @access  Private/Admin
+export const reassignBankTransaction = async (req, res) => {
+    try {
+        const { customerId, invoiceId } = req.body;
+
+        if (!customerId) {
+            return res.status(400).json({ message: 'customerId is required' });
+        }
+
+        const transaction = await BankTransaction.findById(req.params.id);
+        if (!transaction) {
+            return res.status(404).json({ message: 'Bank transaction not found' });
+        }
+
+        if (!REVIEWABLE_STATUSES.includes(transaction.status)) {
+            return res.status(400).json({ message: `Transaction is already ${transaction.status}` });
+        }
+
+        const target = await resolveMatchTarget(customerId, invoiceId);
+        if (target.error) {
+            return res.status(target.status).json({ message: target.error });
+        }
+
+        transaction.match = {
+            customer: target.customer._id,
+            invoice: target.invoice?._id,
+            method: 'manual',
+            confidence: 'high',
+        };
+        transaction.status = 'suggested';
+        await transaction.save();
+
+        return res.json(transaction);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Confirm a queued credit and book it as an online payment: on the matched invoice,
+//          or across the customer's open invoices oldest first, with any remainder to advance.
+//          customerId/invoiceId in the body confirm a different match in one step.
+// @route   POST /api/bank-statements/transactions/:id/confirm
+// @access  Private/Admin
+export const confirmBankTransaction = async (req, res) => {
+    try {
+        const existing = await BankTransaction.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({ message: 'Bank transaction not found' });
+        }
+
+        const customerId = req.body.customerId || existing.match?.customer;
+        const invoiceId = req.body.customerId ? req.body.invoiceId : (req.body.invoiceId || existing.match?.invoice);
+
+        if (!customerId) {
+            return res.status(400).json({ message: 'No customer matched; pass customerId to assign one' });
+        }
+
+        const target = await resolveMatchTarget(customerId, invoiceId);
+        if (target.error) {
+            return res.status(target.status).json({ message: target.error });
+        }
+
+        // Claim the transaction first so two reviewers cannot book the same credit
+        const transaction = await BankTransaction.findOneAndUpdate(
+            { _id: existing._id, status: { $in: REVIEWABLE_STATUSES } },
+            {
+                $set: {
+                    status: 'confirmed',
+                    reviewedBy: req.admin._id,
+                    reviewedAt: new Date(),
+                    ...(req.body.customerId || req.body.invoiceId
+                        ? { match: { customer: target.customer._id, invoice: target.invoice?._id, method: 'manual', confidence: 'high' } }
+                        : {}),
+                },
+            },
+            { new: true }
+        );
+
+        if (!transaction) {
+            return res.status(400).json({ message: `Transaction is already ${existing.status}` });
+        }
+
+        let result;
+        try {
+            const plan = target.invoice
+                ? [{ invoice: target.invoice, amount: Math.min(transaction.amount, target.invoice.dueAmount) }]
+                : await planOldestFirst(target.customer._id, transaction.amount);
+
+            result = await applyPaymentPlan(target.customer, plan, transaction.amount, {
+                paymentMethod: 'online',
+                transactionId: transaction.reference,
+                notes: `Bank credit ${transaction.transactionDate.toLocaleDateString('en-IN')}: ${transaction.narration || ''}`.trim(),
+                paymentDate: transaction.transactionDate,
+            });
+        } catch (error) {
+            // Part of the credit may already be booked, so it is not put back in the queue;
+            // the error stays on the transaction for someone to check against the ledger
+            transaction.bookingError = error.message;
+            await transaction.save();
+            throw error;
+        }
+
+        transaction.payment = {
+            transactionId: result.transactionId,
+            receiptNumber: result.receiptNumber,
+            allocations: result.allocations.map(a => ({ invoice: a.invoiceId, invoiceNumber: a.invoiceNumber, amount: a.amount })),
+            advanceAmount: result.advanceAmount,
+        };
+        await transaction.save();
+
+        // Remember the payer's UPI ID so their next credit matches on its own
+        if (transaction.payerVpa) {
+            await Customer.updateOne({ _id: target.customer._id }, { $addToSet: { upiIds: transaction.payerVpa } });
+        }
+
+        return res.json({
+            transaction,
+            ...result,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Take a credit out of the review queue without booking it (not a customer payment)
+// @route   POST /api/bank-statements/transactions/:id/ignore
+// @access  Private/Admin
+export const ignoreBankTransaction = async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').toString().trim();
+
+        const transaction = await BankTransaction.findOneAndUpdate(
+            { _id: req.params.id, status: { $in: REVIEWABLE_STATUSES } },
+            {
+                $set: {
+                    status: 'ignored',
+                    ...(reason ? { ignoreReason: reason } : {}),
+                    reviewedBy: req.admin._id,
+                    reviewedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+
+        if (!transaction) {
+            const existing = await BankTransaction.findById(req.params.id).select('status');
+            if (!existing) {
+                return res.status(404).json({ message: 'Bank transaction not found' });
+            }
+            return res.status(400).json({ message: `Transaction is already ${existing.status}` });
+        }
+
+        return res.json(transaction);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
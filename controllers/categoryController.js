@@ -35,7 +35,7 @@ const getCategoryById = async (req, res) => {
 // @access  Private/Admin
 const createCategory = async (req, res) => {
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, hsnCode, taxRate } = req.body;
 
     // Check if category already exists
     const categoryExists = await Category.findOne({ name });
@@ -48,6 +48,8 @@ const createCategory = async (req, res) => {
       name,
       description,
       isActive,
+      hsnCode,
+      taxRate,
     });
 
     if (category) {
@@ -65,7 +67,7 @@ const createCategory = async (req, res) => {
 // @access  Private/Admin
 const updateCategory = async (req, res) => {
   try {
-    const { name, description, isActive } = req.body;
+    const { name, description, isActive, hsnCode, taxRate } = req.body;
 
     const category = await Category.findById(req.params.id);
 
@@ -84,6 +86,8 @@ const updateCategory = async (req, res) => {
       category.description =
         description !== undefined ? description : category.description;
       category.isActive = isActive !== undefined ? isActive : category.isActive;
+      category.hsnCode = hsnCode !== undefined ? hsnCode : category.hsnCode;
+      category.taxRate = taxRate !== undefined ? taxRate : category.taxRate;
 
       const updatedCategory = await category.save();
       res.json(updatedCategory);
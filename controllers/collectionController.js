@@ -0,0 +1,283 @@
+// controllers/collectionController.js
+import mongoose from 'mongoose';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import SystemConfig from '../models/SystemConfig.js';
+import CollectionSession from '../models/CollectionSession.js';
+import { planOldestFirst, applyPaymentPlan } from '../utils/payments.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// @desc    Open a cash collection session for a milkman's round
+// @route   POST /api/collections/sessions
+// @access  Private/Admin
+export const openCollectionSession = async (req, res) => {
+    try {
+        const { milkmanId } = req.body;
+
+        if (!milkmanId || !mongoose.Types.ObjectId.isValid(milkmanId)) {
+            return res.status(400).json({ message: 'Valid milkmanId is required' });
+        }
+
+        const config = await SystemConfig.findOne();
+        const milkman = config?.milkmen.id(milkmanId);
+        if (!milkman) {
+            return res.status(404).json({ message: 'Milkman not found' });
+        }
+
+        const openSession = await CollectionSession.findOne({ milkman: milkman._id, status: 'open' });
+        if (openSession) {
+            return res.status(400).json({
+                message: `${milkman.name} already has an open session; close it first`,
+                sessionId: openSession._id,
+            });
+        }
+
+        const session = await CollectionSession.create({
+            milkman: milkman._id,
+            milkmanName: milkman.name,
+            openedBy: req.admin._id,
+        });
+
+        return res.status(201).json(session);
+    } catch (error) {
+        // Lost a race with another request opening the same milkman's session
+        if (error.code === 11000) {
+            return res.status(400).json({ message: 'This milkman already has an open session' });
+        }
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    List collection sessions, newest first
+// @route   GET /api/collections/sessions?milkman=&status=&from=&to=&page=&limit=
+// @access  Private/Admin
+export const getCollectionSessions = async (req, res) => {
+    try {
+        const { milkman, status, from, to, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (milkman) query.milkman = milkman;
+        if (status) query.status = status;
+        if (from || to) {
+            query.openedAt = {};
+            if (from) query.openedAt.$gte = new Date(from);
+            if (to) query.openedAt.$lte = new Date(new Date(to).setHours(23, 59, 59, 999));
+        }
+
+        const count = await CollectionSession.countDocuments(query);
+
+        const sessions = await CollectionSession.find(query)
+            .select('-receipts')
+            .sort({ openedAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            sessions,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get a collection session with its receipts
+// @route   GET /api/collections/sessions/:id
+// @access  Private/Admin
+export const getCollectionSessionById = async (req, res) => {
+    try {
+        const session = await CollectionSession.findById(req.params.id)
+            .populate('receipts.customer', 'name customerNo phoneNo area')
+            .populate('openedBy closedBy handover.reconciledBy', 'username');
+
+        if (!session) {
+            return res.status(404).json({ message: 'Collection session not found' });
+        }
+
+        return res.json(session);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Record cash taken from a customer on the round. It is booked straight away as a cash
+//          payment on the given invoice, or on the customer's open invoices oldest first, with
+//          any remainder to advance.
+// @route   POST /api/collections/sessions/:id/receipts
+// @access  Private/Admin
+export const addCollectionReceipt = async (req, res) => {
+    try {
+        const { customerId, invoiceId, notes } = req.body;
+        const amount = roundAmount(parseFloat(req.body.amount));
+
+        if (!amount || amount <= 0) {
+            return res.status(400).json({ message: 'Valid payment amount is required' });
+        }
+
+        const session = await CollectionSession.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ message: 'Collection session not found' });
+        }
+
+        if (session.status !== 'open') {
+            return res.status(400).json({ message: 'Receipts can only be added to an open session' });
+        }
+
+        const customer = await Customer.findById(customerId);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        let plan;
+        if (invoiceId) {
+            const invoice = await Invoice.findOne({ _id: invoiceId, customer: customer._id });
+            if (!invoice) {
+                return res.status(404).json({ message: 'Invoice not found for this customer' });
+            }
+            if (invoice.status === 'void') {
+                return res.status(400).json({ message: 'Cannot add payment to a voided invoice' });
+            }
+            plan = invoice.dueAmount > 0 ? [{ invoice, amount: Math.min(amount, invoice.dueAmount) }] : [];
+        } else {
+            plan = await planOldestFirst(customer._id, amount);
+        }
+
+        // Take the receipt into the session first, so a session closed meanwhile gets no booking
+        const collectedAt = new Date();
+        const receiptId = new mongoose.Types.ObjectId();
+        const claimed = await CollectionSession.findOneAndUpdate(
+            { _id: session._id, status: 'open' },
+            {
+                $push: {
+                    receipts: {
+                        _id: receiptId,
+                        customer: customer._id,
+                        customerName: customer.name,
+                        amount,
+                        collectedAt,
+                        notes,
+                    },
+                },
+                $inc: { totalCollected: amount },
+            }
+        );
+        if (!claimed) {
+            return res.status(400).json({ message: 'Receipts can only be added to an open session' });
+        }
+
+        let result;
+        try {
+            result = await applyPaymentPlan(customer, plan, amount, {
+                paymentMethod: 'cash',
+                notes: notes || `Collected by ${session.milkmanName}`,
+                paymentDate: collectedAt,
+                collectedBy: session.milkman,
+                collectionSession: session._id,
+            });
+        } catch (error) {
+            // Nothing was booked, so the receipt comes out of the session again
+            await CollectionSession.updateOne(
+                { _id: session._id },
+                { $pull: { receipts: { _id: receiptId } }, $inc: { totalCollected: -amount } }
+            );
+            throw error;
+        }
+
+        const updatedSession = await CollectionSession.findOneAndUpdate(
+            { _id: session._id, 'receipts._id': receiptId },
+            {
+                $set: {
+                    'receipts.$.transactionId': result.transactionId,
+                    'receipts.$.receiptNumber': result.receiptNumber,
+                    'receipts.$.allocations': result.allocations.map(a => ({ invoice: a.invoiceId, invoiceNumber: a.invoiceNumber, amount: a.amount })),
+                    'receipts.$.advanceAmount': result.advanceAmount,
+                },
+            },
+            { new: true }
+        );
+
+        return res.status(201).json({
+            receipt: updatedSession.receipts.id(receiptId),
+            totalCollected: updatedSession.totalCollected,
+            allocations: result.allocations,
+            advanceAmount: result.advanceAmount,
+            customerAdvance: result.customerAdvance,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Close a session when the milkman is back; no more receipts can be added
+// @route   POST /api/collections/sessions/:id/close
+// @access  Private/Admin
+export const closeCollectionSession = async (req, res) => {
+    try {
+        const session = await CollectionSession.findOneAndUpdate(
+            { _id: req.params.id, status: 'open' },
+            { $set: { status: 'closed', closedAt: new Date(), closedBy: req.admin._id } },
+            { new: true }
+        );
+
+        if (!session) {
+            const existing = await CollectionSession.findById(req.params.id).select('status');
+            if (!existing) {
+                return res.status(404).json({ message: 'Collection session not found' });
+            }
+            return res.status(400).json({ message: `Session is already ${existing.status}` });
+        }
+
+        return res.json(session);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Reconcile a closed session against the cash the milkman handed over
+// @route   POST /api/collections/sessions/:id/reconcile
+// @access  Private/Admin
+export const reconcileCollectionSession = async (req, res) => {
+    try {
+        const amountReceived = parseFloat(req.body.amountReceived);
+        const notes = (req.body.notes || '').toString().trim();
+
+        if (isNaN(amountReceived) || amountReceived < 0) {
+            return res.status(400).json({ message: 'Valid amountReceived is required' });
+        }
+
+        const session = await CollectionSession.findById(req.params.id);
+        if (!session) {
+            return res.status(404).json({ message: 'Collection session not found' });
+        }
+
+        if (session.status !== 'closed') {
+            return res.status(400).json({
+                message: session.status === 'open'
+                    ? 'Close the session before reconciling it'
+                    : 'Session is already reconciled'
+            });
+        }
+
+        const shortfall = roundAmount(session.totalCollected - amountReceived);
+        if (shortfall !== 0 && !notes) {
+            return res.status(400).json({ message: 'A note is required when the cash handed over does not match' });
+        }
+
+        session.handover = {
+            amountReceived: roundAmount(amountReceived),
+            shortfall,
+            notes: notes || undefined,
+            reconciledBy: req.admin._id,
+            reconciledAt: new Date(),
+        };
+        session.status = 'reconciled';
+        await session.save();
+
+        return res.json(session);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
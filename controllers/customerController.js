@@ -2,6 +2,12 @@ import Customer from "../models/Customer.js";
 import Invoice from "../models/Invoice.js";
 import Record from "../models/Record.js";
 import Holiday from "../models/Holiday.js";
+import { recordAdvanceChange, getLedgerBalances, getLedgerStatement } from "../utils/ledger.js";
+import { generateReceiptNumber } from "../utils/payments.js";
+import { createPriceResolver, buildRecordSchedule } from "../utils/pricing.js";
+import { loadPricingRules } from "../utils/pricingRules.js";
+import { validateRecurrence, isOffDay } from "../utils/recurrence.js";
+import { previewDeliveries } from "../utils/dailyRecords.js";
 
 import generateToken from "../utils/generateToken.js";
 
@@ -38,6 +44,8 @@ const getCustomers = tryCatch(async (req, res) => {
       : undefined;
   const milkType = req.query.milkType || undefined;
   const subcategory = req.query.subcategory || undefined;
+  const area = req.query.area || undefined;
+  const milkman = req.query.milkman || undefined;
 
   // Prepare conditions object - starts empty to get all data by default
   const conditions = {};
@@ -69,6 +77,14 @@ const getCustomers = tryCatch(async (req, res) => {
     conditions['deliverySchedule.milkItems.subcategory'] = subcategory;
   }
 
+  if (area) {
+    conditions.area = area;
+  }
+
+  if (milkman) {
+    conditions.milkman = milkman;
+  }
+
   // Prepare sort object
   const sort = {};
   sort[sortField] = sortOrder === "asc" ? 1 : -1;
@@ -148,6 +164,19 @@ function calculateMilkItemTotals(deliverySchedule) {
     }
   });
 }
+
+// First invalid item recurrence in a submitted schedule, as an error message
+function findRecurrenceError(deliverySchedule) {
+  if (!Array.isArray(deliverySchedule)) return null;
+  for (const delivery of deliverySchedule) {
+    for (const item of delivery.milkItems || []) {
+      const error = validateRecurrence(item.recurrence);
+      if (error) return `${delivery.time}: ${error}`;
+    }
+  }
+  return null;
+}
+
 const checkIfHoliday = async (date) => {
   try {
     const checkDate = new Date(date);
@@ -222,6 +251,8 @@ const createHistoricalRecords = async (customer, joinedDate) => {
 
     // Create records for each day from joined date to yesterday
     const createdRecords = [];
+    const resolvePrice = await createPriceResolver();
+    const pricingRules = await loadPricingRules({ from: startDate, to: yesterday });
     let currentDate = new Date(startDate);
 
     while (currentDate <= yesterday) {
@@ -234,43 +265,20 @@ const createHistoricalRecords = async (customer, joinedDate) => {
       // Check if this date is a holiday
       const isHoliday = await checkIfHoliday(currentDate);
 
-      // If no record exists and it's not a holiday, create a new record
-      if (!existingRecord && !isHoliday) {
-        // Prepare new deliverySchedule for the record
-        const recordDeliverySchedule = [];
-        let totalDailyQuantity = 0;
-        let totalDailyPrice = 0;
-
-        for (const delivery of customer.deliverySchedule) {
-          const recordMilkItems = [];
-          let deliveryTotalQuantity = 0;
-          let deliveryTotalPrice = 0;
-
-          for (const milkItem of delivery.milkItems) {
-            const quantity = milkItem.quantity;
-            const pricePerUnit = milkItem.pricePerUnit;
-            const totalPrice = quantity * pricePerUnit;
-
-            recordMilkItems.push({
-              milkType: milkItem.milkType,
-              subcategory: milkItem.subcategory,
-              quantity,
-              pricePerUnit,
-              totalPrice
-            });
-            deliveryTotalQuantity += quantity;
-            deliveryTotalPrice += totalPrice;
-          }
-
-          recordDeliverySchedule.push({
-            time: delivery.time,
-            milkItems: recordMilkItems,
-            totalQuantity: deliveryTotalQuantity,
-            totalPrice: deliveryTotalPrice
-          });
-          totalDailyQuantity += deliveryTotalQuantity;
-          totalDailyPrice += deliveryTotalPrice;
-        }
+      // Prepare new deliverySchedule for the record, priced for that day
+      const schedule = !existingRecord && !isHoliday
+        ? buildRecordSchedule(customer, currentDate, resolvePrice, [], pricingRules)
+        : null;
+
+      // If no record exists, it's not a holiday and something is due that day, create a new record
+      if (schedule && !isOffDay(customer, schedule)) {
+        const {
+          deliverySchedule: recordDeliverySchedule,
+          totalDailyQuantity,
+          discounts,
+          totalDailyDiscount,
+          totalDailyPrice
+        } = schedule;
 
         // Create the record
         const record = await Record.create({
@@ -278,6 +286,8 @@ const createHistoricalRecords = async (customer, joinedDate) => {
           date: new Date(currentDate),
           deliverySchedule: recordDeliverySchedule,
           totalDailyQuantity,
+          discounts,
+          totalDailyDiscount,
           totalDailyPrice
         });
 
@@ -306,6 +316,15 @@ const createCustomer = tryCatch(async (req, res) => {
     name,
     phoneNo,
     address,
+    area,
+    milkman,
+    routeOrder,
+    invoiceTemplate,
+    invoiceLanguage,
+    priceGroup,
+    gstin,
+    stateCode,
+    upiIds,
     deliverySchedule,
     password,
     username,
@@ -321,6 +340,11 @@ const createCustomer = tryCatch(async (req, res) => {
       .json({ message: "Customer with this phone number already exists" });
   }
 
+  const recurrenceError = findRecurrenceError(deliverySchedule);
+  if (recurrenceError) {
+    return res.status(400).json({ message: recurrenceError });
+  }
+
   // Calculate totals for milk items
   calculateMilkItemTotals(deliverySchedule);
 
@@ -333,6 +357,15 @@ const createCustomer = tryCatch(async (req, res) => {
     name,
     phoneNo,
     address,
+    area,
+    milkman: milkman || undefined,
+    routeOrder,
+    invoiceTemplate: invoiceTemplate || undefined,
+    invoiceLanguage: invoiceLanguage || undefined,
+    priceGroup: priceGroup || undefined,
+    gstin: gstin || undefined,
+    stateCode: stateCode || undefined,
+    upiIds,
     deliverySchedule,
     username,
     password,
@@ -369,11 +402,27 @@ const updateCustomer = tryCatch(async (req, res) => {
     customer.name = req.body.name || customer.name;
     customer.phoneNo = req.body.phoneNo || customer.phoneNo;
     customer.address = req.body.address || customer.address;
+    if (req.body.area !== undefined) customer.area = req.body.area;
+    if (req.body.priceGroup !== undefined) customer.priceGroup = req.body.priceGroup || undefined;
+    if (req.body.gstin !== undefined) customer.gstin = req.body.gstin || undefined;
+    if (req.body.stateCode !== undefined) customer.stateCode = req.body.stateCode || undefined;
+    if (req.body.upiIds !== undefined) customer.upiIds = req.body.upiIds || [];
+    if (req.body.milkman !== undefined) customer.milkman = req.body.milkman || undefined;
+    if (req.body.routeOrder !== undefined) customer.routeOrder = req.body.routeOrder ?? undefined;
+    if (req.body.invoiceTemplate !== undefined) customer.invoiceTemplate = req.body.invoiceTemplate || undefined;
+    if (req.body.invoiceLanguage !== undefined) customer.invoiceLanguage = req.body.invoiceLanguage || undefined;
     customer.isActive =
       req.body.isActive !== undefined ? req.body.isActive : customer.isActive;
+    if (customer.isModified('isActive')) {
+      customer.deactivatedAt = customer.isActive ? undefined : new Date();
+    }
 
     // Update delivery schedule if provided
     if (req.body.deliverySchedule) {
+      const recurrenceError = findRecurrenceError(req.body.deliverySchedule);
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
       calculateMilkItemTotals(req.body.deliverySchedule);
       customer.deliverySchedule = req.body.deliverySchedule;
     }
@@ -474,12 +523,31 @@ const getCustomersWithAdvance = tryCatch(async (req, res) => {
 
   res.json(customers);
 });
+
+// @desc    Add an advance payment for a customer
+// @route   POST /api/customers/advancepayment
+// @access  Private/Admin
 const createAdvancePayment = tryCatch(async (req, res) => {
-  const { customerId, amount } = req.body;
+  const { customerId, amount, notes } = req.body;
+  const numericAmount = Number(amount);
+
+  if (Number.isNaN(numericAmount) || numericAmount <= 0) {
+    return res.status(400).json({ message: 'Invalid amount' });
+  }
+
   const customer = await Customer.findById(customerId);
-  customer.advance = customer.advance + amount;
+  if (!customer) {
+    return res.status(404).json({ message: 'Customer not found' });
+  }
+
+  const receiptNumber = await generateReceiptNumber();
+  customer.advance = (customer.advance || 0) + numericAmount;
   await customer.save();
-  res.json(customer);
+  await recordAdvanceChange(customer._id, numericAmount, 'advance_topup', notes || 'Advance payment received', {
+    transactionId: receiptNumber,
+    createdBy: req.admin?._id,
+  });
+  res.json({ ...customer.toObject(), receiptNumber });
 });
 
 // @desc    Update a customer's advance amount (set value)
@@ -498,8 +566,12 @@ const updateAdvanceAmount = tryCatch(async (req, res) => {
     return res.status(404).json({ message: 'Customer not found' });
   }
 
+  const previousAdvance = customer.advance || 0;
   customer.advance = numericAmount;
   const updated = await customer.save();
+  await recordAdvanceChange(customer._id, numericAmount - previousAdvance, 'adjustment', 'Advance amount updated', {
+    createdBy: req.admin?._id,
+  });
   res.json(updated);
 });
 
@@ -511,8 +583,12 @@ const clearAdvanceAmount = tryCatch(async (req, res) => {
   if (!customer) {
     return res.status(404).json({ message: 'Customer not found' });
   }
+  const previousAdvance = customer.advance || 0;
   customer.advance = 0;
   const updated = await customer.save();
+  await recordAdvanceChange(customer._id, -previousAdvance, 'adjustment', 'Advance amount cleared', {
+    createdBy: req.admin?._id,
+  });
   res.json(updated);
 });
 
@@ -525,25 +601,7 @@ const getCustomerFinancials = tryCatch(async (req, res) => {
     return res.status(404).json({ message: 'Customer not found' });
   }
 
-  const advanceAmount = Number(customer.advance || 0);
-
-  // Sum dueAmount across all unpaid/partially paid/overdue invoices
-  const [agg] = await Invoice.aggregate([
-    {
-      $match: {
-        customer: customer._id,
-        status: { $in: ['pending', 'partially_paid', 'overdue'] },
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalPending: { $sum: '$dueAmount' },
-      },
-    },
-  ]);
-
-  const pendingAmount = Number((agg && agg.totalPending) || 0);
+  const { advanceAmount, pendingAmount } = await getLedgerBalances(customer._id);
   const netBalance = advanceAmount - pendingAmount;
 
   res.json({
@@ -554,6 +612,73 @@ const getCustomerFinancials = tryCatch(async (req, res) => {
   });
 });
 
+// @desc    Get a customer's ledger statement with running balance
+// @route   GET /api/customers/:id/ledger?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+const getCustomerLedger = tryCatch(async (req, res) => {
+  const customer = await Customer.findById(req.params.id).select('name customerNo phoneNo');
+  if (!customer) {
+    return res.status(404).json({ message: 'Customer not found' });
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : null;
+  const to = req.query.to ? new Date(req.query.to) : null;
+
+  if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+    return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD format' });
+  }
+
+  if (from) from.setHours(0, 0, 0, 0);
+  if (to) to.setHours(23, 59, 59, 999);
+
+  // Opening balance is everything posted before the start of the range
+  const statement = await getLedgerStatement(customer._id, { from, to });
+
+  res.json({
+    customer,
+    from,
+    to,
+    ...statement,
+  });
+});
+
+// @desc    Expected deliveries for a month from the customer's schedule, recurrences, accepted
+//          quantity updates, prices, holidays and pauses; defaults to the current month
+// @route   GET /api/customers/:id/schedule-preview?month=&year=
+// @access  Private
+const getCustomerSchedulePreview = tryCatch(async (req, res) => {
+  const now = new Date();
+  const month = req.query.month ? parseInt(req.query.month) : now.getMonth() + 1;
+  const year = req.query.year ? parseInt(req.query.year) : now.getFullYear();
+
+  if (!(month >= 1 && month <= 12) || !(year >= 2000 && year <= 2100)) {
+    return res.status(400).json({ message: "Valid month (1-12) and year are required" });
+  }
+
+  const customer = await Customer.findById(req.params.id).select("-password");
+  if (!customer) {
+    return res.status(404).json({ message: "Customer not found" });
+  }
+
+  const { days, totals } = await previewDeliveries({
+    customer,
+    from: new Date(year, month - 1, 1),
+    to: new Date(year, month, 0),
+  });
+
+  res.json({
+    customer: {
+      _id: customer._id,
+      customerNo: customer.customerNo,
+      name: customer.name,
+    },
+    month,
+    year,
+    totals,
+    days,
+  });
+});
+
 export {
   getCustomers,
   getCustomerById,
@@ -566,4 +691,6 @@ export {
   updateAdvanceAmount,
   clearAdvanceAmount,
   getCustomerFinancials,
+  getCustomerLedger,
+  getCustomerSchedulePreview,
 };
@@ -0,0 +1,308 @@
+// controllers/deliveryPauseController.js
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import DeliveryPause from '../models/DeliveryPause.js';
+import { DELIVERY_TIMES, findOverlappingPause } from '../utils/deliveryPauses.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const today = () => {
+    const day = new Date();
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+// Validate start/end dates (YYYY-MM-DD, inclusive), slots and reason; returns { error } or the values
+const parsePauseInput = ({ startDate, endDate, times = [], reason }) => {
+    if (!DATE_PATTERN.test(startDate || '') || !DATE_PATTERN.test(endDate || '')) {
+        return { error: 'startDate and endDate are required in YYYY-MM-DD format' };
+    }
+
+    const start = new Date(`${startDate}T00:00:00`);
+    const end = new Date(`${endDate}T00:00:00`);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+        return { error: 'startDate must be a valid date on or before endDate' };
+    }
+
+    if (!Array.isArray(times) || times.some(time => !DELIVERY_TIMES.includes(time))) {
+        return { error: `times must be a list of: ${DELIVERY_TIMES.join(', ')}` };
+    }
+
+    // Both slots is the same as the whole day
+    const uniqueTimes = [...new Set(times)];
+
+    return {
+        startDate: start,
+        endDate: end,
+        times: uniqueTimes.length === DELIVERY_TIMES.length ? [] : uniqueTimes,
+        reason: (reason || '').toString().trim() || undefined,
+    };
+};
+
+const overlapMessage = (pause) =>
+    `Overlaps a ${pause.status} pause from ${pause.startDate.toLocaleDateString('en-IN')} to ${pause.endDate.toLocaleDateString('en-IN')}`;
+
+// Stop a pause: one not started yet is cancelled, a running one ends yesterday so
+// deliveries resume today. Returns { error } when there is nothing left to stop.
+const stopPause = async (pause) => {
+    const now = today();
+
+    if (!['pending', 'approved'].includes(pause.status)) {
+        return { error: `Pause is already ${pause.status}` };
+    }
+
+    if (pause.status === 'approved' && pause.endDate < now) {
+        return { error: 'Pause is already over' };
+    }
+
+    if (pause.status === 'pending' || pause.startDate >= now) {
+        pause.status = 'cancelled';
+    } else {
+        pause.endDate = new Date(now);
+        pause.endDate.setDate(pause.endDate.getDate() - 1);
+    }
+
+    await pause.save();
+    return { pause };
+};
+
+// @desc    Pause a customer's deliveries (approved straight away). Records already created
+//          for the period stay; a backfill with regenerate removes them.
+// @route   POST /api/delivery-pauses
+// @access  Private/Admin
+export const createDeliveryPause = async (req, res) => {
+    try {
+        const { customerId } = req.body;
+
+        if (!customerId || !mongoose.Types.ObjectId.isValid(customerId)) {
+            return res.status(400).json({ message: 'Valid customerId is required' });
+        }
+
+        const input = parsePauseInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ message: input.error });
+        }
+
+        const customer = await Customer.findById(customerId).select('_id');
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const overlapping = await findOverlappingPause({ customerId: customer._id, ...input });
+        if (overlapping) {
+            return res.status(400).json({ message: overlapMessage(overlapping), pauseId: overlapping._id });
+        }
+
+        const pause = await DeliveryPause.create({
+            customer: customer._id,
+            ...input,
+            status: 'approved',
+            requestedBy: 'staff',
+            createdBy: req.admin._id,
+            reviewedBy: req.admin._id,
+            reviewedAt: new Date(),
+        });
+
+        return res.status(201).json(pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    List delivery pauses; ?on=YYYY-MM-DD gives the ones covering that day
+// @route   GET /api/delivery-pauses?customer=&status=&on=&page=&limit=
+// @access  Private/Admin
+export const getDeliveryPauses = async (req, res) => {
+    try {
+        const { customer, status, on, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (customer) query.customer = customer;
+        if (status) query.status = { $in: status.split(',') };
+        if (on) {
+            if (!DATE_PATTERN.test(on)) {
+                return res.status(400).json({ message: 'on must be in YYYY-MM-DD format' });
+            }
+            const day = new Date(`${on}T00:00:00`);
+            query.startDate = { $lte: day };
+            query.endDate = { $gte: day };
+        }
+
+        const count = await DeliveryPause.countDocuments(query);
+
+        const pauses = await DeliveryPause.find(query)
+            .populate('customer', 'name customerNo phoneNo area')
+            .populate('createdBy reviewedBy', 'username')
+            .sort({ startDate: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            pauses,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Approve a customer's pause request
+// @route   POST /api/delivery-pauses/:id/approve
+// @access  Private/Admin
+export const approveDeliveryPause = async (req, res) => {
+    try {
+        const pause = await DeliveryPause.findById(req.params.id);
+        if (!pause) {
+            return res.status(404).json({ message: 'Delivery pause not found' });
+        }
+
+        if (pause.status !== 'pending') {
+            return res.status(400).json({ message: `Pause is already ${pause.status}` });
+        }
+
+        const overlapping = await findOverlappingPause({
+            customerId: pause.customer,
+            startDate: pause.startDate,
+            endDate: pause.endDate,
+            times: pause.times,
+            excludeId: pause._id,
+        });
+        if (overlapping) {
+            return res.status(400).json({ message: overlapMessage(overlapping), pauseId: overlapping._id });
+        }
+
+        pause.status = 'approved';
+        pause.reviewedBy = req.admin._id;
+        pause.reviewedAt = new Date();
+        await pause.save();
+
+        return res.json(pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Reject a customer's pause request
+// @route   POST /api/delivery-pauses/:id/reject
+// @access  Private/Admin
+export const rejectDeliveryPause = async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').toString().trim();
+
+        const pause = await DeliveryPause.findOneAndUpdate(
+            { _id: req.params.id, status: 'pending' },
+            {
+                $set: {
+                    status: 'rejected',
+                    ...(reason ? { rejectReason: reason } : {}),
+                    reviewedBy: req.admin._id,
+                    reviewedAt: new Date(),
+                },
+            },
+            { new: true }
+        );
+
+        if (!pause) {
+            const existing = await DeliveryPause.findById(req.params.id).select('status');
+            if (!existing) {
+                return res.status(404).json({ message: 'Delivery pause not found' });
+            }
+            return res.status(400).json({ message: `Pause is already ${existing.status}` });
+        }
+
+        return res.json(pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Cancel a pause, or end a running one so deliveries resume today
+// @route   POST /api/delivery-pauses/:id/end
+// @access  Private/Admin
+export const endDeliveryPause = async (req, res) => {
+    try {
+        const pause = await DeliveryPause.findById(req.params.id);
+        if (!pause) {
+            return res.status(404).json({ message: 'Delivery pause not found' });
+        }
+
+        const result = await stopPause(pause);
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+
+        return res.json(result.pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Ask for deliveries to be paused, from tomorrow at the earliest; staff approve it
+// @route   POST /api/delivery-pauses/my
+// @access  Private/Customer
+export const requestDeliveryPause = async (req, res) => {
+    try {
+        const input = parsePauseInput(req.body);
+        if (input.error) {
+            return res.status(400).json({ message: input.error });
+        }
+
+        if (input.startDate <= today()) {
+            return res.status(400).json({ message: 'A pause can start from tomorrow at the earliest' });
+        }
+
+        const overlapping = await findOverlappingPause({ customerId: req.customer._id, ...input });
+        if (overlapping) {
+            return res.status(400).json({ message: overlapMessage(overlapping), pauseId: overlapping._id });
+        }
+
+        const pause = await DeliveryPause.create({
+            customer: req.customer._id,
+            ...input,
+            requestedBy: 'customer',
+        });
+
+        return res.status(201).json(pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    The logged-in customer's pauses, newest first
+// @route   GET /api/delivery-pauses/my
+// @access  Private/Customer
+export const getMyDeliveryPauses = async (req, res) => {
+    try {
+        const pauses = await DeliveryPause.find({ customer: req.customer._id })
+            .select('-createdBy -reviewedBy')
+            .sort({ startDate: -1 })
+            .limit(50);
+
+        return res.json(pauses);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Withdraw a pause request, or come back early from a running pause
+// @route   POST /api/delivery-pauses/my/:id/end
+// @access  Private/Customer
+export const endMyDeliveryPause = async (req, res) => {
+    try {
+        const pause = await DeliveryPause.findOne({ _id: req.params.id, customer: req.customer._id });
+        if (!pause) {
+            return res.status(404).json({ message: 'Delivery pause not found' });
+        }
+
+        const result = await stopPause(pause);
+        if (result.error) {
+            return res.status(400).json({ message: result.error });
+        }
+
+        return res.json(result.pause);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
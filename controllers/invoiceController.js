@@ -1,29 +1,37 @@
 // controllers/invoiceController.js
 import mongoose from 'mongoose';
+import fs from 'fs';
+import crypto from 'crypto';
 import Invoice from '../models/Invoice.js';
-import Record from '../models/Record.js';
 import Customer from '../models/Customer.js';
 import PDFDocument from 'pdfkit';
 import { registerFonts } from '../config/fonts.js';
 import Category from '../models/Category.js';
-
-const generateInvoiceNumber = async () => {
-    const date = new Date();
-    const year = date.getFullYear().toString().slice(-2);
-    const month = (date.getMonth() + 1).toString().padStart(2, '0');
-
-    // Find the latest invoice to increment the counter
-    const latestInvoice = await Invoice.findOne({}, {}, { sort: { 'createdAt': -1 } });
-    let counter = 1;
-
-    if (latestInvoice) {
-        // Extract counter from the last invoice number (format: INV-YY-MM-XXXX)
-        const lastCounter = parseInt(latestInvoice.invoiceNumber.split('-')[3]);
-        counter = isNaN(lastCounter) ? 1 : lastCounter + 1;
-    }
-
-    return `INV-${year}-${month}-${counter.toString().padStart(4, '0')}`;
-};
+import SystemConfig, { INVOICE_TEMPLATES, INVOICE_LANGUAGES } from '../models/SystemConfig.js';
+import InvoicePreview from '../models/InvoicePreview.js';
+import { recordInvoiceAdjustment, recordInvoiceVoid } from '../utils/ledger.js';
+import {
+    generateTransactionId,
+    generateReceiptNumber,
+    applyInvoicePayment,
+    addToAdvance,
+} from '../utils/payments.js';
+import {
+    generateMonthlyInvoice,
+    planMonthlyInvoice,
+    commitMonthlyInvoice,
+    describePlan,
+} from '../utils/invoiceGenerator.js';
+import { runMonthlyInvoices } from '../utils/invoiceRuns.js';
+import { buildInvoiceUpiLink, drawQrCode, generateQrImage } from '../utils/upi.js';
+import {
+    AGING_BUCKETS,
+    DUNNING_LEVELS,
+    agingBucketExpression,
+    getAgingBucket,
+    getDaysOverdue,
+    sweepOverdueInvoices,
+} from '../utils/overdue.js';
 
 // @desc    Check if invoice exists for customer and period
 // @route   GET /api/invoices/check-existing
@@ -53,6 +61,7 @@ export const checkExistingInvoice = async (req, res) => {
             customer: customerId,
             startDate: { $lte: endDate },
             endDate: { $gte: startDate },
+            status: { $ne: 'void' },
         }).populate('customer', 'name customerNo');
 
         if (existingInvoice) {
@@ -113,24 +122,21 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             return res.status(400).json({ message: 'Invalid month' });
         }
 
-        // Calculate start and end dates for the month
-        const startDate = new Date(yearNum, monthNum - 1, 1);
-        const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
-
         // Find the customer
         const customer = await Customer.findById(id);
         if (!customer) {
             return res.status(404).json({ message: 'Customer not found' });
         }
 
-        // Check if invoice already exists for this customer and period
-        const existingInvoice = await Invoice.findOne({
-            customer: id,
-            startDate: { $lte: endDate },
-            endDate: { $gte: startDate },
-        });
+        const { outcome, invoice, existingInvoice, advanceUsed } = await generateMonthlyInvoice(
+            customer,
+            monthNum,
+            yearNum,
+            { updateExisting },
+            { revisedBy: req.admin._id, reason: req.body.reason, source: 'manual' }
+        );
 
-        if (existingInvoice && !updateExisting) {
+        if (outcome === 'skipped_existing') {
             return res.status(400).json({
                 message: 'Invoice already exists for this period',
                 invoiceId: existingInvoice._id,
@@ -138,132 +144,71 @@ export const generateCustomerMonthlyInvoice = async (req, res) => {
             });
         }
 
-        // Get all records for this customer in the specified month
-        const records = await Record.find({
-            customer: id,
-            date: {
-                $gte: startDate,
-                $lt: new Date(yearNum, monthNum, 1), // First day of next month
-            },
-        }).sort({ date: 1 });
-
-        if (records.length === 0) {
+        if (outcome === 'no_records') {
             return res.status(404).json({ message: 'No records found for this period' });
         }
 
-        // Calculate totals
-        let totalQuantity = 0;
-        let totalAmount = 0;
-        const items = [];
-
-        records.forEach(record => {
-            items.push({
-                date: record.date,
-                deliverySchedule: record.deliverySchedule,
-                totalDailyQuantity: record.totalDailyQuantity,
-                totalDailyPrice: record.totalDailyPrice
-            });
-            totalQuantity += record.totalDailyQuantity;
-            totalAmount += record.totalDailyPrice;
-        });
-
-        let invoice;
-        let advanceUsed = 0;
-
-        if (existingInvoice && updateExisting) {
-            // Update existing invoice
-            existingInvoice.totalQuantity = totalQuantity;
-            existingInvoice.totalAmount = totalAmount;
-            existingInvoice.items = items;
-
-            // Recalculate due amount (total - paid amount)
-            existingInvoice.dueAmount = totalAmount - (existingInvoice.amountPaid || 0);
-
-            // Update the end date to current calculation
-            existingInvoice.endDate = endDate;
-
-            invoice = await existingInvoice.save();
-
+        if (outcome === 'updated') {
             return res.status(200).json({
                 ...invoice.toObject(),
                 advanceUsed: 0, // No advance used in updates
                 message: 'Invoice updated successfully'
             });
-        } else {
-            // Create new invoice
-            const invoiceNumber = await generateInvoiceNumber();
-
-            // Set due date (e.g., 15 days from end of month)
-            const dueDate = new Date(endDate);
-            dueDate.setDate(dueDate.getDate() + 15);
-
-            // Apply customer advance to new invoice
-            let dueAmount = totalAmount;
-            let amountPaid = 0;
-            let payments = [];
-            advanceUsed = 0;
-
-            if (customer.advance && customer.advance > 0) {
-                if (customer.advance >= totalAmount) {
-                    dueAmount = 0;
-                    advanceUsed = totalAmount;
-                    amountPaid = totalAmount;
-                    payments.push({
-                        amount: totalAmount,
-                        paymentDate: new Date(),
-                        paymentMethod: 'advance',
-                        notes: 'Advance applied from previous overpayment'
-                    });
-                    customer.advance = customer.advance - totalAmount;
-                } else {
-                    dueAmount = totalAmount - customer.advance;
-                    advanceUsed = customer.advance;
-                    amountPaid = customer.advance;
-                    payments.push({
-                        amount: customer.advance,
-                        paymentDate: new Date(),
-                        paymentMethod: 'advance',
-                        notes: 'Advance applied from previous overpayment'
-                    });
-                    customer.advance = 0;
-                }
-                await customer.save();
-            }
+        }
 
-            let status = 'pending';
-            if (amountPaid >= totalAmount) {
-                status = 'paid';
-            } else if (amountPaid > 0) {
-                status = 'partially_paid';
-            }
+        return res.status(201).json({
+            ...invoice.toObject(),
+            advanceUsed,
+            message: 'Invoice created successfully'
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
 
-            invoice = await Invoice.create({
-                customer: id,
-                invoiceNumber,
-                startDate,
-                endDate,
-                totalQuantity,
-                totalAmount,
-                dueAmount,
-                amountPaid,
-                payments,
-                status,
-                dueDate,
-                items,
+// Shape an invoice run into the created/updated/failed lists the batch screens use
+const formatBatchRunResponse = (run) => {
+    const failureReasons = {
+        skipped_existing: 'Invoice already exists for this period',
+        no_records: 'No records found for this period',
+    };
+
+    const results = {
+        created: [],
+        updated: [],
+        failed: [],
+    };
+
+    run.results.forEach(result => {
+        if (result.outcome === 'created' || result.outcome === 'updated') {
+            results[result.outcome].push({
+                customer: result.customer,
+                name: result.name,
+                invoiceId: result.invoice,
+                invoiceNumber: result.invoiceNumber,
+                totalAmount: result.totalAmount,
+                ...(result.outcome === 'created' ? { advanceUsed: result.advanceUsed } : {}),
             });
-
-            // Ensure pre-save hook runs for dueAmount/status
-            await invoice.save();
-
-            return res.status(201).json({
-                ...invoice.toObject(),
-                advanceUsed,
-                message: 'Invoice created successfully'
+        } else {
+            results.failed.push({
+                customer: result.customer,
+                name: result.name,
+                reason: failureReasons[result.outcome] || result.error,
+                ...(result.outcome === 'skipped_existing' ? { invoiceNumber: result.invoiceNumber } : {}),
             });
         }
-    } catch (error) {
-        return res.status(500).json({ message: error.message });
-    }
+    });
+
+    return {
+        runId: run._id,
+        totalProcessed: run.results.length,
+        created: results.created.length,
+        updated: results.updated.length,
+        failed: results.failed.length,
+        createdInvoices: results.created,
+        updatedInvoices: results.updated,
+        failedInvoices: results.failed,
+    };
 };
 
 // @desc    Generate monthly invoices for all active customers
@@ -301,191 +246,267 @@ export const generateBatchMonthlyInvoices = async (req, res) => {
             return res.status(400).json({ message: 'Invalid month' });
         }
 
-        // Calculate start and end dates for the month
-        const startDate = new Date(yearNum, monthNum - 1, 1);
-        const endDate = new Date(yearNum, monthNum, 0); // Last day of the month
+        const run = await runMonthlyInvoices({
+            month: monthNum,
+            year: yearNum,
+            trigger: 'manual',
+            updateExisting,
+            triggeredBy: req.admin?._id,
+            revisionReason: req.body.reason,
+        });
 
-        console.log(startDate, endDate);
+        if (run.status === 'failed') {
+            return res.status(500).json({ message: run.error, runId: run._id });
+        }
 
-        // Get all active customers
-        const customers = await Customer.find({ isActive: true });
+        return res.status(200).json(formatBatchRunResponse(run));
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
 
-        const results = {
-            created: [],
-            updated: [],
-            failed: [],
-        };
+// Previews can be confirmed for this long
+const PREVIEW_TTL_MINUTES = 30;
+
+const savePreview = async ({ scope, month, year, updateExisting, plans, createdBy }) => {
+    return InvoicePreview.create({
+        token: crypto.randomBytes(24).toString('hex'),
+        scope,
+        month,
+        year,
+        updateExisting,
+        customers: plans.map(plan => ({
+            customer: plan.customer._id,
+            outcome: plan.outcome,
+            fingerprint: plan.fingerprint,
+            totalAmount: plan.totalAmount || 0,
+            advanceToApply: plan.advanceToApply,
+        })),
+        createdBy,
+        expiresAt: new Date(Date.now() + PREVIEW_TTL_MINUTES * 60 * 1000),
+    });
+};
+
+// @desc    Preview one customer's monthly invoice without saving anything
+// @route   POST /api/invoices/preview/customer/:id
+// @access  Private/Admin
+export const previewCustomerMonthlyInvoice = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { month, year, updateExisting = false } = req.body;
+
+        if (!month || !year) {
+            return res.status(400).json({ message: 'Month and year are required' });
+        }
+
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (monthNum < 1 || monthNum > 12) {
+            return res.status(400).json({ message: 'Invalid month' });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const plan = await planMonthlyInvoice(customer, monthNum, yearNum, { updateExisting });
+        const preview = await savePreview({
+            scope: 'customer',
+            month: monthNum,
+            year: yearNum,
+            updateExisting,
+            plans: [plan],
+            createdBy: req.admin._id,
+        });
+
+        return res.json({
+            previewToken: preview.token,
+            expiresAt: preview.expiresAt,
+            ...describePlan(plan, { includeItems: true }),
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Preview monthly invoices for all active customers without saving anything
+// @route   POST /api/invoices/preview/batch
+// @access  Private/Admin
+export const previewBatchMonthlyInvoices = async (req, res) => {
+    try {
+        const { month, year, updateExisting = false } = req.body;
+
+        if (!month || !year) {
+            return res.status(400).json({ message: 'Month and year are required' });
+        }
+
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (monthNum < 1 || monthNum > 12) {
+            return res.status(400).json({ message: 'Invalid month' });
+        }
+
+        // Same rule as batch generation: the current month only in its last 3 days
+        const currentDate = new Date();
+        const lastDayOfMonth = new Date(yearNum, monthNum, 0).getDate();
+        const isCurrentMonth = monthNum === currentDate.getMonth() + 1 && yearNum === currentDate.getFullYear();
+        if (isCurrentMonth && currentDate.getDate() < lastDayOfMonth - 2) {
+            return res.status(400).json({
+                message: `Cannot generate invoices for the current month until the end of the month (${lastDayOfMonth - currentDate.getDate()} days remaining). This ensures all milk deliveries are included in the invoice.`
+            });
+        }
+
+        const customers = await Customer.find({ isActive: true });
+        const plans = [];
+        const errors = [];
 
-        // Process each customer
         for (const customer of customers) {
             try {
-                // Check if invoice already exists for this customer and period
-                const existingInvoice = await Invoice.findOne({
-                    customer: customer._id,
-                    startDate: { $lte: endDate },
-                    endDate: { $gte: startDate },
-                });
+                plans.push(await planMonthlyInvoice(customer, monthNum, yearNum, { updateExisting }));
+            } catch (error) {
+                errors.push({ customer: customer._id, name: customer.name, reason: error.message });
+            }
+        }
 
-                if (existingInvoice && !updateExisting) {
-                    results.failed.push({
-                        customer: customer._id,
-                        name: customer.name,
-                        reason: 'Invoice already exists for this period',
-                        invoiceNumber: existingInvoice.invoiceNumber
-                    });
-                    continue;
-                }
+        const preview = await savePreview({
+            scope: 'batch',
+            month: monthNum,
+            year: yearNum,
+            updateExisting,
+            plans,
+            createdBy: req.admin._id,
+        });
 
-                // Get all records for this customer in the specified month
-                const records = await Record.find({
-                    customer: customer._id,
-                    date: {
-                        $gte: startDate,
-                        $lte: endDate,
-                    },
-                }).sort({ date: 1 });
-
-                if (records.length === 0) {
-                    results.failed.push({
-                        customer: customer._id,
-                        name: customer.name,
-                        reason: 'No records found for this period',
-                    });
-                    continue;
-                }
+        const toWrite = plans.filter(plan => plan.outcome === 'create' || plan.outcome === 'update');
 
-                // Calculate totals
-                let totalQuantity = 0;
-                let totalAmount = 0;
-                const items = [];
-
-                records.forEach(record => {
-                    items.push({
-                        date: record.date,
-                        deliverySchedule: record.deliverySchedule,
-                        totalDailyQuantity: record.totalDailyQuantity,
-                        totalDailyPrice: record.totalDailyPrice
-                    });
-                    totalQuantity += record.totalDailyQuantity;
-                    totalAmount += record.totalDailyPrice;
-                });
+        return res.json({
+            previewToken: preview.token,
+            expiresAt: preview.expiresAt,
+            summary: {
+                totalCustomers: customers.length,
+                create: plans.filter(plan => plan.outcome === 'create').length,
+                update: plans.filter(plan => plan.outcome === 'update').length,
+                conflicts: plans.filter(plan => plan.outcome === 'skipped_existing').length,
+                noRecords: plans.filter(plan => plan.outcome === 'no_records').length,
+                errors: errors.length,
+                totalAmount: toWrite.reduce((sum, plan) => sum + plan.totalAmount, 0),
+                advanceToApply: toWrite.reduce((sum, plan) => sum + plan.advanceToApply, 0),
+            },
+            customers: plans.map(plan => describePlan(plan)),
+            conflicts: plans
+                .filter(plan => plan.outcome === 'skipped_existing')
+                .map(plan => describePlan(plan)),
+            errors,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
 
-                let invoice;
+// @desc    Commit exactly what a preview showed, if nothing has changed since
+// @route   POST /api/invoices/preview/:token/confirm
+// @access  Private/Admin
+export const confirmInvoicePreview = async (req, res) => {
+    let preview;
+    let committing = false;
+    // Give the preview back if nothing was committed, so it can be confirmed again
+    const releasePreview = () => InvoicePreview.updateOne({ _id: preview._id }, { $unset: { confirmedAt: 1 } });
 
-                if (existingInvoice && updateExisting) {
-                    // Update existing invoice
-                    existingInvoice.totalQuantity = totalQuantity;
-                    existingInvoice.totalAmount = totalAmount;
-                    existingInvoice.items = items;
+    try {
+        // Claim the preview before doing anything, so two confirms cannot both commit it.
+        // The TTL monitor runs about once a minute, so check expiry ourselves too.
+        preview = await InvoicePreview.findOneAndUpdate(
+            { token: req.params.token, confirmedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { confirmedAt: new Date() } },
+            { new: true }
+        );
 
-                    // Recalculate due amount (total - paid amount)
-                    existingInvoice.dueAmount = totalAmount - (existingInvoice.amountPaid || 0);
+        if (!preview) {
+            const existing = await InvoicePreview.findOne({ token: req.params.token }).select('confirmedAt expiresAt');
+            if (existing?.confirmedAt) {
+                return res.status(409).json({ message: 'Preview has already been confirmed' });
+            }
+            return res.status(410).json({ message: 'Preview has expired, please preview again' });
+        }
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
 
-                    // Update the end date to current calculation
-                    existingInvoice.endDate = endDate;
+    try {
+        const customers = await Customer.find({ _id: { $in: preview.customers.map(c => c.customer) } });
+        const expected = new Map(preview.customers.map(c => [c.customer.toString(), c.fingerprint]));
+        const plans = [];
+        const changedCustomers = [];
 
-                    invoice = await existingInvoice.save();
+        for (const customer of customers) {
+            const plan = await planMonthlyInvoice(customer, preview.month, preview.year, {
+                updateExisting: preview.updateExisting,
+            });
+            if (expected.get(customer._id.toString()) !== plan.fingerprint) {
+                changedCustomers.push({ customerId: customer._id, name: customer.name });
+            }
+            plans.push(plan);
+        }
 
-                    results.updated.push({
-                        customer: customer._id,
-                        name: customer.name,
-                        invoiceId: invoice._id,
-                        invoiceNumber: invoice.invoiceNumber,
-                        totalAmount: invoice.totalAmount,
-                    });
-                } else {
-                    // Create new invoice
-                    const invoiceNumber = await generateInvoiceNumber();
-
-                    // Set due date (e.g., 15 days from end of month)
-                    const dueDate = new Date(endDate);
-                    dueDate.setDate(dueDate.getDate() + 15);
-
-                    // Apply customer advance to new invoice
-                    let dueAmount = totalAmount;
-                    let amountPaid = 0;
-                    let payments = [];
-                    let advanceUsed = 0;
-                    if (customer.advance && customer.advance > 0) {
-                        if (customer.advance >= totalAmount) {
-                            dueAmount = 0;
-                            advanceUsed = totalAmount;
-                            amountPaid = totalAmount;
-                            payments.push({
-                                amount: totalAmount,
-                                paymentDate: new Date(),
-                                paymentMethod: 'advance',
-                                notes: 'Advance applied from previous overpayment'
-                            });
-                            customer.advance = customer.advance - totalAmount;
-                        } else {
-                            dueAmount = totalAmount - customer.advance;
-                            advanceUsed = customer.advance;
-                            amountPaid = customer.advance;
-                            payments.push({
-                                amount: customer.advance,
-                                paymentDate: new Date(),
-                                paymentMethod: 'advance',
-                                notes: 'Advance applied from previous overpayment'
-                            });
-                            customer.advance = 0;
-                        }
-                        await customer.save();
-                    }
+        if (customers.length !== preview.customers.length || changedCustomers.length > 0) {
+            await InvoicePreview.deleteOne({ _id: preview._id });
+            return res.status(409).json({
+                message: 'Records, invoices or advance changed since the preview; please preview again',
+                changedCustomers,
+            });
+        }
 
-                    let status = 'pending';
-                    if (amountPaid >= totalAmount) {
-                        status = 'paid';
-                    } else if (amountPaid > 0) {
-                        status = 'partially_paid';
-                    }
+        if (preview.scope === 'customer') {
+            const [plan] = plans;
 
-                    invoice = await Invoice.create({
-                        customer: customer._id,
-                        invoiceNumber,
-                        startDate,
-                        endDate,
-                        totalQuantity,
-                        totalAmount,
-                        dueAmount, // Apply advance
-                        amountPaid, // Add advance to amountPaid
-                        payments, // Add advance payment record
-                        status, // Set status based on amountPaid
-                        dueDate,
-                        items,
-                    });
-
-                    // Ensure pre-save hook runs for dueAmount/status
-                    await invoice.save();
-
-                    results.created.push({
-                        customer: customer._id,
-                        name: customer.name,
-                        invoiceId: invoice._id,
-                        invoiceNumber: invoice.invoiceNumber,
-                        totalAmount: invoice.totalAmount,
-                        advanceUsed,
-                    });
-                }
-            } catch (error) {
-                results.failed.push({
-                    customer: customer._id,
-                    name: customer.name,
-                    reason: error.message,
-                });
+            if (plan.outcome === 'skipped_existing' || plan.outcome === 'no_records') {
+                await releasePreview();
+                return res.status(400).json({ message: 'Nothing to generate for this preview', outcome: plan.outcome });
             }
+
+            committing = true;
+            const { outcome, invoice, advanceUsed } = await commitMonthlyInvoice(plan, {
+                revisedBy: req.admin._id,
+                reason: req.body.reason,
+                source: 'preview',
+            });
+
+            return res.status(outcome === 'created' ? 201 : 200).json({
+                ...invoice.toObject(),
+                advanceUsed,
+                message: outcome === 'created' ? 'Invoice created successfully' : 'Invoice updated successfully'
+            });
         }
 
-        return res.status(200).json({
-            totalProcessed: customers.length,
-            created: results.created.length,
-            updated: results.updated.length,
-            failed: results.failed.length,
-            createdInvoices: results.created,
-            updatedInvoices: results.updated,
-            failedInvoices: results.failed,
+        committing = true;
+        const run = await runMonthlyInvoices({
+            month: preview.month,
+            year: preview.year,
+            trigger: 'manual',
+            customerIds: preview.customers.map(c => c.customer),
+            updateExisting: preview.updateExisting,
+            triggeredBy: req.admin._id,
+            expectedFingerprints: expected,
+            revisionReason: req.body.reason,
         });
+
+        if (run.status === 'failed') {
+            await releasePreview();
+            return res.status(500).json({ message: run.error, runId: run._id });
+        }
+
+        preview.invoiceRun = run._id;
+        await preview.save();
+
+        return res.status(200).json(formatBatchRunResponse(run));
     } catch (error) {
+        // Once committing started, invoices may have been written and the preview no longer holds
+        if (!committing) {
+            await releasePreview().catch(() => {});
+        }
         return res.status(500).json({ message: error.message });
     }
 };
@@ -634,38 +655,15 @@ export const addPaymentToInvoice = async (req, res) => {
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot add payment to a voided invoice' });
+        }
+
         // Generate transaction ID if not provided
         let finalTransactionId = transactionId;
 
         if (!finalTransactionId && paymentMethod !== 'cash') {
-            const year = new Date().getFullYear();
-            const customerNo = invoice.customer.customerNo;
-
-            // Find all invoices for this customer to get the last transaction sequence
-            const allInvoices = await Invoice.find({ customer: invoice.customer._id });
-
-            let maxSequence = 0;
-
-            // Check all payments across all invoices for this customer
-            for (const inv of allInvoices) {
-                if (inv.payments && inv.payments.length > 0) {
-                    for (const payment of inv.payments) {
-                        if (payment.transactionId && payment.transactionId.startsWith(`${year}_${customerNo}_`)) {
-                            const parts = payment.transactionId.split('_');
-                            if (parts.length >= 3) {
-                                const sequence = parseInt(parts[2]);
-                                if (!isNaN(sequence) && sequence > maxSequence) {
-                                    maxSequence = sequence;
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-
-            // Generate new transaction ID
-            const newSequence = maxSequence + 1;
-            finalTransactionId = `${year}_${customerNo}_${newSequence}`;
+            finalTransactionId = await generateTransactionId(invoice.customer);
         }
 
         // Add payment
@@ -674,6 +672,7 @@ export const addPaymentToInvoice = async (req, res) => {
             paymentDate: new Date(),
             paymentMethod: paymentMethod || 'cash',
             transactionId: finalTransactionId,
+            receiptNumber: await generateReceiptNumber(),
             notes,
         };
 
@@ -686,13 +685,16 @@ export const addPaymentToInvoice = async (req, res) => {
         // Add payment to invoice (pay up to dueAmount, rest is advance)
         const paymentToApply = Math.min(amount, invoice.dueAmount);
         payment.amount = paymentToApply;
-        const updatedInvoice = await invoice.addPayment(payment);
+        const updatedInvoice = await applyInvoicePayment(invoice, payment);
 
         // If overpaid, add to customer.advance
         if (overpaidAmount > 0) {
-            const customer = await Customer.findById(invoice.customer._id);
-            customer.advance = (customer.advance || 0) + overpaidAmount;
-            await customer.save();
+            await addToAdvance(
+                invoice.customer._id,
+                overpaidAmount,
+                `Overpayment on invoice ${invoice.invoiceNumber}`,
+                finalTransactionId
+            );
         }
 
         return res.status(200).json(updatedInvoice);
@@ -712,14 +714,24 @@ export const deleteInvoice = async (req, res) => {
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        // Only allow deletion of pending invoices with no payments
-        if (invoice.payments.length > 0) {
+        // Voided invoices are kept for audit
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot delete a voided invoice' });
+        }
+
+        // Only allow deletion of invoices with no active (non-reversed) payments
+        if (invoice.payments.some(payment => !payment.isReversed)) {
             return res.status(400).json({
                 message: 'Cannot delete invoice that has payments or is not in pending status'
             });
         }
 
         await invoice.deleteOne();
+        await recordInvoiceAdjustment(
+            invoice,
+            -invoice.totalAmount,
+            `Invoice ${invoice.invoiceNumber} deleted`
+        );
 
         return res.json({ message: 'Invoice removed' });
     } catch (error) {
@@ -727,6 +739,64 @@ export const deleteInvoice = async (req, res) => {
     }
 };
 
+// @desc    Void an invoice (kept for audit, excluded from dues)
+// @route   POST /api/invoices/:id/void
+// @access  Private/Admin
+export const voidInvoice = async (req, res) => {
+    try {
+        const reason = (req.body.reason || '').toString().trim();
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to void an invoice' });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Invoice is already void' });
+        }
+
+        // Anything already paid on the invoice is handed back as advance
+        const refundedToAdvance = invoice.payments
+            .filter(payment => !payment.isReversed)
+            .reduce((sum, payment) => sum + payment.amount, 0);
+
+        invoice.payments.forEach(payment => {
+            if (!payment.isReversed) {
+                payment.isReversed = true;
+                payment.reversedAt = new Date();
+                payment.reversedBy = req.admin._id;
+                payment.reversalReason = 'Invoice voided, amount moved to advance';
+            }
+        });
+        invoice.amountPaid = 0;
+        invoice.voidedAt = new Date();
+        invoice.voidedBy = req.admin._id;
+        invoice.voidReason = reason;
+        await invoice.save();
+
+        await recordInvoiceVoid(invoice, refundedToAdvance, req.admin._id);
+
+        if (refundedToAdvance > 0) {
+            const customer = await Customer.findById(invoice.customer);
+            customer.advance = (customer.advance || 0) + refundedToAdvance;
+            await customer.save();
+        }
+
+        return res.json({
+            message: 'Invoice voided successfully',
+            refundedToAdvance,
+            invoice,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
 // @desc    Get customer's invoice summary
 // @route   GET /api/invoices/customer/:id/summary
 // @access  Private/Admin
@@ -742,7 +812,7 @@ export const getCustomerInvoiceSummary = async (req, res) => {
 
         // Aggregate invoice data
         const summary = await Invoice.aggregate([
-            { $match: { customer: new mongoose.Types.ObjectId(customerId) } },
+            { $match: { customer: new mongoose.Types.ObjectId(customerId), status: { $ne: 'void' } } },
             {
                 $group: {
                     _id: null,
@@ -792,14 +862,16 @@ export const getCustomerInvoiceSummary = async (req, res) => {
 // @access  Private/Admin
 export const getInvoiceDashboard = async (req, res) => {
     try {
-        // Overall summary
+        // Overall summary (voided invoices are excluded from totals)
         const summary = await Invoice.aggregate([
+            { $match: { status: { $ne: 'void' } } },
             {
                 $group: {
                     _id: null,
                     totalAmount: { $sum: '$totalAmount' },
                     totalPaid: { $sum: '$amountPaid' },
                     totalDue: { $sum: '$dueAmount' },
+                    totalLateFees: { $sum: '$lateFeeAmount' },
                     totalInvoices: { $sum: 1 },
                     pendingCount: {
                         $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
@@ -817,14 +889,60 @@ export const getInvoiceDashboard = async (req, res) => {
             }
         ]);
 
-        // Monthly breakdown for the past 6 months
         const now = new Date();
+
+        // Outstanding amounts by how long they are past due
+        const agingTotals = await Invoice.aggregate([
+            { $match: { status: { $ne: 'void' }, dueAmount: { $gt: 0 } } },
+            {
+                $group: {
+                    _id: agingBucketExpression(now),
+                    amount: { $sum: '$dueAmount' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const aging = AGING_BUCKETS.map(bucket => {
+            const totals = agingTotals.find(t => t._id === bucket.key);
+            return {
+                bucket: bucket.key,
+                label: bucket.label,
+                amount: totals?.amount || 0,
+                count: totals?.count || 0
+            };
+        });
+
+        // Unpaid invoices at each reminder stage
+        const dunningTotals = await Invoice.aggregate([
+            { $match: { status: { $ne: 'void' }, dueAmount: { $gt: 0 } } },
+            {
+                $group: {
+                    _id: '$dunningLevel',
+                    amount: { $sum: '$dueAmount' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const dunning = DUNNING_LEVELS.map(level => {
+            // Invoices created before dunning existed have no level stored
+            const totals = dunningTotals.filter(t => (t._id || 'none') === level);
+            return {
+                level,
+                amount: totals.reduce((sum, t) => sum + t.amount, 0),
+                count: totals.reduce((sum, t) => sum + t.count, 0)
+            };
+        });
+
+        // Monthly breakdown for the past 6 months
         const sixMonthsAgo = new Date(now.getFullYear(), now.getMonth() - 5, 1);
 
         const monthlyData = await Invoice.aggregate([
             {
                 $match: {
-                    createdAt: { $gte: sixMonthsAgo }
+                    createdAt: { $gte: sixMonthsAgo },
+                    status: { $ne: 'void' }
                 }
             },
             {
@@ -857,6 +975,7 @@ export const getInvoiceDashboard = async (req, res) => {
 
         // Top customers by invoice amount
         const topCustomers = await Invoice.aggregate([
+            { $match: { status: { $ne: 'void' } } },
             {
                 $group: {
                     _id: '$customer',
@@ -891,12 +1010,15 @@ export const getInvoiceDashboard = async (req, res) => {
                 totalAmount: 0,
                 totalPaid: 0,
                 totalDue: 0,
+                totalLateFees: 0,
                 totalInvoices: 0,
                 pendingCount: 0,
                 paidCount: 0,
                 partiallyPaidCount: 0,
                 overdueCount: 0,
             },
+            aging,
+            dunning,
             monthlyData: formattedMonthlyData,
             recentInvoices,
             topCustomers
@@ -915,12 +1037,23 @@ export const getCustomersWithDueAmounts = async (req, res) => {
         const limit = parseInt(req.query.limit || '10');
         const skip = (page - 1) * limit;
 
+        const now = new Date();
+
         const basePipeline = [
             { $match: { dueAmount: { $gt: 0 } } },
             {
                 $group: {
                     _id: '$customer',
                     totalDue: { $sum: '$dueAmount' },
+                    overdueAmount: {
+                        $sum: { $cond: [{ $lt: ['$dueDate', now] }, '$dueAmount', 0] }
+                    },
+                    lateFees: { $sum: '$lateFeeAmount' },
+                    oldestDueDate: { $min: '$dueDate' },
+                    // Highest reminder stage across the customer's open invoices
+                    dunningRank: {
+                        $max: { $indexOfArray: [DUNNING_LEVELS, { $ifNull: ['$dunningLevel', 'none'] }] }
+                    },
                     invoiceCount: { $sum: 1 }
                 }
             },
@@ -941,6 +1074,10 @@ export const getCustomersWithDueAmounts = async (req, res) => {
                     name: '$customer.name',
                     phoneNo: '$customer.phoneNo',
                     totalDue: 1,
+                    overdueAmount: 1,
+                    lateFees: 1,
+                    oldestDueDate: 1,
+                    dunningLevel: { $arrayElemAt: [DUNNING_LEVELS, '$dunningRank'] },
                     invoiceCount: 1
                 }
             }
@@ -969,8 +1106,18 @@ export const getCustomersWithDueAmounts = async (req, res) => {
             { $limit: limit }
         ]);
 
+        const customers = aggregated.map(customer => {
+            // Negative until the oldest invoice falls due, which puts the customer in 'current'
+            const daysOverdue = getDaysOverdue(customer.oldestDueDate, now);
+            return {
+                ...customer,
+                daysOverdue: Math.max(daysOverdue, 0),
+                agingBucket: getAgingBucket(daysOverdue)
+            };
+        });
+
         return res.json({
-            customers: aggregated,
+            customers,
             totalCustomers,
             grandTotalDue,
             currentPage: page,
@@ -981,6 +1128,18 @@ export const getCustomersWithDueAmounts = async (req, res) => {
     }
 };
 
+// @desc    Run the overdue sweep now (marks overdue, applies late fees, escalates reminders)
+// @route   POST /api/invoices/overdue/sweep
+// @access  Private/Admin
+export const runOverdueSweep = async (req, res) => {
+    try {
+        const summary = await sweepOverdueInvoices();
+        return res.json({ message: 'Overdue sweep completed', ...summary });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
 // @desc    Search due customers across all data (no pagination limit)
 // @route   GET /api/invoices/due/customers/search?q=...
 // @access  Private/Admin
@@ -1043,14 +1202,19 @@ export const searchDueCustomers = async (req, res) => {
 };
 
 // Helper function to convert numbers to Gujarati
-const toGujaratiNumber = (num) => {
+export const toGujaratiNumber = (num) => {
     const gujaratiNumerals = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'];
     return num.toString().split('').map(digit =>
         isNaN(parseInt(digit)) ? digit : gujaratiNumerals[parseInt(digit)]
     ).join('');
 };
 
-const getGujaratiMonth = (month) => {
+export const toGujaratiDate = (date) => {
+    const d = new Date(date);
+    return toGujaratiNumber(`${d.getDate().toString().padStart(2, '0')}/${(d.getMonth() + 1).toString().padStart(2, '0')}/${d.getFullYear()}`);
+};
+
+export const getGujaratiMonth = (month) => {
     const months = [
         'જાન્યુઆરી', 'ફેબ્રુઆરી', 'માર્ચ', 'એપ્રિલ', 'મે', 'જૂન',
         'જુલાઈ', 'ઓગસ્ટ', 'સપ્ટેમ્બર', 'ઓક્ટોબર', 'નવેમ્બર', 'ડિસેમ્બર'
@@ -1058,381 +1222,847 @@ const getGujaratiMonth = (month) => {
     return months[month - 1];
 };
 
-// @desc    Utility function to generate dairy form PDF that can be used in different contexts
-// @param   invoiceData - Invoice data object
-// @param   outputStream - Stream to pipe the PDF to (can be response or file)
-// @param   options - Additional options for customization
-export const generateDairyFormPDF = async (invoiceData, outputStream, options = {}) => {
-    try {
-        // Default options
-        const defaultOptions = {
-            logoPath: './assets/images/logo.png', // Path to logo image if available
-            upiId: 'ramdevdairy@upi', // Default UPI ID
-            contactInfo: {
-                person1: {
-                    name: 'ઉમેશભાઈ',
-                    phone: 'મો. ૭૦૪૧૯ ૮૧૦૦૦'
-                },
-                person2: {
-                    name: 'નિકુંજભાઈ',
-                    phone: 'મો. ૭૨૦૩૮ ૩૫૯૫૯'
-                }
-            },
-            headerText: {
-                left: '॥ જય રામાપીર ॥',
-                right: '॥ શ્રી ગણેશાય નમઃ ॥'
-            },
-            logoText: {
-                main: 'રામદેવ',
-                sub: 'ડેરી ફાર્મ'
-            },
-            footerNotes: [
-                '* બિલ ૧૦ તારીખ પહેલા ફરજિયાત જમા કરાવવું.',
-                '* વધારે-ઓછું દૂધ જોઈએ તો પહેલા થી જાણાવવું.'
-            ]
-        };
-
-        // Merge options
-        const mergedOptions = { ...defaultOptions, ...options };
+// Default branding shared by every dairy form style PDF
+export const dairyFormDefaults = {
+    logoPath: './assets/images/logo.png', // Path to logo image if available
+    qrImagePath: './assets/images/qr-code.png',
+    // Up to two contacts fit in the header
+    contactPersons: [
+        {
+            name: 'ઉમેશભાઈ',
+            phone: 'મો. ૭૦૪૧૯ ૮૧૦૦૦'
+        },
+        {
+            name: 'નિકુંજભાઈ',
+            phone: 'મો. ૭૨૦૩૮ ૩૫૯૫૯'
+        }
+    ],
+    headerText: {
+        left: '॥ જય રામાપીર ॥',
+        right: '॥ શ્રી ગણેશાય નમઃ ॥'
+    },
+    logoText: {
+        main: 'રામદેવ',
+        sub: 'ડેરી ફાર્મ'
+    },
+    footerNotes: [
+        '* બિલ ૧૦ તારીખ પહેલા ફરજિયાત જમા કરાવવું.',
+        '* વધારે-ઓછું દૂધ જોઈએ તો પહેલા થી જાણાવવું.'
+    ]
+};
 
+// Draw the page border, blessings, logo and contact block at the top of a dairy form page
+export const drawDairyFormHeader = (doc, mergedOptions) => {
+    // Draw page border
+    doc.rect(10, 10, doc.page.width - 20, doc.page.height - 20).lineWidth(1).stroke();
+
+    // Header
+    doc.font('Gujarati').fontSize(14);
+    doc.fillColor('blue').text(mergedOptions.headerText.left, 30, 25, { align: 'left' });
+    doc.fillColor('brown').text(mergedOptions.headerText.right, 430, 20);
+
+    // Logo area (either image or text)
+    if (mergedOptions.logoPath) {
+        // Use logo image if provided
+        doc.image(mergedOptions.logoPath, 30, 45, { width: 150 });
+    } else {
+        // Use text logo
+        doc.fillColor('black').rect(30, 45, 150, 80).fillAndStroke('black', 'black');
+        doc.fillColor('white').fontSize(32).text(mergedOptions.logoText.main, 60, 55);
+        doc.fontSize(24).text(mergedOptions.logoText.sub, 55, 95);
+    }
 
+    // Contact Info
+    doc.fillColor('black').font('Gujarati').fontSize(12);
+    mergedOptions.contactPersons.slice(0, 2).forEach((person, index) => {
+        doc.text(person.name, 430, 45 + index * 40);
+        doc.text(person.phone, 430, 65 + index * 40);
+    });
+};
 
-        // Create a new PDF document
-        const doc = new PDFDocument({
-            size: 'A4',
-            margin: 0,
-            layout: 'portrait'
-        });
+// Branding saved in SystemConfig.invoiceBranding laid over the built-in defaults,
+// in the options shape every dairy form style PDF accepts
+export const getBrandingOptions = (config) => {
+    const branding = config?.invoiceBranding || {};
+    const options = {
+        ...dairyFormDefaults,
+        template: branding.defaultTemplate || 'gujarati_classic',
+        language: branding.defaultLanguage || 'gu',
+        companyName: config?.companyName,
+    };
+
+    if (branding.upiId) options.upiId = branding.upiId;
+    // A logo whose file has gone missing falls back to the bundled one rather than failing every PDF
+    if (branding.logoPath && fs.existsSync(branding.logoPath)) options.logoPath = branding.logoPath;
+    if (branding.contactPersons?.length) options.contactPersons = branding.contactPersons;
+    if (branding.footerNotes) options.footerNotes = branding.footerNotes;
+    ['logoText', 'headerText'].forEach(key => {
+        const saved = Object.fromEntries(Object.entries(branding[key] || {}).filter(([, value]) => value));
+        options[key] = { ...dairyFormDefaults[key], ...saved };
+    });
+
+    return options;
+};
 
-        // Register fonts for Gujarati support
-        registerFonts(doc);
+// Payment QR for the amount still due on this invoice; the static QR image is only used
+// when no UPI ID is configured
+const drawPaymentQr = (doc, invoiceData, mergedOptions, x, y, size) => {
+    if (mergedOptions.upiId) {
+        drawQrCode(doc, buildInvoiceUpiLink(invoiceData, mergedOptions), x, y, size);
+    } else {
+        doc.image(mergedOptions.qrImagePath, x, y, { width: size });
+    }
+};
 
-        // Pipe the PDF to the output stream
-        doc.pipe(outputStream);
+const formatTaxAmount = (amount) => (amount || 0).toFixed(2);
+
+// Draw the GST tax invoice page: supplier and recipient details, HSN-wise lines and totals
+export const drawTaxBreakupPage = (doc, invoiceData, mergedOptions) => {
+    const tax = invoiceData.tax || {};
+    const supplier = mergedOptions.supplier || {};
+    const left = 30;
+    const pageWidth = doc.page.width - 60;
+
+    doc.rect(10, 10, doc.page.width - 20, doc.page.height - 20).lineWidth(1).stroke();
+
+    doc.fillColor('black').font('Gujarati-Bold').fontSize(16)
+        .text('TAX INVOICE', left, 30, { width: pageWidth, align: 'center' });
+
+    doc.font('Gujarati').fontSize(10);
+    doc.text(supplier.name || '', left, 60);
+    if (supplier.address) doc.text(supplier.address, left, 74, { width: 260 });
+    doc.text(`GSTIN: ${tax.supplierGstin || ''}`, left, 102);
+    doc.text(`State: ${supplier.state || ''} (${tax.supplierState || ''})`, left, 116);
+
+    const startDate = new Date(invoiceData.startDate);
+    const endDate = new Date(invoiceData.endDate);
+    doc.text(`Invoice No: ${invoiceData.invoiceNumber || ''}`, 330, 60);
+    doc.text(`Date: ${new Date(invoiceData.createdAt || Date.now()).toLocaleDateString('en-IN')}`, 330, 74);
+    doc.text(`Period: ${startDate.toLocaleDateString('en-IN')} - ${endDate.toLocaleDateString('en-IN')}`, 330, 88);
+    doc.text(`Place of supply: ${tax.placeOfSupply || ''}`, 330, 102);
+    doc.text(`Supply type: ${tax.supplyType || ''}${tax.isInterState ? ' (Inter-state)' : ''}`, 330, 116);
+
+    doc.font('Gujarati-Bold').text('Bill to:', left, 140);
+    doc.font('Gujarati').text(invoiceData.customer?.name || '', left + 45, 140);
+    if (tax.customerGstin) doc.text(`GSTIN: ${tax.customerGstin}`, 330, 140);
+
+    // HSN-wise lines
+    const columns = [
+        { header: 'Description', width: 120, value: line => line.description },
+        { header: 'HSN', width: 45, value: line => line.hsnCode || '' },
+        { header: 'Qty', width: 40, align: 'right', value: line => line.quantity },
+        { header: 'Discount', width: 50, align: 'right', value: line => formatTaxAmount(line.discount) },
+        { header: 'Taxable', width: 60, align: 'right', value: line => formatTaxAmount(line.taxableValue) },
+        { header: 'Rate %', width: 40, align: 'right', value: line => line.taxRate },
+        { header: 'CGST', width: 45, align: 'right', value: line => formatTaxAmount(line.cgst) },
+        { header: 'SGST', width: 45, align: 'right', value: line => formatTaxAmount(line.sgst) },
+        { header: 'IGST', width: 45, align: 'right', value: line => formatTaxAmount(line.igst) },
+        { header: 'Total', width: 45, align: 'right', value: line => formatTaxAmount(line.totalAmount) },
+    ];
+    const tableWidth = columns.reduce((sum, column) => sum + column.width, 0);
+    const rowHeight = 20;
+
+    const drawRow = (values, y, font) => {
+        let x = left;
+        doc.font(font).fontSize(9);
+        columns.forEach((column, index) => {
+            doc.rect(x, y, column.width, rowHeight).stroke();
+            doc.text(String(values[index] ?? ''), x + 3, y + 5, {
+                width: column.width - 6,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += column.width;
+        });
+    };
 
-        // Draw page border
-        doc.rect(10, 10, doc.page.width - 20, doc.page.height - 20).lineWidth(1).stroke();
+    let y = 170;
+    drawRow(columns.map(column => column.header), y, 'Gujarati-Bold');
+    y += rowHeight;
+    invoiceData.taxLines.forEach(line => {
+        drawRow(columns.map(column => column.value(line)), y, 'Gujarati');
+        y += rowHeight;
+    });
+    drawRow([
+        'Total', '', '', '',
+        formatTaxAmount(tax.taxableValue), '',
+        formatTaxAmount(tax.cgst), formatTaxAmount(tax.sgst), formatTaxAmount(tax.igst),
+        formatTaxAmount((tax.taxableValue || 0) + (tax.totalTax || 0))
+    ], y, 'Gujarati-Bold');
+    y += rowHeight + 20;
+
+    // Totals
+    doc.font('Gujarati').fontSize(11);
+    const totalsX = left + tableWidth - 200;
+    const totals = [
+        ['Taxable value', tax.taxableValue],
+        ['Total GST', tax.totalTax],
+        ['Invoice total', invoiceData.totalAmount],
+    ];
+    totals.forEach(([label, amount], index) => {
+        doc.text(label, totalsX, y + index * 18);
+        doc.text(formatTaxAmount(amount), totalsX + 100, y + index * 18, { width: 100, align: 'right' });
+    });
+    y += totals.length * 18 + 10;
+
+    doc.fontSize(9).text(
+        tax.pricesIncludeTax ? 'Prices are inclusive of GST.' : 'GST is charged in addition to the prices shown.',
+        left,
+        y
+    );
+};
 
-        // Header
-        doc.font('Gujarati').fontSize(14);
-        doc.fillColor('blue').text(mergedOptions.headerText.left, 30, 25, { align: 'left' });
-        doc.fillColor('brown').text(mergedOptions.headerText.right, 430, 20);
+// Draw one invoice in the dairy form layout onto the current page of doc.
+// GST invoices add a second page with the tax breakup.
+export const drawDairyFormInvoice = (doc, invoiceData, mergedOptions) => {
+    drawDairyFormHeader(doc, mergedOptions);
+
+    // Customer Name (below logo area with more space)
+    const customerName = invoiceData.customer?.name || mergedOptions.customer?.name || 'Customer Name';
+    doc.fillColor('black').font('Gujarati').fontSize(14);
+    doc.text('ગ્રાહક નામ:', 30, 135);
+    doc.text(customerName, 120, 135);
+
+    // Marks reprints of superseded versions so they are not mistaken for the current bill
+    if (mergedOptions.stamp) {
+        doc.fillColor('red').fontSize(10).text(mergedOptions.stamp, 410, 138, { width: 160 });
+        doc.fillColor('black').fontSize(14);
+    }
 
-        // Logo area (either image or text)
-        if (mergedOptions.logoPath) {
-            // Use logo image if provided
-            doc.image(mergedOptions.logoPath, 30, 45, { width: 150 });
-        } else {
-            // Use text logo
-            doc.fillColor('black').rect(30, 45, 150, 80).fillAndStroke('black', 'black');
-            doc.fillColor('white').fontSize(32).text(mergedOptions.logoText.main, 60, 55);
-            doc.fontSize(24).text(mergedOptions.logoText.sub, 55, 95);
-        }
-
-        // Contact Info
-        doc.fillColor('black').font('Gujarati').fontSize(12);
-        doc.text(mergedOptions.contactInfo.person1.name, 430, 45);
-        doc.text(mergedOptions.contactInfo.person1.phone, 430, 65);
-        doc.text(mergedOptions.contactInfo.person2.name, 430, 85);
-        doc.text(mergedOptions.contactInfo.person2.phone, 430, 105);
-
-        // Customer Name (below logo area with more space)
-        const customerName = invoiceData.customer?.name || mergedOptions.customer?.name || 'Customer Name';
-        doc.fillColor('black').font('Gujarati').fontSize(14);
-        doc.text('ગ્રાહક નામ:', 30, 135);
-        doc.text(customerName, 120, 135);
-
-        // Extract data from invoice
-        const startDate = new Date(invoiceData.startDate);
-        const monthText = getGujaratiMonth(startDate.getMonth() + 1);
-        const yearText = startDate.getFullYear();
-
-        // Get all milk types and their prices from customer's deliverySchedule
-        const milkTypes = new Map(); // Map to store unique milk types with their prices
-
-        if (mergedOptions.customer && mergedOptions.customer.deliverySchedule) {
-            mergedOptions.customer.deliverySchedule.forEach(delivery => {
-                delivery.milkItems.forEach(milkItem => {
-                    let typeName = '';
-                    let rawName = '';
-                    if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
-                        rawName = milkItem.milkType.name;
-                        const typeNameLower = rawName.toLowerCase().trim();
-                        if (
-                            typeNameLower.includes('cow') || typeNameLower.includes('ગાય')
-                        ) {
-                            typeName = 'ગાય';
-                        } else if (
-                            typeNameLower.includes('buffalo') || typeNameLower.includes('ભેંસ')
-                        ) {
-                            typeName = 'ભેંસ';
-                        } else {
-                            typeName = rawName; // fallback
-                        }
+    // Extract data from invoice
+    const startDate = new Date(invoiceData.startDate);
+    const monthText = getGujaratiMonth(startDate.getMonth() + 1);
+    const yearText = startDate.getFullYear();
+
+    // Get all milk types and their prices from customer's deliverySchedule
+    const milkTypes = new Map(); // Map to store unique milk types with their prices
+
+    if (mergedOptions.customer && mergedOptions.customer.deliverySchedule) {
+        mergedOptions.customer.deliverySchedule.forEach(delivery => {
+            delivery.milkItems.forEach(milkItem => {
+                let typeName = '';
+                let rawName = '';
+                if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
+                    rawName = milkItem.milkType.name;
+                    const typeNameLower = rawName.toLowerCase().trim();
+                    if (
+                        typeNameLower.includes('cow') || typeNameLower.includes('ગાય')
+                    ) {
+                        typeName = 'ગાય';
+                    } else if (
+                        typeNameLower.includes('buffalo') || typeNameLower.includes('ભેંસ')
+                    ) {
+                        typeName = 'ભેંસ';
                     } else {
-                        typeName = 'ગાય'; // Default
-                    }
-                    // Store the milk type with its price (use the first occurrence's price)
-                    if (!milkTypes.has(typeName)) {
-                        milkTypes.set(typeName, milkItem.pricePerUnit);
+                        typeName = rawName; // fallback
                     }
-                });
+                } else {
+                    typeName = 'ગાય'; // Default
+                }
+                // Store the milk type with its price (use the first occurrence's price)
+                if (!milkTypes.has(typeName)) {
+                    milkTypes.set(typeName, milkItem.pricePerUnit);
+                }
             });
-        }
+        });
+    }
 
-        // If no milk types found, use default
-        if (milkTypes.size === 0) {
-            milkTypes.set('ગાય', 60); // Default price
-        }
+    // If no milk types found, use default
+    if (milkTypes.size === 0) {
+        milkTypes.set('ગાય', 60); // Default price
+    }
 
-        // Create price display string in Gujarati with proper spacing
-        let priceDisplay = '';
-        if (milkTypes.size === 1) {
-            const [typeName, price] = milkTypes.entries().next().value;
-            priceDisplay = `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`;
-        } else {
-            const priceStrings = Array.from(milkTypes.entries()).map(
-                ([typeName, price]) => `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`
-            );
-            priceDisplay = priceStrings.join(', ');
-        }
-
-
-        // Month/Rate/Place (moved down to give space for customer name)
-        doc.font('Gujarati').fontSize(14);
-        doc.text('માસ:', 30, 165);
-        doc.text(`${monthText} ${yearText}`, 95, 165);
-        doc.text('ભાવ:', 220, 165);
-        doc.text(priceDisplay, 275, 165);
-        // doc.text('ઠે.:', 400, 165);
-        // doc.text(customerAddress, 445, 165);
-
-        // Underlines for Month/Rate/Place and Customer Name
-        doc.moveTo(70, 185).lineTo(200, 185).stroke();
-        doc.moveTo(255, 185).lineTo(380, 185).stroke();
-        // Customer name underline
-        doc.moveTo(120, 150).lineTo(400, 150).stroke();
-        // doc.moveTo(420, 185).lineTo(550, 185).stroke();
-
-        // Table dimensions (moved down to accommodate customer name)
-        const marginLeft = 30;
-        const marginRight = 30;
-        const tableWidth = doc.page.width - marginLeft - marginRight;
-        const startY = 195; // Moved down from 175 to 195
-
-        // Each block: 1 date + 2 (સવાર) + 2 (સાંજ) = 5 columns per block, but for 10 days per row, we need to repeat
-        // For 1-10, 11-20, 21-30 (3 blocks)
-        const blockCount = 3;
-        const daysPerBlock = 10;
-        const milkTypesOrder = ['ગાય', 'ભેંસ'];
-        const columnsPerBlock = 1 + 2 * 2; // 1 (date) + 2 (સવાર) + 2 (સાંજ)
-        const totalColumns = blockCount * 5; // 5 columns per block
-        const columnWidth = tableWidth / totalColumns;
-        const headerHeight = 20;
-        const subHeaderHeight = 18;
-        const rowHeight = 24;
-
-        // Draw first header row (main headers)
-        let y = startY;
-        let x = marginLeft;
-        for (let block = 0; block < blockCount; block++) {
-            // Date column
-            doc.rect(x, y, columnWidth, headerHeight + subHeaderHeight).stroke();
-            doc.font('Gujarati').fontSize(11).fillColor('black');
-            doc.text('તા.', x, y + 8, { width: columnWidth, align: 'center' });
+    // Create price display string in Gujarati with proper spacing
+    let priceDisplay = '';
+    if (milkTypes.size === 1) {
+        const [typeName, price] = milkTypes.entries().next().value;
+        priceDisplay = `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`;
+    } else {
+        const priceStrings = Array.from(milkTypes.entries()).map(
+            ([typeName, price]) => `${typeName}:\u00A0${toGujaratiNumber(price)} રૂ.`
+        );
+        priceDisplay = priceStrings.join(', ');
+    }
+
+
+    // Month/Rate/Place (moved down to give space for customer name)
+    doc.font('Gujarati').fontSize(14);
+    doc.text('માસ:', 30, 165);
+    doc.text(`${monthText} ${yearText}`, 95, 165);
+    doc.text('ભાવ:', 220, 165);
+    doc.text(priceDisplay, 275, 165);
+    // doc.text('ઠે.:', 400, 165);
+    // doc.text(customerAddress, 445, 165);
+
+    // Underlines for Month/Rate/Place and Customer Name
+    doc.moveTo(70, 185).lineTo(200, 185).stroke();
+    doc.moveTo(255, 185).lineTo(380, 185).stroke();
+    // Customer name underline
+    doc.moveTo(120, 150).lineTo(400, 150).stroke();
+    // doc.moveTo(420, 185).lineTo(550, 185).stroke();
+
+    // Table dimensions (moved down to accommodate customer name)
+    const marginLeft = 30;
+    const marginRight = 30;
+    const tableWidth = doc.page.width - marginLeft - marginRight;
+    const startY = 195; // Moved down from 175 to 195
+
+    // Each block: 1 date + 2 (સવાર) + 2 (સાંજ) = 5 columns per block, but for 10 days per row, we need to repeat
+    // For 1-10, 11-20, 21-30 (3 blocks)
+    const blockCount = 3;
+    const daysPerBlock = 10;
+    const milkTypesOrder = ['ગાય', 'ભેંસ'];
+    const columnsPerBlock = 1 + 2 * 2; // 1 (date) + 2 (સવાર) + 2 (સાંજ)
+    const totalColumns = blockCount * 5; // 5 columns per block
+    const columnWidth = tableWidth / totalColumns;
+    const headerHeight = 20;
+    const subHeaderHeight = 18;
+    const rowHeight = 24;
+
+    // Draw first header row (main headers)
+    let y = startY;
+    let x = marginLeft;
+    for (let block = 0; block < blockCount; block++) {
+        // Date column
+        doc.rect(x, y, columnWidth, headerHeight + subHeaderHeight).stroke();
+        doc.font('Gujarati').fontSize(11).fillColor('black');
+        doc.text('તા.', x, y + 8, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+        // 'સવાર' colspan=2
+        doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
+        doc.font('Gujarati').fontSize(11).fillColor('black');
+        doc.text('સવાર', x, y + 4, { width: columnWidth * 2, align: 'center' });
+        x += columnWidth * 2;
+        // 'સાંજ' colspan=2
+        doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
+        doc.font('Gujarati').fontSize(11).fillColor('black');
+        doc.text('સાંજ', x, y + 4, { width: columnWidth * 2, align: 'center' });
+        x += columnWidth * 2;
+    }
+    // Draw sub-header row (milk types)
+    y += headerHeight;
+    x = marginLeft;
+    for (let block = 0; block < blockCount; block++) {
+        // Date column (empty)
+        doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
+        x += columnWidth;
+        // 'ગાય' and 'ભેંસ' under 'સવાર'
+        for (let i = 0; i < 2; i++) {
+            doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
+            doc.font('Gujarati').fontSize(10).fillColor('black');
+            doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
             x += columnWidth;
-            // 'સવાર' colspan=2
-            doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
-            doc.font('Gujarati').fontSize(11).fillColor('black');
-            doc.text('સવાર', x, y + 4, { width: columnWidth * 2, align: 'center' });
-            x += columnWidth * 2;
-            // 'સાંજ' colspan=2
-            doc.rect(x, y, columnWidth * 2, headerHeight).stroke();
-            doc.font('Gujarati').fontSize(11).fillColor('black');
-            doc.text('સાંજ', x, y + 4, { width: columnWidth * 2, align: 'center' });
-            x += columnWidth * 2;
-        }
-        // Draw sub-header row (milk types)
-        y += headerHeight;
-        x = marginLeft;
-        for (let block = 0; block < blockCount; block++) {
-            // Date column (empty)
+        }
+        // 'ગાય' and 'ભેંસ' under 'સાંજ'
+        for (let i = 0; i < 2; i++) {
             doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
+            doc.font('Gujarati').fontSize(10).fillColor('black');
+            doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
             x += columnWidth;
-            // 'ગાય' and 'ભેંસ' under 'સવાર'
-            for (let i = 0; i < 2; i++) {
-                doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
-                doc.font('Gujarati').fontSize(10).fillColor('black');
-                doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-            }
-            // 'ગાય' and 'ભેંસ' under 'સાંજ'
-            for (let i = 0; i < 2; i++) {
-                doc.rect(x, y, columnWidth, subHeaderHeight).stroke();
-                doc.font('Gujarati').fontSize(10).fillColor('black');
-                doc.text(milkTypesOrder[i], x, y + 3, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-            }
         }
-        // Prepare data arrays for each day and milk type
-        // Structure: [ [morningCow, morningBuffalo, eveningCow, eveningBuffalo], ... ]
-        const dayData = Array(31).fill(null).map(() => ({
-            morning: { 'ગાય': '', 'ભેંસ': '' },
-            evening: { 'ગાય': '', 'ભેંસ': '' }
-        }));
-        // Fill the arrays with actual data from invoice items
-        invoiceData.items.forEach(item => {
-            const day = new Date(item.date).getDate();
-            if (day > 0 && day <= 31) {
-                if (item.deliverySchedule) {
-                    item.deliverySchedule.forEach(delivery => {
-                        const time = delivery.time;
-                        if (delivery.milkItems && Array.isArray(delivery.milkItems)) {
-                            delivery.milkItems.forEach(milkItem => {
-                                let typeName = '';
-                                if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
-                                    const typeNameLower = milkItem.milkType.name.toLowerCase().replace(/\s/g, '');
-                                    if (typeNameLower.includes('cow') || typeNameLower.includes('ગાય')) {
-                                        typeName = 'ગાય';
-                                    } else if (typeNameLower.includes('buffalo') || typeNameLower.includes('ભેંસ')) {
-                                        typeName = 'ભેંસ';
-                                    } else {
-                                        typeName = milkItem.milkType.name;
-                                    }
-                                } else {
+    }
+    // Prepare data arrays for each day and milk type
+    // Structure: [ [morningCow, morningBuffalo, eveningCow, eveningBuffalo], ... ]
+    const dayData = Array(31).fill(null).map(() => ({
+        morning: { 'ગાય': '', 'ભેંસ': '' },
+        evening: { 'ગાય': '', 'ભેંસ': '' }
+    }));
+    // Fill the arrays with actual data from invoice items
+    invoiceData.items.forEach(item => {
+        const day = new Date(item.date).getDate();
+        if (day > 0 && day <= 31) {
+            if (item.deliverySchedule) {
+                item.deliverySchedule.forEach(delivery => {
+                    const time = delivery.time;
+                    if (delivery.milkItems && Array.isArray(delivery.milkItems)) {
+                        delivery.milkItems.forEach(milkItem => {
+                            let typeName = '';
+                            if (milkItem.milkType && typeof milkItem.milkType === 'object' && milkItem.milkType.name) {
+                                const typeNameLower = milkItem.milkType.name.toLowerCase().replace(/\s/g, '');
+                                if (typeNameLower.includes('cow') || typeNameLower.includes('ગાય')) {
                                     typeName = 'ગાય';
+                                } else if (typeNameLower.includes('buffalo') || typeNameLower.includes('ભેંસ')) {
+                                    typeName = 'ભેંસ';
+                                } else {
+                                    typeName = milkItem.milkType.name;
                                 }
-                                if (milkTypesOrder.includes(typeName) && (time === 'morning' || time === 'evening')) {
-                                    dayData[day - 1][time][typeName] = toGujaratiNumber(milkItem.quantity);
-                                    // Debug log
-                                }
-                            });
-                        }
-                    });
-                }
-            }
-        });
-        // Draw data rows (10 rows with numbers 1-10, 11-20, 21-30)
-        y += subHeaderHeight;
-        for (let row = 0; row < 10; row++) {
-            x = marginLeft;
-            for (let block = 0; block < blockCount; block++) {
-                const dayNum = row + 1 + block * 10;
-                // Date cell
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) {
-                    doc.font('Gujarati').fontSize(10).fillColor('black');
-                    doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
-                }
-                x += columnWidth;
-                // Morning: ગાય
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Morning: ભેંસ
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Evening: ગાય
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
-                // Evening: ભેંસ
-                doc.rect(x, y, columnWidth, rowHeight).stroke();
-                if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
-                x += columnWidth;
+                            } else {
+                                typeName = 'ગાય';
+                            }
+                            if (milkTypesOrder.includes(typeName) && (time === 'morning' || time === 'evening')) {
+                                dayData[day - 1][time][typeName] = toGujaratiNumber(milkItem.quantity);
+                                // Debug log
+                            }
+                        });
+                    }
+                });
             }
-            y += rowHeight;
         }
-        // Add row for day 31
+    });
+    // Draw data rows (10 rows with numbers 1-10, 11-20, 21-30)
+    y += subHeaderHeight;
+    for (let row = 0; row < 10; row++) {
         x = marginLeft;
         for (let block = 0; block < blockCount; block++) {
-            const dayNum = 31;
+            const dayNum = row + 1 + block * 10;
             // Date cell
             doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
+            if (dayNum <= 31) {
+                doc.font('Gujarati').fontSize(10).fillColor('black');
+                doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
+            }
             x += columnWidth;
             // Morning: ગાય
             doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
+            if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
             x += columnWidth;
             // Morning: ભેંસ
             doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].morning['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
+            if (dayNum <= 31) doc.text(dayData[dayNum - 1].morning['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
             x += columnWidth;
             // Evening: ગાય
             doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
+            if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
             x += columnWidth;
             // Evening: ભેંસ
             doc.rect(x, y, columnWidth, rowHeight).stroke();
-            if (block === 2) doc.text(dayData[dayNum - 1].evening['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
+            if (dayNum <= 31) doc.text(dayData[dayNum - 1].evening['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
             x += columnWidth;
         }
         y += rowHeight;
+    }
+    // Add row for day 31
+    x = marginLeft;
+    for (let block = 0; block < blockCount; block++) {
+        const dayNum = 31;
+        // Date cell
+        doc.rect(x, y, columnWidth, rowHeight).stroke();
+        if (block === 2) doc.text(toGujaratiNumber(dayNum), x, y + 7, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+        // Morning: ગાય
+        doc.rect(x, y, columnWidth, rowHeight).stroke();
+        if (block === 2) doc.text(dayData[dayNum - 1].morning['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+        // Morning: ભેંસ
+        doc.rect(x, y, columnWidth, rowHeight).stroke();
+        if (block === 2) doc.text(dayData[dayNum - 1].morning['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+        // Evening: ગાય
+        doc.rect(x, y, columnWidth, rowHeight).stroke();
+        if (block === 2) doc.text(dayData[dayNum - 1].evening['ગાય'], x, y + 7, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+        // Evening: ભેંસ
+        doc.rect(x, y, columnWidth, rowHeight).stroke();
+        if (block === 2) doc.text(dayData[dayNum - 1].evening['ભેંસ'], x, y + 7, { width: columnWidth, align: 'center' });
+        x += columnWidth;
+    }
+    y += rowHeight;
+
+    // Discount lines from pricing rules, in the gap above the summary (at most 3 lines fit)
+    const discounts = invoiceData.discounts || [];
+    if (discounts.length > 0) {
+        const shown = discounts.length > 3
+            ? [...discounts.slice(0, 2), {
+                name: 'અન્ય',
+                amount: discounts.slice(2).reduce((sum, d) => sum + d.amount, 0)
+            }]
+            : discounts;
+        doc.font('Gujarati').fontSize(10).fillColor('green');
+        shown.forEach((discount, index) => {
+            doc.text(
+                `ડિસ્કાઉન્ટ - ${discount.name}: -${toGujaratiNumber(discount.amount)}`,
+                50,
+                y + 6 + index * 14
+            );
+        });
+        doc.fillColor('black');
+    }
+
+    // Account summary section - 20px below the table
+    const summaryY = y + 50;
+
+    // Left side - Summary box
+    doc.rect(marginLeft, summaryY, 340, 190).stroke();
+
+    // Summary fields with lines and dynamic data
+    doc.font('Gujarati').fontSize(12);
+
+    // Account month
+    doc.text('હિસાબ માસ :', 50, summaryY + 20);
+    doc.text(`${monthText} ${yearText}`, 145, summaryY + 20);
+    doc.moveTo(140, summaryY + 37).lineTo(350, summaryY + 37).stroke();
+
+    // Total liters
+    doc.text('કુલ લિટર :', 50, summaryY + 48);
+    doc.text(toGujaratiNumber(invoiceData.totalQuantity || 0), 145, summaryY + 48);
+    doc.moveTo(140, summaryY + 65).lineTo(350, summaryY + 65).stroke();
+
+    // Total bill
+    doc.text('કુલ બિલ :', 50, summaryY + 76);
+    doc.text(toGujaratiNumber(invoiceData.totalAmount || 0), 145, summaryY + 76);
+    doc.moveTo(140, summaryY + 93).lineTo(350, summaryY + 93).stroke();
+
+    // Deposit/Due
+    doc.text('જમા :', 50, summaryY + 104);
+    doc.text(toGujaratiNumber(invoiceData.amountPaid || 0), 145, summaryY + 104);
+    doc.moveTo(140, summaryY + 121).lineTo(350, summaryY + 121).stroke();
+
+    // Remaining due excluding current invoice (above total due)
+    const totalCustomerDue = mergedOptions.totalCustomerDue !== undefined && mergedOptions.totalCustomerDue !== null
+        ? mergedOptions.totalCustomerDue
+        : (invoiceData.dueAmount || 0);
+    const currentInvoiceDue = invoiceData.dueAmount || 0;
+    const remainingDueExcludingCurrent = totalCustomerDue - currentInvoiceDue;
+    doc.text('બાકી :', 50, summaryY + 132);
+    doc.text(toGujaratiNumber(remainingDueExcludingCurrent), 145, summaryY + 132);
+    doc.moveTo(140, summaryY + 149).lineTo(350, summaryY + 149).stroke();
+
+    // Total due (show total due across all invoices if provided via options)
+    doc.text('કુલ બાકી :', 50, summaryY + 160);
+    doc.text(toGujaratiNumber(totalCustomerDue), 145, summaryY + 160);
+    doc.moveTo(140, summaryY + 177).lineTo(350, summaryY + 177).stroke();
+
+    // Right side - QR code box
+    doc.rect(marginLeft + 350, summaryY, 150, 200).stroke();
+
+    // UPI QR for this invoice's due amount
+    drawPaymentQr(doc, invoiceData, mergedOptions, marginLeft + 365, summaryY + 20, 120);
+    doc.font('Gujarati').fontSize(10);
+    doc.text('QR For Payment', marginLeft + 380, summaryY + 150);
+
+    // Notes at the bottom
+    doc.fontSize(11).fillColor('orange');
+    mergedOptions.footerNotes.forEach((note, index) => {
+        doc.text(note, 50, summaryY + 200 + (index * 20));
+    });
+
+    // GST invoices get a second page with the tax breakup
+    if (invoiceData.taxLines && invoiceData.taxLines.length > 0) {
+        doc.addPage();
+        drawTaxBreakupPage(doc, invoiceData, mergedOptions);
+    }
+};
+
+// Labels for the layouts that follow the customer's language (the classic dairy form is always Gujarati)
+const INVOICE_LABELS = {
+    gu: {
+        title: 'બિલ',
+        invoiceNo: 'બિલ નં.',
+        customer: 'ગ્રાહક',
+        customerNo: 'ગ્રાહક નં.',
+        period: 'માસ',
+        date: 'તારીખ',
+        morning: 'સવાર',
+        evening: 'સાંજ',
+        quantity: 'લિટર',
+        amount: 'રકમ',
+        discount: 'ડિસ્કાઉન્ટ',
+        totalQuantity: 'કુલ લિટર',
+        totalAmount: 'કુલ બિલ',
+        paid: 'જમા',
+        previousDue: 'બાકી',
+        totalDue: 'કુલ બાકી',
+        tax: 'GST',
+        payBy: 'UPI થી ચુકવણી',
+    },
+    en: {
+        title: 'INVOICE',
+        invoiceNo: 'Invoice No',
+        customer: 'Customer',
+        customerNo: 'Customer No',
+        period: 'Month',
+        date: 'Date',
+        morning: 'Morning',
+        evening: 'Evening',
+        quantity: 'Litres',
+        amount: 'Amount',
+        discount: 'Discount',
+        totalQuantity: 'Total litres',
+        totalAmount: 'Bill amount',
+        paid: 'Paid',
+        previousDue: 'Previous due',
+        totalDue: 'Total due',
+        tax: 'GST',
+        payBy: 'Pay by UPI',
+    },
+};
+
+const THERMAL_PAGE_WIDTH = 226.77; // 80 mm roll
+
+const formatInvoiceAmount = (amount, language) => {
+    const text = (Math.round((amount || 0) * 100) / 100).toString();
+    return language === 'gu' ? `${toGujaratiNumber(text)} રૂ.` : `Rs. ${text}`;
+};
+
+const formatInvoiceMonth = (date, language) => {
+    const d = new Date(date);
+    return language === 'gu'
+        ? `${getGujaratiMonth(d.getMonth() + 1)} ${d.getFullYear()}`
+        : d.toLocaleString('en-IN', { month: 'long', year: 'numeric' });
+};
+
+// Everything the summary block of each layout shows, worked out once
+const getInvoiceSummary = (invoiceData, mergedOptions) => {
+    const currentDue = invoiceData.dueAmount || 0;
+    const totalDue = mergedOptions.totalCustomerDue ?? currentDue;
+    return {
+        totalQuantity: invoiceData.totalQuantity || 0,
+        totalAmount: invoiceData.totalAmount || 0,
+        paid: invoiceData.amountPaid || 0,
+        previousDue: totalDue - currentDue,
+        totalDue,
+        discounts: invoiceData.discounts || [],
+        totalTax: invoiceData.tax?.totalTax || 0,
+    };
+};
+
+const sumSessionQuantity = (item, time) => (item.deliverySchedule || [])
+    .filter(delivery => delivery.time === time)
+    .reduce((sum, delivery) => sum + delivery.milkItems.reduce((s, milkItem) => s + (milkItem.quantity || 0), 0), 0);
+
+// A4 layout with a plain day-wise table, for customers who prefer a conventional bill
+export const drawModernInvoice = (doc, invoiceData, mergedOptions) => {
+    const language = mergedOptions.language || 'en';
+    const labels = INVOICE_LABELS[language] || INVOICE_LABELS.en;
+    const number = language === 'gu' ? toGujaratiNumber : (n) => `${n}`;
+    const left = 40;
+    const width = doc.page.width - 80;
+    const accent = '#1f4e79';
+
+    // Header band
+    doc.rect(0, 0, doc.page.width, 90).fill(accent);
+    if (mergedOptions.logoPath) {
+        doc.image(mergedOptions.logoPath, left, 15, { fit: [100, 60] });
+    }
+    doc.fillColor('white').font('Gujarati-Bold').fontSize(20)
+        .text(mergedOptions.companyName || `${mergedOptions.logoText.main} ${mergedOptions.logoText.sub}`, 150, 22, { width: 260 });
+    doc.font('Gujarati').fontSize(9);
+    if (mergedOptions.supplier?.address) {
+        doc.text(mergedOptions.supplier.address, 150, 50, { width: 260 });
+    }
+    mergedOptions.contactPersons.slice(0, 2).forEach((person, index) => {
+        doc.text(`${person.name}  ${person.phone}`, 410, 25 + index * 16, { width: 150, align: 'right' });
+    });
+
+    // Invoice and customer details
+    doc.fillColor('black').font('Gujarati-Bold').fontSize(16).text(labels.title, left, 105);
+    doc.font('Gujarati').fontSize(10);
+    doc.text(`${labels.invoiceNo}: ${invoiceData.invoiceNumber || ''}`, 330, 108, { width: 225, align: 'right' });
+    doc.text(`${labels.period}: ${formatInvoiceMonth(invoiceData.startDate, language)}`, 330, 122, { width: 225, align: 'right' });
+
+    const customer = invoiceData.customer || mergedOptions.customer || {};
+    doc.text(`${labels.customer}: ${customer.name || ''}`, left, 132);
+    if (customer.customerNo) doc.text(`${labels.customerNo}: ${number(customer.customerNo)}`, left, 146);
+    if (customer.address) doc.text(customer.address, left, 160, { width: 280, height: 14, ellipsis: true });
+
+    if (mergedOptions.stamp) {
+        doc.fillColor('red').fontSize(10).text(mergedOptions.stamp, 330, 146, { width: 225, align: 'right' });
+        doc.fillColor('black');
+    }
+
+    // Day-wise table
+    const columns = [
+        { title: labels.date, width: 0.22 },
+        { title: labels.morning, width: 0.18 },
+        { title: labels.evening, width: 0.18 },
+        { title: labels.quantity, width: 0.18 },
+        { title: labels.amount, width: 0.24 },
+    ];
+    const rowHeight = 13;
+    let y = 180;
 
-        // Account summary section - 20px below the table
-        const summaryY = y + 50;
-
-        // Left side - Summary box
-        doc.rect(marginLeft, summaryY, 340, 190).stroke();
-
-        // Summary fields with lines and dynamic data
-        doc.font('Gujarati').fontSize(12);
-
-        // Account month
-        doc.text('હિસાબ માસ :', 50, summaryY + 20);
-        doc.text(`${monthText} ${yearText}`, 145, summaryY + 20);
-        doc.moveTo(140, summaryY + 37).lineTo(350, summaryY + 37).stroke();
-
-        // Total liters
-        doc.text('કુલ લિટર :', 50, summaryY + 48);
-        doc.text(toGujaratiNumber(invoiceData.totalQuantity || 0), 145, summaryY + 48);
-        doc.moveTo(140, summaryY + 65).lineTo(350, summaryY + 65).stroke();
-
-        // Total bill
-        doc.text('કુલ બિલ :', 50, summaryY + 76);
-        doc.text(toGujaratiNumber(invoiceData.totalAmount || 0), 145, summaryY + 76);
-        doc.moveTo(140, summaryY + 93).lineTo(350, summaryY + 93).stroke();
-
-        // Deposit/Due
-        doc.text('જમા :', 50, summaryY + 104);
-        doc.text(toGujaratiNumber(invoiceData.amountPaid || 0), 145, summaryY + 104);
-        doc.moveTo(140, summaryY + 121).lineTo(350, summaryY + 121).stroke();
-
-        // Remaining due excluding current invoice (above total due)
-        const totalCustomerDue = mergedOptions.totalCustomerDue !== undefined && mergedOptions.totalCustomerDue !== null
-            ? mergedOptions.totalCustomerDue
-            : (invoiceData.dueAmount || 0);
-        const currentInvoiceDue = invoiceData.dueAmount || 0;
-        const remainingDueExcludingCurrent = totalCustomerDue - currentInvoiceDue;
-        doc.text('બાકી :', 50, summaryY + 132);
-        doc.text(toGujaratiNumber(remainingDueExcludingCurrent), 145, summaryY + 132);
-        doc.moveTo(140, summaryY + 149).lineTo(350, summaryY + 149).stroke();
-
-        // Total due (show total due across all invoices if provided via options)
-        doc.text('કુલ બાકી :', 50, summaryY + 160);
-        doc.text(toGujaratiNumber(totalCustomerDue), 145, summaryY + 160);
-        doc.moveTo(140, summaryY + 177).lineTo(350, summaryY + 177).stroke();
-
-        // Right side - QR code box
-        doc.rect(marginLeft + 350, summaryY, 150, 200).stroke();
-
-        // Use direct QR image instead of generating
-        const qrImagePath = './assets/images/qr-code.png';
-
-        // Place QR code image
-        doc.image(qrImagePath, marginLeft + 365, summaryY + 20, { width: 120 });
-        doc.font('Gujarati').fontSize(10);
-        doc.text('QR For Payment', marginLeft + 380, summaryY + 150);
-
-        // Notes at the bottom
-        doc.fontSize(11).fillColor('orange');
-        mergedOptions.footerNotes.forEach((note, index) => {
-            doc.text(note, 50, summaryY + 200 + (index * 20));
+    const drawRow = (cells, { header = false } = {}) => {
+        if (header) {
+            doc.rect(left, y, width, rowHeight + 2).fill(accent);
+        }
+        let x = left;
+        doc.font(header ? 'Gujarati-Bold' : 'Gujarati').fontSize(9).fillColor(header ? 'white' : 'black');
+        columns.forEach((column, index) => {
+            const cellWidth = width * column.width;
+            doc.text(cells[index], x + 4, y + 3, { width: cellWidth - 8, align: index === 0 ? 'left' : 'right' });
+            x += cellWidth;
         });
+        y += header ? rowHeight + 2 : rowHeight;
+        if (!header) {
+            doc.moveTo(left, y).lineTo(left + width, y).lineWidth(0.3).strokeColor('#cccccc').stroke();
+            doc.strokeColor('black').lineWidth(1);
+        }
+    };
+
+    drawRow(columns.map(column => column.title), { header: true });
+    (invoiceData.items || []).forEach(item => {
+        if (y > doc.page.height - 60) {
+            doc.addPage({ size: 'A4', margin: 0 });
+            y = 40;
+            drawRow(columns.map(column => column.title), { header: true });
+        }
+        const d = new Date(item.date);
+        drawRow([
+            language === 'gu' ? toGujaratiDate(d) : d.toLocaleDateString('en-IN'),
+            number(sumSessionQuantity(item, 'morning')),
+            number(sumSessionQuantity(item, 'evening')),
+            number(item.totalDailyQuantity || 0),
+            number((item.totalDailyPrice || 0).toFixed(2)),
+        ]);
+    });
+
+    // Summary with the payment QR beside it
+    const summary = getInvoiceSummary(invoiceData, mergedOptions);
+    const lines = [
+        [labels.totalQuantity, number(summary.totalQuantity)],
+        ...summary.discounts.map(discount => [`${labels.discount} - ${discount.name}`, `-${formatInvoiceAmount(discount.amount, language)}`]),
+        ...(summary.totalTax ? [[labels.tax, formatInvoiceAmount(summary.totalTax, language)]] : []),
+        [labels.totalAmount, formatInvoiceAmount(summary.totalAmount, language)],
+        [labels.paid, formatInvoiceAmount(summary.paid, language)],
+        [labels.previousDue, formatInvoiceAmount(summary.previousDue, language)],
+    ];
+
+    // Keep the summary, QR and notes together on one page
+    const summaryHeight = Math.max(lines.length * 16 + 34, 135) + mergedOptions.footerNotes.length * 14;
+    if (y + 15 + summaryHeight > doc.page.height - 20) {
+        doc.addPage({ size: 'A4', margin: 0 });
+        y = 40;
+    }
+    y += 15;
+    const summaryTop = y;
+
+    doc.font('Gujarati').fontSize(10).fillColor('black');
+    lines.forEach(([label, value]) => {
+        doc.text(label, left, y, { width: 200 });
+        doc.text(value, left + 200, y, { width: 120, align: 'right' });
+        y += 16;
+    });
+    doc.rect(left, y + 2, 320, 22).fill(accent);
+    doc.fillColor('white').font('Gujarati-Bold').fontSize(12);
+    doc.text(labels.totalDue, left + 6, y + 7, { width: 190 });
+    doc.text(formatInvoiceAmount(summary.totalDue, language), left + 200, y + 7, { width: 114, align: 'right' });
+    y += 34;
+
+    doc.fillColor('black').font('Gujarati').fontSize(9);
+    drawPaymentQr(doc, invoiceData, mergedOptions, left + width - 120, summaryTop, 110);
+    if (mergedOptions.upiId) {
+        doc.text(`${labels.payBy}: ${mergedOptions.upiId}`, left + width - 170, summaryTop + 115, { width: 170, align: 'right' });
+    }
+
+    // Notes at the bottom, clear of the QR
+    y = Math.max(y, summaryTop + 135);
+    doc.fontSize(9).fillColor('gray');
+    mergedOptions.footerNotes.forEach(note => {
+        doc.text(note, left, y, { width });
+        y += 14;
+    });
+    doc.fillColor('black');
+
+    // GST invoices get a second page with the tax breakup
+    if (invoiceData.taxLines && invoiceData.taxLines.length > 0) {
+        doc.addPage();
+        drawTaxBreakupPage(doc, invoiceData, mergedOptions);
+    }
+};
+
+// Page height for the 80 mm receipt grows with the number of summary and note lines
+const getThermalPageHeight = (invoiceData, mergedOptions) => {
+    const discountLines = (invoiceData.discounts || []).length;
+    const taxLine = invoiceData.tax?.totalTax ? 1 : 0;
+    return 400 + (discountLines + taxLine) * 14 + mergedOptions.footerNotes.length * 26
+        + (mergedOptions.stamp ? 14 : 0);
+};
+
+// Compact 80 mm receipt: totals only, for customers billed from a thermal printer
+export const drawThermalInvoice = (doc, invoiceData, mergedOptions) => {
+    const language = mergedOptions.language || 'gu';
+    const labels = INVOICE_LABELS[language] || INVOICE_LABELS.gu;
+    const number = language === 'gu' ? toGujaratiNumber : (n) => `${n}`;
+    const left = 10;
+    const width = doc.page.width - 20;
+    let y = 10;
+
+    const center = (text, font = 'Gujarati', size = 9) => {
+        doc.font(font).fontSize(size).text(text, left, y, { width, align: 'center' });
+        y = doc.y + 2;
+    };
+    const row = (label, value, font = 'Gujarati') => {
+        doc.font(font).fontSize(9);
+        doc.text(label, left, y, { width: width * 0.55 });
+        doc.text(value, left + width * 0.55, y, { width: width * 0.45, align: 'right' });
+        y += 14;
+    };
+    const rule = () => {
+        doc.moveTo(left, y).lineTo(left + width, y).dash(2, { space: 2 }).stroke().undash();
+        y += 6;
+    };
+
+    doc.fillColor('black');
+    center(mergedOptions.companyName || `${mergedOptions.logoText.main} ${mergedOptions.logoText.sub}`, 'Gujarati-Bold', 12);
+    mergedOptions.contactPersons.slice(0, 2).forEach(person => center(`${person.name} ${person.phone}`, 'Gujarati', 8));
+    rule();
+
+    const customer = invoiceData.customer || mergedOptions.customer || {};
+    row(labels.invoiceNo, invoiceData.invoiceNumber || '');
+    row(labels.period, formatInvoiceMonth(invoiceData.startDate, language));
+    row(labels.customer, customer.name || '');
+    if (customer.customerNo) row(labels.customerNo, number(customer.customerNo));
+    if (mergedOptions.stamp) {
+        doc.fillColor('red');
+        center(mergedOptions.stamp, 'Gujarati', 8);
+        doc.fillColor('black');
+    }
+    rule();
+
+    const summary = getInvoiceSummary(invoiceData, mergedOptions);
+    row(labels.totalQuantity, number(summary.totalQuantity));
+    summary.discounts.forEach(discount => row(`${labels.discount} - ${discount.name}`, `-${formatInvoiceAmount(discount.amount, language)}`));
+    if (summary.totalTax) row(labels.tax, formatInvoiceAmount(summary.totalTax, language));
+    row(labels.totalAmount, formatInvoiceAmount(summary.totalAmount, language), 'Gujarati-Bold');
+    row(labels.paid, formatInvoiceAmount(summary.paid, language));
+    row(labels.previousDue, formatInvoiceAmount(summary.previousDue, language));
+    rule();
+    row(labels.totalDue, formatInvoiceAmount(summary.totalDue, language), 'Gujarati-Bold');
+    rule();
+
+    drawPaymentQr(doc, invoiceData, mergedOptions, left + (width - 110) / 2, y, 110);
+    y += 116;
+    if (mergedOptions.upiId) center(`${labels.payBy}: ${mergedOptions.upiId}`, 'Gujarati', 8);
+
+    mergedOptions.footerNotes.forEach(note => center(note, 'Gujarati', 8));
+};
+
+// pdfkit page options for an invoice in the given layout
+export const getInvoicePageOptions = (invoiceData, mergedOptions) => {
+    if (mergedOptions.template === 'thermal_80mm') {
+        return { size: [THERMAL_PAGE_WIDTH, getThermalPageHeight(invoiceData, mergedOptions)], margin: 0 };
+    }
+    return { size: 'A4', margin: 0, layout: 'portrait' };
+};
+
+// Start a new page and draw the invoice in the layout named by mergedOptions.template
+export const addInvoicePage = (doc, invoiceData, mergedOptions) => {
+    doc.addPage(getInvoicePageOptions(invoiceData, mergedOptions));
+
+    if (mergedOptions.template === 'english_modern') {
+        return drawModernInvoice(doc, invoiceData, mergedOptions);
+    }
+    if (mergedOptions.template === 'thermal_80mm') {
+        return drawThermalInvoice(doc, invoiceData, mergedOptions);
+    }
+    return drawDairyFormInvoice(doc, invoiceData, mergedOptions);
+};
+
+// @desc    Render an invoice PDF in any of the configured layouts (see getBrandingOptions)
+// @param   invoiceData - Invoice data object
+// @param   outputStream - Stream to pipe the PDF to (can be response or file)
+// @param   options - Branding, template, language and customer details
+export const renderInvoicePDF = async (invoiceData, outputStream, options = {}) => {
+    try {
+        const mergedOptions = { ...dairyFormDefaults, ...options };
+
+        const doc = new PDFDocument({ autoFirstPage: false });
+        registerFonts(doc);
+        doc.pipe(outputStream);
+
+        addInvoicePage(doc, invoiceData, mergedOptions);
 
-        // Finalize the PDF
         doc.end();
 
         return true;
@@ -1442,62 +2072,100 @@ export const generateDairyFormPDF = async (invoiceData, outputStream, options =
     }
 };
 
+// Swap each item's milk type id for its name, as the dairy form labels columns by milk type
+export const populateItemMilkTypes = async (items) => {
+    for (const item of items) {
+        for (const delivery of item.deliverySchedule) {
+            for (const milkItem of delivery.milkItems) {
+                milkItem.milkType = await Category.findById(milkItem.milkType).select('name');
+            }
+        }
+    }
+};
 
+// Fetch customer with populated deliverySchedule to get milk types and prices
+export const loadPdfCustomer = (customerId) => {
+    return Customer.findById(customerId)
+        .populate({
+            path: 'deliverySchedule.milkItems.milkType',
+            select: 'name'
+        })
+        .populate({
+            path: 'deliverySchedule.milkItems.subcategory',
+            select: 'name price'
+        });
+};
 
+// Everything renderInvoicePDF needs besides the invoice itself (populates the
+// invoice's item milk types in place). Returns null when the customer no longer exists.
+export const buildInvoicePdfOptions = async (invoice, config) => {
+    await populateItemMilkTypes(invoice.items);
 
+    const customer = await loadPdfCustomer(invoice.customer._id);
+    if (!customer) {
+        return null;
+    }
 
-// @desc    Generate modern PDF for invoice
+    // Compute total due across all invoices for this customer
+    const customerAllInvoices = await Invoice.find({ customer: invoice.customer._id });
+    const totalCustomerDue = customerAllInvoices.reduce((sum, inv) => sum + (inv.dueAmount || 0), 0);
+
+    const branding = getBrandingOptions(config);
+
+    return {
+        ...branding,
+        // The customer's own layout and language win over the dairy-wide defaults
+        template: customer.invoiceTemplate || branding.template,
+        language: customer.invoiceLanguage || branding.language,
+        customer, // Pass customer data with deliverySchedule
+        totalCustomerDue,
+        supplier: {
+            name: config?.companyName,
+            address: config?.address,
+            state: config?.state
+        }
+    };
+};
+
+// @desc    Generate modern PDF for invoice (?template= and ?language= override the customer's choice)
 // @route   GET /api/invoices/:id/modern-pdf
 // @access  Private/Admin
 export const generateModernInvoicePDF = async (req, res) => {
     try {
         const { id } = req.params;
+        const { template, language } = req.query;
 
-        // Fetch invoice with customer details
-        const invoice = await Invoice.findById(id).populate('customer');
-
-        for (const item of invoice.items) {
-            for (const delivery of item.deliverySchedule) {
-                for (const milkItem of delivery.milkItems) {
-
-                    milkItem.milkType = await Category.findById(milkItem.milkType).select('name');
+        if (template && !INVOICE_TEMPLATES.includes(template)) {
+            return res.status(400).json({ message: 'Invalid invoice template' });
+        }
 
-                }
-            }
+        if (language && !INVOICE_LANGUAGES.includes(language)) {
+            return res.status(400).json({ message: 'Invalid invoice language' });
         }
 
+        // Fetch invoice with customer details
+        const invoice = await Invoice.findById(id).populate('customer');
+
         if (!invoice) {
             return res.status(404).json({ message: 'Invoice not found' });
         }
 
-        // Fetch customer with populated deliverySchedule to get milk types and prices
-        const customer = await Customer.findById(invoice.customer._id)
-            .populate({
-                path: 'deliverySchedule.milkItems.milkType',
-                select: 'name'
-            })
-            .populate({
-                path: 'deliverySchedule.milkItems.subcategory',
-                select: 'name price'
-            });
+        const config = await SystemConfig.findOne().lean();
+        const pdfOptions = await buildInvoicePdfOptions(invoice, config);
 
-        if (!customer) {
+        if (!pdfOptions) {
             return res.status(404).json({ message: 'Customer not found' });
         }
 
-        // Compute total due across all invoices for this customer
-        const customerAllInvoices = await Invoice.find({ customer: invoice.customer._id });
-        const totalCustomerDue = customerAllInvoices.reduce((sum, inv) => sum + (inv.dueAmount || 0), 0);
-
         // Set response headers
         res.setHeader('Content-Type', 'application/pdf');
         res.setHeader('Content-Disposition', `attachment; filename=invoice-${invoice.invoiceNumber}-modern.pdf`);
 
         // Generate the PDF using the utility function with customer data
-        await generateDairyFormPDF(invoice, res, {
-            upiId: 'ramdevdairy@upi',
-            customer: customer, // Pass customer data with deliverySchedule
-            totalCustomerDue
+        await renderInvoicePDF(invoice, res, {
+            ...pdfOptions,
+            ...(template ? { template } : {}),
+            ...(language ? { language } : {}),
         });
 
     } catch (error) {
@@ -1506,6 +2174,67 @@ export const generateModernInvoicePDF = async (req, res) => {
     }
 };
 
+// @desc    UPI payment link and QR for what is still due on an invoice
+// @route   GET /api/invoices/:id/upi?format=json|png|svg
+//          GET /api/invoices/my/:id/upi (the logged-in customer's own invoices only)
+// @access  Private/Admin, Private/Customer
+export const getInvoiceUpi = async (req, res) => {
+    try {
+        const { format = 'json' } = req.query;
+
+        if (!['json', 'png', 'svg'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be json, png or svg' });
+        }
+
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            ...(req.customer ? { customer: req.customer._id } : {}),
+        }).select('invoiceNumber dueAmount status');
+
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot collect payment on a voided invoice' });
+        }
+
+        const config = await SystemConfig.findOne().lean();
+        const upiId = config?.invoiceBranding?.upiId;
+
+        if (!upiId) {
+            return res.status(400).json({ message: 'UPI ID is not configured' });
+        }
+
+        const link = buildInvoiceUpiLink(invoice, { upiId, companyName: config.companyName });
+
+        if (format === 'png') {
+            res.setHeader('Content-Type', 'image/png');
+            return res.send(await generateQrImage(link, 'png'));
+        }
+
+        if (format === 'svg') {
+            res.setHeader('Content-Type', 'image/svg+xml');
+            return res.send(await generateQrImage(link, 'svg'));
+        }
+
+        const png = await generateQrImage(link, 'png');
+
+        return res.json({
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            amount: invoice.dueAmount,
+            vpa: upiId,
+            payeeName: config.companyName,
+            link,
+            qrPng: `data:image/png;base64,${png.toString('base64')}`,
+            qrSvg: await generateQrImage(link, 'svg'),
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
 export const getCustomerInvoices = async (req, res) => {
     try {
         const { id } = req.params;
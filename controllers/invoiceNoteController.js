@@ -0,0 +1,433 @@
+// controllers/invoiceNoteController.js
+import PDFDocument from 'pdfkit';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import SystemConfig from '../models/SystemConfig.js';
+import InvoiceNote, { CreditNote, DebitNote } from '../models/InvoiceNote.js';
+import { registerFonts } from '../config/fonts.js';
+import { recordInvoiceNote } from '../utils/ledger.js';
+import { nextSequence } from '../utils/sequence.js';
+import {
+    dairyFormDefaults,
+    drawDairyFormHeader,
+    toGujaratiNumber,
+    toGujaratiDate,
+    getBrandingOptions,
+} from './invoiceController.js';
+
+const generateNoteNumber = async (NoteModel, series) => {
+    return nextSequence(series, {
+        // Continue from the last number issued this period before counters were introduced
+        seed: async (period) => {
+            const query = period ? { createdAt: { $gte: period.from, $lt: period.to } } : {};
+            const latestNote = await NoteModel.findOne(query, {}, { sort: { 'createdAt': -1 } });
+            if (!latestNote) return 0;
+
+            // Extract counter from the last note number (format: CN-YY-MM-XXXX / DN-YY-MM-XXXX)
+            const lastCounter = parseInt(latestNote.noteNumber.split('-')[3]);
+            return isNaN(lastCounter) ? 0 : lastCounter;
+        }
+    });
+};
+
+const isSameDay = (a, b) => {
+    const first = new Date(a);
+    const second = new Date(b);
+    return first.getFullYear() === second.getFullYear()
+        && first.getMonth() === second.getMonth()
+        && first.getDate() === second.getDate();
+};
+
+// Find the billed milk item on an invoice for a given date, time and milk type
+const findInvoiceLine = (invoice, item) => {
+    const day = invoice.items.find(invoiceItem => isSameDay(invoiceItem.date, item.date));
+    if (!day) return null;
+
+    const delivery = day.deliverySchedule.find(d => d.time === item.time);
+    if (!delivery) return null;
+
+    return delivery.milkItems.find(milkItem =>
+        milkItem.milkType.toString() === item.milkType.toString() &&
+        milkItem.subcategory.toString() === item.subcategory.toString()
+    ) || null;
+};
+
+const lineKey = (item) => [new Date(item.date).toDateString(), item.time, item.milkType, item.subcategory].join('|');
+
+// Quantity already credited per invoice line by earlier credit notes, keyed by lineKey
+const getCreditedQuantities = async (invoiceId) => {
+    const credited = new Map();
+    const creditNotes = await CreditNote.find({ invoice: invoiceId }).select('items').lean();
+    creditNotes.forEach(note => note.items.forEach(item => {
+        const key = lineKey(item);
+        credited.set(key, (credited.get(key) || 0) + item.quantity);
+    }));
+    return credited;
+};
+
+// Shared handler for credit and debit notes
+const createInvoiceNote = (NoteModel, series) => async (req, res) => {
+    try {
+        const { items, notes } = req.body;
+        const reason = (req.body.reason || '').toString().trim();
+        const isCredit = NoteModel === CreditNote;
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required' });
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            return res.status(400).json({ message: 'At least one line item is required' });
+        }
+
+        const invoice = await Invoice.findById(req.params.id);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot issue notes against a voided invoice' });
+        }
+
+        const periodEnd = new Date(invoice.endDate);
+        periodEnd.setHours(23, 59, 59, 999);
+
+        const credited = isCredit ? await getCreditedQuantities(invoice._id) : null;
+
+        const noteItems = [];
+        for (const item of items) {
+            const quantity = parseFloat(item.quantity);
+            const itemDate = new Date(item.date);
+
+            if (!item.date || isNaN(itemDate.getTime())) {
+                return res.status(400).json({ message: 'Each line item needs a valid date' });
+            }
+
+            if (itemDate < invoice.startDate || itemDate > periodEnd) {
+                return res.status(400).json({ message: `Date ${item.date} is outside the invoice period` });
+            }
+
+            if (!['morning', 'evening'].includes(item.time) || !item.milkType || !item.subcategory) {
+                return res.status(400).json({ message: 'Each line item needs time, milkType and subcategory' });
+            }
+
+            if (!quantity || quantity <= 0) {
+                return res.status(400).json({ message: 'Each line item needs a positive quantity' });
+            }
+
+            const invoiceLine = findInvoiceLine(invoice, item);
+
+            if (isCredit) {
+                // Only billed milk can be credited, and no more of it than earlier notes left
+                if (!invoiceLine) {
+                    return res.status(400).json({
+                        message: `Nothing was billed on ${item.date} (${item.time}) for that milk type`
+                    });
+                }
+
+                const key = lineKey(item);
+                const alreadyCredited = credited.get(key) || 0;
+                const remaining = invoiceLine.quantity - alreadyCredited;
+                if (quantity - remaining > 1e-9) {
+                    return res.status(400).json({
+                        message: `Quantity ${quantity} exceeds the ${remaining} left to credit on ${item.date} (${item.time}) of the ${invoiceLine.quantity} billed`
+                    });
+                }
+                credited.set(key, alreadyCredited + quantity);
+            }
+
+            const pricePerUnit = item.pricePerUnit !== undefined
+                ? parseFloat(item.pricePerUnit)
+                : invoiceLine?.pricePerUnit;
+
+            if (pricePerUnit === undefined || isNaN(pricePerUnit) || pricePerUnit < 0) {
+                return res.status(400).json({
+                    message: `No billed price found for ${item.date} (${item.time}); provide pricePerUnit`
+                });
+            }
+
+            noteItems.push({
+                date: itemDate,
+                time: item.time,
+                milkType: item.milkType,
+                subcategory: item.subcategory,
+                quantity,
+                pricePerUnit,
+                amount: quantity * pricePerUnit,
+                notes: item.notes,
+            });
+        }
+
+        const totalAmount = noteItems.reduce((sum, item) => sum + item.amount, 0);
+
+        // A credit note first reduces what is still due; anything beyond that becomes advance
+        const appliedAmount = isCredit ? Math.min(totalAmount, Math.max(invoice.dueAmount, 0)) : totalAmount;
+        const advanceAmount = totalAmount - appliedAmount;
+
+        const note = await NoteModel.create({
+            noteNumber: await generateNoteNumber(NoteModel, series),
+            invoice: invoice._id,
+            customer: invoice.customer,
+            reason,
+            items: noteItems,
+            appliedAmount,
+            advanceAmount,
+            issuedBy: req.admin?._id,
+            notes,
+        });
+
+        if (isCredit) {
+            invoice.creditNoteAmount = (invoice.creditNoteAmount || 0) + appliedAmount;
+        } else {
+            invoice.debitNoteAmount = (invoice.debitNoteAmount || 0) + totalAmount;
+        }
+        await invoice.save();
+
+        await recordInvoiceNote(note, invoice, req.admin?._id);
+
+        if (advanceAmount > 0) {
+            const customer = await Customer.findById(invoice.customer);
+            customer.advance = (customer.advance || 0) + advanceAmount;
+            await customer.save();
+        }
+
+        return res.status(201).json({
+            note,
+            invoice: {
+                _id: invoice._id,
+                invoiceNumber: invoice.invoiceNumber,
+                totalAmount: invoice.totalAmount,
+                creditNoteAmount: invoice.creditNoteAmount,
+                debitNoteAmount: invoice.debitNoteAmount,
+                amountPaid: invoice.amountPaid,
+                dueAmount: invoice.dueAmount,
+                status: invoice.status,
+            },
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Issue a credit note against an invoice
+// @route   POST /api/invoices/:id/credit-notes
+// @access  Private/Admin
+export const createCreditNote = createInvoiceNote(CreditNote, 'credit_note');
+
+// @desc    Issue a debit note against an invoice
+// @route   POST /api/invoices/:id/debit-notes
+// @access  Private/Admin
+export const createDebitNote = createInvoiceNote(DebitNote, 'debit_note');
+
+// @desc    Get all credit/debit notes issued against an invoice
+// @route   GET /api/invoices/:id/notes
+// @access  Private/Admin
+export const getInvoiceNotes = async (req, res) => {
+    try {
+        const notes = await InvoiceNote.find({ invoice: req.params.id })
+            .populate('items.milkType', 'name')
+            .populate('items.subcategory', 'name')
+            .sort({ createdAt: 1 });
+
+        return res.json({ notes });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get credit/debit notes with filters
+// @route   GET /api/invoice-notes
+// @access  Private/Admin
+export const getNotes = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, customerId, noteType } = req.query;
+
+        const query = {};
+
+        if (customerId) {
+            query.customer = customerId;
+        }
+
+        if (noteType) {
+            query.noteType = noteType;
+        }
+
+        const count = await InvoiceNote.countDocuments(query);
+
+        const notes = await InvoiceNote.find(query)
+            .populate('customer', 'name phoneNo customerNo')
+            .populate('invoice', 'invoiceNumber startDate endDate')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            notes,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get a credit/debit note by ID
+// @route   GET /api/invoice-notes/:id
+// @access  Private/Admin
+export const getNoteById = async (req, res) => {
+    try {
+        const note = await InvoiceNote.findById(req.params.id)
+            .populate('customer', 'name phoneNo address customerNo')
+            .populate('invoice', 'invoiceNumber startDate endDate totalAmount dueAmount')
+            .populate('items.milkType', 'name')
+            .populate('items.subcategory', 'name');
+
+        if (!note) {
+            return res.status(404).json({ message: 'Note not found' });
+        }
+
+        return res.json(note);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+const toGujaratiMilkType = (milkType) => {
+    const name = (milkType && milkType.name) || '';
+    const lower = name.toLowerCase();
+    if (lower.includes('cow') || lower.includes('ગાય')) return 'ગાય';
+    if (lower.includes('buffalo') || lower.includes('ભેંસ')) return 'ભેંસ';
+    return name;
+};
+
+// @desc    Render a credit/debit note with the same Gujarati header as the dairy form
+// @param   note - Note with populated customer, invoice and item milk types
+// @param   outputStream - Stream to pipe the PDF to (can be response or file)
+// @param   options - Additional options for customization
+export const generateInvoiceNotePDF = async (note, outputStream, options = {}) => {
+    try {
+        const mergedOptions = { ...dairyFormDefaults, ...options };
+        const isCredit = note.noteType === 'CreditNote';
+
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 0,
+            layout: 'portrait'
+        });
+
+        registerFonts(doc);
+        doc.pipe(outputStream);
+
+        drawDairyFormHeader(doc, mergedOptions);
+
+        // Title
+        doc.fillColor(isCredit ? 'green' : 'red').font('Gujarati-Bold').fontSize(18);
+        doc.text(isCredit ? 'ક્રેડિટ નોટ' : 'ડેબિટ નોટ', 30, 135, { width: doc.page.width - 60, align: 'center' });
+
+        // Note details
+        doc.fillColor('black').font('Gujarati').fontSize(12);
+        doc.text('ગ્રાહક નામ:', 30, 170);
+        doc.text(note.customer?.name || '', 120, 170);
+        doc.text('નોટ નં.:', 350, 170);
+        doc.text(note.noteNumber, 420, 170);
+        doc.text('બિલ નં.:', 30, 192);
+        doc.text(note.invoice?.invoiceNumber || '', 120, 192);
+        doc.text('તારીખ:', 350, 192);
+        doc.text(toGujaratiDate(note.createdAt || new Date()), 420, 192);
+        doc.text('કારણ:', 30, 214);
+        doc.text(note.reason, 120, 214, { width: doc.page.width - 150 });
+
+        // Line items table
+        const marginLeft = 30;
+        const tableWidth = doc.page.width - 60;
+        const columns = [
+            { title: 'તારીખ', width: 0.2 },
+            { title: 'સમય', width: 0.14 },
+            { title: 'દૂધ', width: 0.2 },
+            { title: 'લિટર', width: 0.14 },
+            { title: 'ભાવ', width: 0.14 },
+            { title: 'રકમ', width: 0.18 },
+        ];
+        const rowHeight = 24;
+        let y = 250;
+
+        const drawRow = (cells, font) => {
+            let x = marginLeft;
+            columns.forEach((column, index) => {
+                const width = tableWidth * column.width;
+                doc.rect(x, y, width, rowHeight).stroke();
+                doc.font(font).fontSize(11).fillColor('black');
+                doc.text(cells[index], x, y + 6, { width, align: 'center' });
+                x += width;
+            });
+            y += rowHeight;
+        };
+
+        drawRow(columns.map(column => column.title), 'Gujarati-Bold');
+
+        note.items.forEach(item => {
+            drawRow([
+                toGujaratiDate(item.date),
+                item.time === 'morning' ? 'સવાર' : 'સાંજ',
+                toGujaratiMilkType(item.milkType),
+                toGujaratiNumber(item.quantity),
+                toGujaratiNumber(item.pricePerUnit),
+                toGujaratiNumber(item.amount),
+            ], 'Gujarati');
+
+            // Continue on a new page when the table runs off the bottom
+            if (y > doc.page.height - 120) {
+                doc.addPage({ size: 'A4', margin: 0 });
+                y = 40;
+            }
+        });
+
+        // Totals
+        y += 15;
+        doc.font('Gujarati-Bold').fontSize(13);
+        doc.text('કુલ લિટર :', 300, y);
+        doc.text(toGujaratiNumber(note.totalQuantity || 0), 420, y);
+        y += 22;
+        doc.text('કુલ રકમ :', 300, y);
+        doc.text(`${toGujaratiNumber(note.totalAmount || 0)} રૂ.`, 420, y);
+
+        if (isCredit && note.advanceAmount > 0) {
+            y += 22;
+            doc.font('Gujarati').fontSize(11);
+            doc.text(`* ${toGujaratiNumber(note.advanceAmount)} રૂ. એડવાન્સમાં જમા કરેલ છે.`, 300, y);
+        }
+
+        doc.end();
+
+        return true;
+    } catch (error) {
+        console.error('Note PDF generation error:', error);
+        throw error;
+    }
+};
+
+// @desc    Download a credit/debit note as PDF
+// @route   GET /api/invoice-notes/:id/pdf
+// @access  Private/Admin
+export const getNotePDF = async (req, res) => {
+    try {
+        const note = await InvoiceNote.findById(req.params.id)
+            .populate('customer', 'name')
+            .populate('invoice', 'invoiceNumber')
+            .populate('items.milkType', 'name');
+
+        if (!note) {
+            return res.status(404).json({ message: 'Note not found' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=${note.noteNumber}.pdf`);
+
+        const config = await SystemConfig.findOne().lean();
+        await generateInvoiceNotePDF(note, res, getBrandingOptions(config));
+    } catch (error) {
+        console.error('Note PDF generation error:', error);
+        return res.status(500).json({ message: error.message });
+    }
+};
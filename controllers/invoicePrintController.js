@@ -0,0 +1,156 @@
+// controllers/invoicePrintController.js
+import PDFDocument from 'pdfkit';
+import { PassThrough } from 'stream';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { registerFonts } from '../config/fonts.js';
+import { createZipWriter } from '../utils/zip.js';
+import { getMonthPeriod } from '../utils/invoiceGenerator.js';
+import {
+    dairyFormDefaults,
+    addInvoicePage,
+    renderInvoicePDF,
+    buildInvoicePdfOptions,
+} from './invoiceController.js';
+
+const INVOICE_STATUSES = ['pending', 'partially_paid', 'paid', 'overdue', 'void'];
+
+// Milkman (in SystemConfig order), then area, then position on the round;
+// customers without a routeOrder go to the end of their area
+const compareRouteOrder = (milkmanOrder) => (a, b) => {
+    const milkmanA = a.milkman ? milkmanOrder.get(a.milkman.toString()) ?? Infinity : Infinity;
+    const milkmanB = b.milkman ? milkmanOrder.get(b.milkman.toString()) ?? Infinity : Infinity;
+    if (milkmanA !== milkmanB) return milkmanA - milkmanB;
+
+    const areaCompare = (a.area || '').localeCompare(b.area || '');
+    if (areaCompare !== 0) return areaCompare;
+
+    const routeA = a.routeOrder ?? Infinity;
+    const routeB = b.routeOrder ?? Infinity;
+    if (routeA !== routeB) return routeA - routeB;
+
+    return (a.customerNo || 0) - (b.customerNo || 0);
+};
+
+const toFileNamePart = (value) => String(value || '').replace(/[\\/:*?"<>|\s]+/g, '_');
+
+// @desc    Download every matching invoice for a month as one print-ready PDF or a ZIP of PDFs,
+//          in delivery route order
+// @route   GET /api/invoices/bulk/pdf?month=&year=&milkman=&area=&status=&format=merged|zip
+// @access  Private/Admin
+export const exportBulkInvoicePDFs = async (req, res) => {
+    try {
+        const { month, year, milkman, area, status, format = 'merged' } = req.query;
+
+        if (!month || !year) {
+            return res.status(400).json({ message: 'Month and year are required' });
+        }
+
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (monthNum < 1 || monthNum > 12) {
+            return res.status(400).json({ message: 'Invalid month' });
+        }
+
+        if (!['merged', 'zip'].includes(format)) {
+            return res.status(400).json({ message: 'Format must be merged or zip' });
+        }
+
+        // Comma separated, e.g. status=pending,overdue; voided bills are left out unless asked for
+        const statuses = status ? status.split(',').map(s => s.trim()) : INVOICE_STATUSES.filter(s => s !== 'void');
+        if (statuses.some(s => !INVOICE_STATUSES.includes(s))) {
+            return res.status(400).json({ message: 'Invalid status filter' });
+        }
+
+        const customerQuery = {};
+        if (milkman) customerQuery.milkman = milkman;
+        if (area) customerQuery.area = area;
+
+        const [config, customers] = await Promise.all([
+            SystemConfig.findOne().lean(),
+            Customer.find(customerQuery).select('milkman area routeOrder customerNo name').lean(),
+        ]);
+
+        const milkmanOrder = new Map((config?.milkmen || []).map((m, index) => [m._id.toString(), index]));
+        customers.sort(compareRouteOrder(milkmanOrder));
+        const customerPosition = new Map(customers.map((c, index) => [c._id.toString(), index]));
+
+        const { startDate, endDate } = getMonthPeriod(monthNum, yearNum);
+
+        // Only ids here; each invoice is loaded when its turn comes
+        const invoiceRefs = await Invoice.find({
+            customer: { $in: customers.map(c => c._id) },
+            startDate: { $lte: endDate },
+            endDate: { $gte: startDate },
+            status: { $in: statuses },
+        }).select('_id customer invoiceNumber').lean();
+
+        if (invoiceRefs.length === 0) {
+            return res.status(404).json({ message: 'No invoices found for the selected filters' });
+        }
+
+        invoiceRefs.sort((a, b) =>
+            customerPosition.get(a.customer.toString()) - customerPosition.get(b.customer.toString())
+        );
+
+        const label = `${yearNum}-${String(monthNum).padStart(2, '0')}`;
+
+        const loadInvoice = async (invoiceId) => {
+            const invoice = await Invoice.findById(invoiceId).populate('customer');
+            if (!invoice || !invoice.customer) return null;
+            const pdfOptions = await buildInvoicePdfOptions(invoice, config);
+            return pdfOptions ? { invoice, pdfOptions } : null;
+        };
+
+        if (format === 'zip') {
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename=invoices-${label}.zip`);
+
+            const zip = createZipWriter(res);
+            const width = String(invoiceRefs.length).length;
+
+            for (const [index, ref] of invoiceRefs.entries()) {
+                const loaded = await loadInvoice(ref._id);
+                if (!loaded) continue;
+
+                const { invoice, pdfOptions } = loaded;
+                const pdfStream = new PassThrough();
+                await renderInvoicePDF(invoice, pdfStream, pdfOptions);
+                await zip.addEntry(
+                    `${String(index + 1).padStart(width, '0')}-${invoice.invoiceNumber}-${toFileNamePart(invoice.customer.name)}.pdf`,
+                    pdfStream
+                );
+            }
+
+            await zip.finalize();
+            return;
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=invoices-${label}.pdf`);
+
+        // One document; pdfkit writes each finished page out as the next one starts.
+        // Each bill gets its customer's own layout, so page sizes may differ.
+        const doc = new PDFDocument({ autoFirstPage: false });
+        registerFonts(doc);
+        doc.pipe(res);
+
+        for (const ref of invoiceRefs) {
+            const loaded = await loadInvoice(ref._id);
+            if (!loaded) continue;
+
+            addInvoicePage(doc, loaded.invoice, { ...dairyFormDefaults, ...loaded.pdfOptions });
+        }
+
+        doc.end();
+    } catch (error) {
+        console.error('Bulk invoice PDF error:', error);
+        if (res.headersSent) {
+            // Part of the file is already on its way; cut it off rather than send a corrupt download
+            return res.destroy(error);
+        }
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,128 @@
+// controllers/invoiceRevisionController.js
+import Invoice from '../models/Invoice.js';
+import InvoiceRevision from '../models/InvoiceRevision.js';
+import SystemConfig from '../models/SystemConfig.js';
+import {
+    renderInvoicePDF,
+    getBrandingOptions,
+    populateItemMilkTypes,
+    loadPdfCustomer,
+} from './invoiceController.js';
+
+// @desc    List the earlier versions of an invoice, newest first
+// @route   GET /api/invoices/:id/revisions
+// @access  Private/Admin
+export const getInvoiceRevisions = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id).select('invoiceNumber totalQuantity totalAmount');
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const revisions = await InvoiceRevision.find({ invoice: invoice._id })
+            .select('-items')
+            .populate('revisedBy', 'username')
+            .sort({ revisionNumber: -1 });
+
+        return res.json({
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            currentTotalQuantity: invoice.totalQuantity,
+            currentTotalAmount: invoice.totalAmount,
+            revisions,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get one earlier version of an invoice with its day-wise items
+// @route   GET /api/invoices/:id/revisions/:revisionId
+// @access  Private/Admin
+export const getInvoiceRevisionById = async (req, res) => {
+    try {
+        const revision = await InvoiceRevision.findOne({ _id: req.params.revisionId, invoice: req.params.id })
+            .populate('revisedBy', 'username')
+            .populate('items.deliverySchedule.milkItems.milkType', 'name')
+            .populate('items.deliverySchedule.milkItems.subcategory', 'name');
+
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        return res.json(revision);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Render an earlier version of an invoice as it was printed then
+// @route   GET /api/invoices/:id/revisions/:revisionId/pdf
+// @access  Private/Admin
+export const getInvoiceRevisionPDF = async (req, res) => {
+    try {
+        const invoice = await Invoice.findById(req.params.id).populate('customer');
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        const revision = await InvoiceRevision.findOne({ _id: req.params.revisionId, invoice: invoice._id });
+        if (!revision) {
+            return res.status(404).json({ message: 'Revision not found' });
+        }
+
+        await populateItemMilkTypes(revision.items);
+
+        const customer = await loadPdfCustomer(invoice.customer._id);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        // Dues on other invoices as they stand today, plus this version's due
+        const otherInvoices = await Invoice.find({ customer: invoice.customer._id, _id: { $ne: invoice._id } });
+        const totalCustomerDue = otherInvoices.reduce((sum, inv) => sum + (inv.dueAmount || 0), 0)
+            + (revision.dueAmount || 0);
+
+        const invoiceData = {
+            invoiceNumber: invoice.invoiceNumber,
+            customer: invoice.customer,
+            startDate: revision.startDate,
+            endDate: revision.endDate,
+            items: revision.items,
+            totalQuantity: revision.totalQuantity,
+            totalAmount: revision.totalAmount,
+            discounts: revision.discounts,
+            discountAmount: revision.discountAmount,
+            tax: revision.tax,
+            taxLines: revision.taxLines,
+            amountPaid: revision.amountPaid,
+            dueAmount: revision.dueAmount,
+        };
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename=invoice-${invoice.invoiceNumber}-rev${revision.revisionNumber}.pdf`
+        );
+
+        const config = await SystemConfig.findOne().lean();
+        const branding = getBrandingOptions(config);
+
+        await renderInvoicePDF(invoiceData, res, {
+            ...branding,
+            template: customer.invoiceTemplate || branding.template,
+            language: customer.invoiceLanguage || branding.language,
+            customer,
+            totalCustomerDue,
+            stamp: `Revision ${revision.revisionNumber} - superseded on ${revision.createdAt.toLocaleDateString('en-IN')}`,
+            supplier: {
+                name: config?.companyName,
+                address: config?.address,
+                state: config?.state
+            }
+        });
+    } catch (error) {
+        console.error('Revision PDF generation error:', error);
+        return res.status(500).json({ message: error.message });
+    }
+};
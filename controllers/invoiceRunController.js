@@ -0,0 +1,134 @@
+// controllers/invoiceRunController.js
+import InvoiceRun from '../models/InvoiceRun.js';
+import { runMonthlyInvoices } from '../utils/invoiceRuns.js';
+
+// @desc    List monthly invoice runs, newest first
+// @route   GET /api/invoice-runs
+// @access  Private/Admin
+export const getInvoiceRuns = async (req, res) => {
+    try {
+        const { page = 1, limit = 10, month, year, trigger, status } = req.query;
+
+        const query = {};
+        if (month) query.month = parseInt(month);
+        if (year) query.year = parseInt(year);
+        if (trigger) query.trigger = trigger;
+        if (status) query.status = status;
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const [runs, total] = await Promise.all([
+            InvoiceRun.find(query)
+                .select('-results')
+                .populate('triggeredBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            InvoiceRun.countDocuments(query),
+        ]);
+
+        return res.json({
+            runs,
+            page: pageNum,
+            pages: Math.ceil(total / limitNum),
+            total,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get a run with its per-customer outcomes
+// @route   GET /api/invoice-runs/:id
+// @access  Private/Admin
+export const getInvoiceRunById = async (req, res) => {
+    try {
+        const run = await InvoiceRun.findById(req.params.id)
+            .populate('triggeredBy', 'username')
+            .populate('results.customer', 'name customerNo phoneNo');
+
+        if (!run) {
+            return res.status(404).json({ message: 'Invoice run not found' });
+        }
+
+        return res.json(run);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Start a monthly invoice run now
+// @route   POST /api/invoice-runs
+// @access  Private/Admin
+export const createInvoiceRun = async (req, res) => {
+    try {
+        const { month, year, updateExisting = false } = req.body;
+        const monthNum = parseInt(month);
+        const yearNum = parseInt(year);
+
+        if (!monthNum || !yearNum) {
+            return res.status(400).json({ message: 'Month and year are required' });
+        }
+
+        if (monthNum < 1 || monthNum > 12) {
+            return res.status(400).json({ message: 'Invalid month' });
+        }
+
+        const running = await InvoiceRun.exists({ month: monthNum, year: yearNum, status: 'running' });
+        if (running) {
+            return res.status(409).json({ message: 'An invoice run for this period is already in progress' });
+        }
+
+        const run = await runMonthlyInvoices({
+            month: monthNum,
+            year: yearNum,
+            trigger: 'manual',
+            updateExisting,
+            triggeredBy: req.admin._id,
+        });
+
+        return res.status(201).json(run);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Retry only the customers that errored in an earlier run
+// @route   POST /api/invoice-runs/:id/rerun
+// @access  Private/Admin
+export const rerunFailedCustomers = async (req, res) => {
+    try {
+        const parent = await InvoiceRun.findById(req.params.id);
+        if (!parent) {
+            return res.status(404).json({ message: 'Invoice run not found' });
+        }
+
+        if (parent.status === 'running') {
+            return res.status(409).json({ message: 'Invoice run is still in progress' });
+        }
+
+        const customerIds = parent.results
+            .filter(result => result.outcome === 'error')
+            .map(result => result.customer);
+
+        if (parent.status === 'completed' && customerIds.length === 0) {
+            return res.status(400).json({ message: 'No failed customers to re-run' });
+        }
+
+        const run = await runMonthlyInvoices({
+            month: parent.month,
+            year: parent.year,
+            trigger: 'rerun',
+            // A run that failed outright never reached its customers, so retry them all
+            customerIds: parent.status === 'failed' ? undefined : customerIds,
+            updateExisting: parent.updateExisting,
+            triggeredBy: req.admin._id,
+            parentRun: parent._id,
+        });
+
+        return res.status(201).json(run);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
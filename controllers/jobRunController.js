@@ -0,0 +1,99 @@
+// controllers/jobRunController.js
+import JobRun from '../models/JobRun.js';
+import { generateDailyRecords } from '../utils/dailyRecords.js';
+
+// A run still marked running after this long is taken to have died with its process
+const RUN_TIMEOUT_MS = 30 * 60 * 1000;
+
+// @desc    History of background job runs, newest first
+// @route   GET /api/jobs/runs?job=&status=&trigger=&page=&limit=
+// @access  Private/Admin
+export const getJobRuns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, job, status, trigger } = req.query;
+
+        const query = {};
+        if (job) query.job = job;
+        if (status) query.status = status;
+        if (trigger) query.trigger = trigger;
+
+        const pageNum = parseInt(page);
+        const limitNum = parseInt(limit);
+
+        const [runs, total] = await Promise.all([
+            JobRun.find(query)
+                .select('-failures')
+                .populate('triggeredBy', 'username')
+                .sort({ createdAt: -1 })
+                .skip((pageNum - 1) * limitNum)
+                .limit(limitNum),
+            JobRun.countDocuments(query),
+        ]);
+
+        return res.json({
+            runs,
+            page: pageNum,
+            pages: Math.ceil(total / limitNum),
+            total,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Get a job run with the customers it failed on
+// @route   GET /api/jobs/runs/:id
+// @access  Private/Admin
+export const getJobRunById = async (req, res) => {
+    try {
+        const run = await JobRun.findById(req.params.id)
+            .populate('triggeredBy', 'username')
+            .populate('failures.customer', 'name customerNo phoneNo');
+
+        if (!run) {
+            return res.status(404).json({ message: 'Job run not found' });
+        }
+
+        return res.json(run);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Create the daily records for a given day now; customers who already have one are left alone
+// @route   POST /api/jobs/daily-records
+// @access  Private/Admin
+export const runDailyRecordsJob = async (req, res) => {
+    try {
+        const { date } = req.body;
+
+        if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+            return res.status(400).json({ message: 'date is required in YYYY-MM-DD format' });
+        }
+
+        const targetDate = new Date(`${date}T00:00:00`);
+        if (isNaN(targetDate.getTime())) {
+            return res.status(400).json({ message: 'Invalid date' });
+        }
+
+        const running = await JobRun.exists({
+            job: 'daily_records',
+            targetDate,
+            status: 'running',
+            startedAt: { $gt: new Date(Date.now() - RUN_TIMEOUT_MS) },
+        });
+        if (running) {
+            return res.status(409).json({ message: 'Daily records for this date are already being created' });
+        }
+
+        const { run } = await generateDailyRecords({
+            date: targetDate,
+            trigger: 'manual',
+            triggeredBy: req.admin._id,
+        });
+
+        return res.status(201).json(run);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,189 @@
+// controllers/paymentController.js
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import { planOldestFirst, applyPaymentPlan } from '../utils/payments.js';
+import { recordPaymentReversal, recordAdvanceChange } from '../utils/ledger.js';
+
+// @desc    Record a customer payment and allocate it across open invoices
+//          (oldest first, or by an explicit allocation list); any remainder goes to advance
+// @route   POST /api/customers/:id/payments
+// @access  Private/Admin
+export const allocateCustomerPayment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, paymentMethod = 'cash', transactionId, notes, allocations } = req.body;
+        const totalAmount = parseFloat(amount);
+
+        if (!totalAmount || totalAmount <= 0) {
+            return res.status(400).json({ message: 'Valid payment amount is required' });
+        }
+
+        if (!['cash', 'online'].includes(paymentMethod)) {
+            return res.status(400).json({ message: 'Invalid payment method' });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        // Work out the split before touching any invoice so a bad request writes nothing
+        const plan = [];
+
+        if (Array.isArray(allocations) && allocations.length > 0) {
+            let allocatedTotal = 0;
+
+            for (const allocation of allocations) {
+                const allocationAmount = parseFloat(allocation.amount);
+                if (!allocationAmount || allocationAmount <= 0) {
+                    return res.status(400).json({ message: 'Each allocation needs a positive amount' });
+                }
+
+                const invoice = await Invoice.findOne({ _id: allocation.invoiceId, customer: id });
+                if (!invoice) {
+                    return res.status(404).json({ message: `Invoice ${allocation.invoiceId} not found for this customer` });
+                }
+
+                if (plan.some(p => p.invoice._id.equals(invoice._id))) {
+                    return res.status(400).json({ message: `Invoice ${invoice.invoiceNumber} is allocated more than once` });
+                }
+
+                if (allocationAmount > invoice.dueAmount) {
+                    return res.status(400).json({
+                        message: `Allocation of ${allocationAmount} exceeds due amount ${invoice.dueAmount} on invoice ${invoice.invoiceNumber}`
+                    });
+                }
+
+                allocatedTotal += allocationAmount;
+                plan.push({ invoice, amount: allocationAmount });
+            }
+
+            if (allocatedTotal > totalAmount) {
+                return res.status(400).json({ message: 'Allocations exceed the payment amount' });
+            }
+        } else {
+            // FIFO: settle the oldest open invoices first
+            plan.push(...await planOldestFirst(id, totalAmount));
+        }
+
+        // One receipt and transaction id shared by every invoice this payment touches
+        const result = await applyPaymentPlan(customer, plan, totalAmount, { paymentMethod, transactionId, notes });
+
+        return res.status(201).json({
+            customerId: customer._id,
+            transactionId: result.transactionId,
+            receiptNumber: result.receiptNumber,
+            amount: totalAmount,
+            paymentMethod,
+            allocations: result.allocations,
+            allocatedAmount: result.allocatedAmount,
+            advanceAmount: result.advanceAmount,
+            customerAdvance: result.customerAdvance,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Reverse a wrongly entered payment on an invoice
+// @route   POST /api/invoices/:id/payments/:paymentId/reverse
+// @access  Private/Admin
+export const reverseInvoicePayment = async (req, res) => {
+    try {
+        const { id, paymentId } = req.params;
+        const reason = (req.body.reason || '').toString().trim();
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to reverse a payment' });
+        }
+
+        const invoice = await Invoice.findById(id);
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot reverse payments on a voided invoice' });
+        }
+
+        const payment = invoice.payments.id(paymentId);
+        if (!payment) {
+            return res.status(404).json({ message: 'Payment not found' });
+        }
+
+        if (payment.isReversed) {
+            return res.status(400).json({ message: 'Payment has already been reversed' });
+        }
+
+        const reversedPayment = await invoice.reversePayment(paymentId, {
+            reason,
+            reversedBy: req.admin._id,
+        });
+        await recordPaymentReversal(invoice, reversedPayment, req.admin._id);
+
+        // Money that came from advance goes back to the customer's advance balance
+        if (reversedPayment.paymentMethod === 'advance') {
+            const customer = await Customer.findById(invoice.customer);
+            customer.advance = (customer.advance || 0) + reversedPayment.amount;
+            await customer.save();
+        }
+
+        return res.json({
+            message: 'Payment reversed successfully',
+            payment: reversedPayment,
+            invoice,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Refund part or all of a customer's advance balance
+// @route   POST /api/customers/:id/advance/refund
+// @access  Private/Admin
+export const refundAdvance = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { amount, paymentMethod = 'cash', transactionId } = req.body;
+        const reason = (req.body.reason || '').toString().trim();
+        const refundAmount = parseFloat(amount);
+
+        if (!refundAmount || refundAmount <= 0) {
+            return res.status(400).json({ message: 'Valid refund amount is required' });
+        }
+
+        if (!reason) {
+            return res.status(400).json({ message: 'A reason is required to refund an advance' });
+        }
+
+        const customer = await Customer.findById(id);
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        if (refundAmount > (customer.advance || 0)) {
+            return res.status(400).json({
+                message: `Refund of ${refundAmount} exceeds advance balance ${customer.advance || 0}`
+            });
+        }
+
+        customer.advance -= refundAmount;
+        await customer.save();
+        await recordAdvanceChange(
+            customer._id,
+            -refundAmount,
+            'refund',
+            `Advance refunded (${paymentMethod}): ${reason}`,
+            { transactionId, createdBy: req.admin._id }
+        );
+
+        return res.json({
+            message: 'Advance refunded successfully',
+            customerId: customer._id,
+            refundedAmount: refundAmount,
+            advance: customer.advance,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -0,0 +1,177 @@
+// controllers/paymentGatewayController.js
+import Invoice from '../models/Invoice.js';
+import PaymentOrder from '../models/PaymentOrder.js';
+import GatewayPayment from '../models/GatewayPayment.js';
+import { getPaymentProvider } from '../utils/paymentGateway.js';
+import {
+    createPaymentOrder,
+    recordGatewayPayment,
+    reconcileGatewayPayments,
+} from '../utils/gatewayPayments.js';
+
+// Check the signature and record the event; shared by the webhook and the fake provider's simulator
+const processWebhook = async (provider, rawBody, headers) => {
+    if (!rawBody || !provider.verifyWebhookSignature(rawBody, headers)) {
+        return { status: 401, body: { message: 'Invalid webhook signature' } };
+    }
+
+    const event = provider.parseWebhookEvent(JSON.parse(rawBody.toString()));
+    if (!event) {
+        // Acknowledge events we do not act on so the provider stops retrying them
+        return { status: 200, body: { received: true, ignored: true } };
+    }
+
+    const { duplicate, gatewayPayment } = await recordGatewayPayment(provider.name, event);
+
+    return {
+        status: 200,
+        body: {
+            received: true,
+            duplicate,
+            paymentId: gatewayPayment.providerPaymentId,
+            status: gatewayPayment.status,
+            appliedAmount: gatewayPayment.appliedAmount,
+            advanceAmount: gatewayPayment.advanceAmount,
+            reconciliation: gatewayPayment.reconciliation,
+        },
+    };
+};
+
+// @desc    Start an online payment for what is due on an invoice
+// @route   POST /api/invoices/:id/payment-order, POST /api/invoices/my/:id/payment-order
+// @access  Private/Admin, Private/Customer
+export const createInvoicePaymentOrder = async (req, res) => {
+    try {
+        const provider = getPaymentProvider();
+        if (!provider) {
+            return res.status(503).json({ message: 'Online payments are not configured' });
+        }
+
+        // Customers can only pay their own invoices
+        const invoice = await Invoice.findOne({
+            _id: req.params.id,
+            ...(req.customer ? { customer: req.customer._id } : {}),
+        });
+        if (!invoice) {
+            return res.status(404).json({ message: 'Invoice not found' });
+        }
+
+        if (invoice.status === 'void') {
+            return res.status(400).json({ message: 'Cannot collect payment on a voided invoice' });
+        }
+
+        if (!(invoice.dueAmount > 0)) {
+            return res.status(400).json({ message: 'Invoice has nothing due' });
+        }
+
+        const order = await createPaymentOrder(invoice, provider, { createdBy: req.admin?._id });
+
+        return res.status(201).json(order);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Payment notifications from a provider, verified by HMAC signature.
+//          Redelivered events are recognised by provider payment id and not recorded twice.
+// @route   POST /api/payment-gateway/webhook/:provider
+// @access  Public (signed)
+export const receivePaymentWebhook = async (req, res) => {
+    try {
+        const provider = getPaymentProvider(req.params.provider);
+        if (!provider) {
+            return res.status(404).json({ message: 'Unknown payment provider' });
+        }
+
+        const result = await processWebhook(provider, req.rawBody, req.headers);
+        return res.status(result.status).json(result.body);
+    } catch (error) {
+        console.error('Payment webhook error:', error);
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Pay an order through the offline fake provider, going through the same signed webhook path
+// @route   POST /api/payment-gateway/fake/orders/:orderId/pay
+// @access  Private/Admin
+export const simulateFakePayment = async (req, res) => {
+    try {
+        const provider = getPaymentProvider('fake');
+        const { amount, status = 'captured' } = req.body;
+
+        if (!['captured', 'failed'].includes(status)) {
+            return res.status(400).json({ message: 'Status must be captured or failed' });
+        }
+
+        if (amount !== undefined && !(parseFloat(amount) > 0)) {
+            return res.status(400).json({ message: 'Valid payment amount is required' });
+        }
+
+        const order = await PaymentOrder.findOne({ provider: 'fake', providerOrderId: req.params.orderId });
+        if (!order) {
+            return res.status(404).json({ message: 'Payment order not found' });
+        }
+
+        const { rawBody, headers } = provider.simulatePayment(order.providerOrderId, {
+            amount: amount !== undefined ? parseFloat(amount) : order.amount,
+            status,
+        });
+
+        const result = await processWebhook(provider, Buffer.from(rawBody), headers);
+        return res.status(result.status).json(result.body);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Reconcile recorded online payments against the providers for a date range
+// @route   POST /api/payment-gateway/reconcile
+// @access  Private/Admin
+export const runPaymentReconciliation = async (req, res) => {
+    try {
+        const from = req.body.from ? new Date(req.body.from) : undefined;
+        const to = req.body.to ? new Date(req.body.to) : undefined;
+
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD format' });
+        }
+
+        if (to) to.setHours(23, 59, 59, 999);
+
+        const summary = await reconcileGatewayPayments({ from, to });
+        return res.json(summary);
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    List online payments, e.g. ?reconciliation=mismatch for the ones needing attention
+// @route   GET /api/payment-gateway/payments?reconciliation=&provider=&page=&limit=
+// @access  Private/Admin
+export const getGatewayPayments = async (req, res) => {
+    try {
+        const { reconciliation, provider, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (reconciliation) query['reconciliation.status'] = reconciliation;
+        if (provider) query.provider = provider;
+
+        const count = await GatewayPayment.countDocuments(query);
+
+        const payments = await GatewayPayment.find(query)
+            .populate('customer', 'name customerNo')
+            .populate('invoice', 'invoiceNumber dueAmount status')
+            .sort({ createdAt: -1 })
+            .limit(parseInt(limit))
+            .skip((parseInt(page) - 1) * parseInt(limit));
+
+        return res.json({
+            payments,
+            totalPages: Math.ceil(count / limit),
+            currentPage: parseInt(page),
+            total: count,
+        });
+    } catch (error) {
+        return res.status(500).json({ message: error.message });
+    }
+};
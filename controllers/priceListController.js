@@ -0,0 +1,117 @@
+import PriceList from '../models/PriceList.js';
+import { applyPriceChange, createPriceResolver, startOfDay } from '../utils/pricing.js';
+
+// @desc    Get price list entries
+// @route   GET /api/price-lists
+// @access  Private/Admin
+const getPriceLists = async (req, res) => {
+  try {
+    const { subcategory, priceGroup } = req.query;
+
+    const filter = {};
+    if (subcategory) filter.subcategory = subcategory;
+    if (priceGroup !== undefined) filter.priceGroup = priceGroup || null;
+
+    const entries = await PriceList.find(filter)
+      .populate({ path: 'subcategory', select: 'name category', populate: { path: 'category', select: 'name' } })
+      .populate('createdBy', 'username')
+      .sort({ subcategory: 1, priceGroup: 1, effectiveFrom: -1 });
+
+    res.json(entries);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get the price valid for a subcategory on a date
+// @route   GET /api/price-lists/resolve?subcategory=&priceGroup=&date=
+// @access  Private/Admin
+const resolvePrice = async (req, res) => {
+  try {
+    const { subcategory, priceGroup } = req.query;
+
+    if (!subcategory) {
+      return res.status(400).json({ message: 'Subcategory is required' });
+    }
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({ message: 'Invalid date' });
+    }
+
+    const resolver = await createPriceResolver([subcategory]);
+    const price = resolver(subcategory, priceGroup, startOfDay(date));
+
+    res.json({ subcategory, priceGroup: priceGroup || null, date, price: price ?? null });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Apply a price change from a date (use dryRun to preview the affected customers)
+// @route   POST /api/price-lists/apply
+// @access  Private/Admin
+const applyPriceListChange = async (req, res) => {
+  try {
+    const { subcategory, priceGroup, price, effectiveFrom, notes, dryRun = false, reprice = true } = req.body;
+    const newPrice = parseFloat(price);
+
+    if (!subcategory) {
+      return res.status(400).json({ message: 'Subcategory is required' });
+    }
+
+    if (isNaN(newPrice) || newPrice < 0) {
+      return res.status(400).json({ message: 'Valid price is required' });
+    }
+
+    const fromDate = new Date(effectiveFrom);
+    if (!effectiveFrom || isNaN(fromDate.getTime())) {
+      return res.status(400).json({ message: 'Valid effective from date is required' });
+    }
+
+    const result = await applyPriceChange({
+      subcategory,
+      priceGroup: priceGroup || null,
+      price: newPrice,
+      effectiveFrom: fromDate,
+      notes,
+      dryRun,
+      reprice,
+      createdBy: req.admin._id,
+    });
+
+    res.status(dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ message: error.message });
+  }
+};
+
+// @desc    Delete a price list entry that has not taken effect yet
+// @route   DELETE /api/price-lists/:id
+// @access  Private/Admin
+const deletePriceList = async (req, res) => {
+  try {
+    const entry = await PriceList.findById(req.params.id);
+
+    if (!entry) {
+      return res.status(404).json({ message: 'Price list entry not found' });
+    }
+
+    // Past prices have already been used on records and invoices
+    if (entry.effectiveFrom <= new Date()) {
+      return res.status(400).json({ message: 'Only future price changes can be deleted' });
+    }
+
+    await PriceList.deleteOne({ _id: entry._id });
+    res.json({ message: 'Price list entry removed' });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export {
+  getPriceLists,
+  resolvePrice,
+  applyPriceListChange,
+  deletePriceList
+};
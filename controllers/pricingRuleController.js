@@ -0,0 +1,134 @@
+import PricingRule from '../models/PricingRule.js';
+import Customer from '../models/Customer.js';
+
+const RULE_FIELDS = [
+  'name',
+  'customer',
+  'priceGroup',
+  'subcategory',
+  'ruleType',
+  'value',
+  'tiers',
+  'freeQuantity',
+  'freeDayOfWeek',
+  'validFrom',
+  'validTo',
+  'isActive',
+];
+
+// @desc    Get pricing rules
+// @route   GET /api/pricing-rules?customer=&priceGroup=&active=
+// @access  Private/Admin
+const getPricingRules = async (req, res) => {
+  try {
+    const { customer, priceGroup, active } = req.query;
+
+    const filter = {};
+    if (priceGroup) filter.priceGroup = priceGroup;
+    if (active !== undefined) filter.isActive = active === 'true';
+
+    // A customer's rules include those of their price group
+    if (customer) {
+      const customerDoc = await Customer.findById(customer).select('priceGroup');
+      if (!customerDoc) {
+        return res.status(404).json({ message: 'Customer not found' });
+      }
+      filter.$or = [{ customer }];
+      if (customerDoc.priceGroup) filter.$or.push({ priceGroup: customerDoc.priceGroup });
+    }
+
+    const rules = await PricingRule.find(filter)
+      .populate('customer', 'name customerNo')
+      .populate('subcategory', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json(rules);
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Get a pricing rule by ID
+// @route   GET /api/pricing-rules/:id
+// @access  Private/Admin
+const getPricingRuleById = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id)
+      .populate('customer', 'name customerNo')
+      .populate('subcategory', 'name');
+
+    if (rule) {
+      res.json(rule);
+    } else {
+      res.status(404).json({ message: 'Pricing rule not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+// @desc    Create a pricing rule
+// @route   POST /api/pricing-rules
+// @access  Private/Admin
+const createPricingRule = async (req, res) => {
+  try {
+    const data = {};
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined && req.body[field] !== '') data[field] = req.body[field];
+    });
+
+    const rule = await PricingRule.create({ ...data, createdBy: req.admin._id });
+    res.status(201).json(rule);
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ message: error.message });
+  }
+};
+
+// @desc    Update a pricing rule
+// @route   PUT /api/pricing-rules/:id
+// @access  Private/Admin
+const updatePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Pricing rule not found' });
+    }
+
+    RULE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) rule[field] = req.body[field] === '' ? undefined : req.body[field];
+    });
+
+    const updatedRule = await rule.save();
+    res.json(updatedRule);
+  } catch (error) {
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({ message: error.message });
+  }
+};
+
+// @desc    Deactivate a pricing rule (kept so past records still reference it)
+// @route   DELETE /api/pricing-rules/:id
+// @access  Private/Admin
+const deletePricingRule = async (req, res) => {
+  try {
+    const rule = await PricingRule.findById(req.params.id);
+
+    if (rule) {
+      rule.isActive = false;
+      await rule.save();
+      res.json({ message: 'Pricing rule deactivated' });
+    } else {
+      res.status(404).json({ message: 'Pricing rule not found' });
+    }
+  } catch (error) {
+    res.status(500).json({ message: 'Server error', error: error.message });
+  }
+};
+
+export {
+  getPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+};
@@ -1,8 +1,8 @@
 import Record from '../models/Record.js';
 import Customer from '../models/Customer.js';
-import QuantityUpdate from '../models/QuantityUpdate.js';
 import moment from 'moment';
-import Holiday from '../models/Holiday.js';
+import { generateDailyRecords, backfillDailyRecords, MAX_BACKFILL_DAYS } from '../utils/dailyRecords.js';
+import { INTEGRITY_FINDING_TYPES, checkRecordIntegrity, repairIntegrityFinding } from '../utils/recordIntegrity.js';
 
 // @desc    Get all records with filters, pagination and search
 // @route   GET /api/records
@@ -153,171 +153,166 @@ const getRecords = async (req, res) => {
   }
 };
 
-const checkIfHoliday = async (date) => {
+// @desc    Create today's records (or ?date=YYYY-MM-DD) for all active customers
+// @route   POST /api/records/daily
+// @access  Private/Admin
+const createDailyRecords = async (req, res) => {
   try {
-    const checkDate = new Date(date);
-    checkDate.setHours(0, 0, 0, 0);
+    const date = req.query.date ? new Date(`${req.query.date}T00:00:00`) : new Date();
 
-    const currentYear = checkDate.getFullYear();
-    const currentMonth = checkDate.getMonth();
-    const currentDay = checkDate.getDate();
+    if (isNaN(date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid date format. Please use YYYY-MM-DD format'
+      });
+    }
 
-    // Check for non-recurring holidays (exact date match)
-    const nonRecurringHoliday = await Holiday.findOne({
-      date: {
-        $gte: checkDate,
-        $lt: new Date(checkDate.getTime() + 24 * 60 * 60 * 1000) // Next day
-      },
-      isRecurringYearly: false
+    const { run, records } = await generateDailyRecords({
+      date,
+      trigger: 'manual',
+      triggeredBy: req.admin._id
     });
 
-    if (nonRecurringHoliday) {
-      return {
-        isHoliday: true,
-        holidayName: nonRecurringHoliday.name,
-        holidayDetails: nonRecurringHoliday
-      };
+    if (run.status === 'skipped') {
+      return res.status(200).json({
+        success: false,
+        message: run.message,
+        jobRun: run._id
+      });
     }
 
-    // Check for recurring holidays (same month and day, any year)
-    const recurringHolidays = await Holiday.find({
-      isRecurringYearly: true
-    });
-
-    for (const holiday of recurringHolidays) {
-      const holidayDate = new Date(holiday.date);
-      if (holidayDate.getMonth() === currentMonth &&
-        holidayDate.getDate() === currentDay) {
-        return {
-          isHoliday: true,
-          holidayName: holiday.name,
-          holidayDetails: {
-            ...holiday.toObject(),
-            date: checkDate // Show current year's date
-          }
-        };
-      }
+    if (run.status === 'failed') {
+      return res.status(500).json({
+        success: false,
+        error: run.error,
+        jobRun: run._id
+      });
     }
 
-    return {
-      isHoliday: false,
-      holidayName: null,
-      holidayDetails: null
-    };
+    res.status(201).json({
+      success: true,
+      count: records.length,
+      data: records,
+      jobRun: run._id
+    });
   } catch (error) {
-    console.error('Error checking holiday:', error);
-    // In case of error, assume it's not a holiday to avoid blocking record creation
-    return {
-      isHoliday: false,
-      holidayName: null,
-      holidayDetails: null
-    };
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
   }
 };
-// @desc    Create daily records for all customers
-// @route   POST /api/records/daily
+
+// @desc    Create missing daily records for a date range (holidays, pauses, join dates and accepted
+//          quantity updates honoured). Reports created, skipped and conflicting days;
+//          dryRun only reports, regenerate replaces conflicting records not yet invoiced.
+// @route   POST /api/records/backfill
 // @access  Private/Admin
-const createDailyRecords = async (req, res) => {
+const backfillRecords = async (req, res) => {
   try {
+    const { from, to, customerIds, milkman, area, dryRun = false, regenerate = false } = req.body;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+
+    if (!datePattern.test(from || '') || !datePattern.test(to || '')) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to are required in YYYY-MM-DD format'
+      });
+    }
+
+    const startDate = new Date(`${from}T00:00:00`);
+    const endDate = new Date(`${to}T00:00:00`);
     const today = new Date();
     today.setHours(0, 0, 0, 0);
 
-    // Check if today is a holiday
-    const isHoliday = await checkIfHoliday(today);
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+      return res.status(400).json({ success: false, error: 'from must be a valid date on or before to' });
+    }
 
-    if (isHoliday.isHoliday) {
-      return res.status(200).json({
+    if (endDate > today) {
+      return res.status(400).json({ success: false, error: 'Records cannot be created for future dates' });
+    }
+
+    if ((endDate - startDate) / (24 * 60 * 60 * 1000) >= MAX_BACKFILL_DAYS) {
+      return res.status(400).json({
         success: false,
-        message: `Records not created because today is a holiday: ${isHoliday.holidayName}`,
-        holiday: isHoliday.holidayDetails
+        error: `Backfill is limited to ${MAX_BACKFILL_DAYS} days at a time`
       });
     }
-    // Get all active customers
-    const customers = await Customer.find({ isActive: true });
-    const records = [];
-    const startOfDay = new Date(today);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(today);
-    endOfDay.setHours(23, 59, 59, 999);
-
-    for (const customer of customers) {
-      // Check if record already exists for today
-      const existingRecord = await Record.findOne({
-        customer: customer._id,
-        date: today
-      });
 
-      if (!existingRecord) {
-        // Get any quantity updates for today
-        const updates = await QuantityUpdate.find({
-          customer: customer._id,
-          date: { $gte: startOfDay, $lte: endOfDay }
-        });
+    if (customerIds !== undefined && !Array.isArray(customerIds)) {
+      return res.status(400).json({ success: false, error: 'customerIds must be an array' });
+    }
 
-        if (updates.isAccept === false) {
-          console.log(`Skipping record creation for ${customer.name} due to ${updates.reason}`);
-          continue; // Skip if updates are not accepted
-        }
+    const report = await backfillDailyRecords({
+      from: startDate,
+      to: endDate,
+      customerIds,
+      milkman,
+      area,
+      dryRun: dryRun === true || dryRun === 'true',
+      regenerate: regenerate === true || regenerate === 'true'
+    });
 
-        // Prepare new deliverySchedule for the record
-        const recordDeliverySchedule = [];
-        let totalDailyQuantity = 0;
-        let totalDailyPrice = 0;
-
-        for (const delivery of customer.deliverySchedule) {
-          const recordMilkItems = [];
-          let deliveryTotalQuantity = 0;
-          let deliveryTotalPrice = 0;
-
-          for (const milkItem of delivery.milkItems) {
-            // Check for quantity update for this milk item and time
-            const update = updates.find(u =>
-              u.time === delivery.time &&
-              u.milkType.toString() === milkItem.milkType.toString() &&
-              u.subcategory.toString() === milkItem.subcategory.toString()
-            );
-            const quantity = update ? update.newQuantity : milkItem.quantity;
-            const pricePerUnit = milkItem.pricePerUnit;
-            const totalPrice = quantity * pricePerUnit;
-
-            recordMilkItems.push({
-              milkType: milkItem.milkType,
-              subcategory: milkItem.subcategory,
-              quantity,
-              pricePerUnit,
-              totalPrice
-            });
-            deliveryTotalQuantity += quantity;
-            deliveryTotalPrice += totalPrice;
-          }
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
 
-          recordDeliverySchedule.push({
-            time: delivery.time,
-            milkItems: recordMilkItems,
-            totalQuantity: deliveryTotalQuantity,
-            totalPrice: deliveryTotalPrice
-          });
-          totalDailyQuantity += deliveryTotalQuantity;
-          totalDailyPrice += deliveryTotalPrice;
-        }
+// @desc    Data integrity report for a date range (default the last 30 days up to yesterday):
+//          missing days, duplicate records, records for deactivated customers or on holidays,
+//          daily totals that do not add up and invoices that disagree with the records.
+//          Each finding has a repair body for POST /api/records/integrity/repair.
+// @route   GET /api/records/integrity?from=&to=&customerId=&type=
+// @access  Private/Admin
+const getRecordIntegrity = async (req, res) => {
+  try {
+    const { from, to, customerId, type } = req.query;
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
 
-        // Create the record
-        const record = await Record.create({
-          customer: customer._id,
-          date: today,
-          deliverySchedule: recordDeliverySchedule,
-          totalDailyQuantity,
-          totalDailyPrice
-        });
+    if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+      return res.status(400).json({ success: false, error: 'from and to must be in YYYY-MM-DD format' });
+    }
 
-        records.push(record);
-      }
+    const endDate = to ? new Date(`${to}T00:00:00`) : new Date();
+    endDate.setHours(0, 0, 0, 0);
+    if (!to) endDate.setDate(endDate.getDate() - 1);
+
+    const startDate = from ? new Date(`${from}T00:00:00`) : new Date(endDate);
+    if (!from) startDate.setDate(startDate.getDate() - 29);
+
+    if (isNaN(startDate.getTime()) || isNaN(endDate.getTime()) || startDate > endDate) {
+      return res.status(400).json({ success: false, error: 'from must be a valid date on or before to' });
     }
 
-    res.status(201).json({
+    if ((endDate - startDate) / (24 * 60 * 60 * 1000) >= MAX_BACKFILL_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: `The integrity check is limited to ${MAX_BACKFILL_DAYS} days at a time`
+      });
+    }
+
+    const types = type ? type.split(',') : INTEGRITY_FINDING_TYPES;
+    const unknown = types.filter(t => !INTEGRITY_FINDING_TYPES.includes(t));
+    if (unknown.length) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown finding type ${unknown.join(', ')}. Use one of: ${INTEGRITY_FINDING_TYPES.join(', ')}`
+      });
+    }
+
+    const report = await checkRecordIntegrity({ from: startDate, to: endDate, customerId, types });
+
+    res.json({
       success: true,
-      count: records.length,
-      data: records
+      ...report
     });
   } catch (error) {
     res.status(500).json({
@@ -327,6 +322,35 @@ const createDailyRecords = async (req, res) => {
   }
 };
 
+// @desc    Apply the repair for one integrity finding: the finding's repair body, e.g.
+//          { type: 'gap', customerId, from, to } or { type: 'holiday', recordId }.
+//          Invoices covering a repaired day are regenerated with a revision.
+// @route   POST /api/records/integrity/repair
+// @access  Private/Admin
+const repairRecordIntegrity = async (req, res) => {
+  try {
+    if (!INTEGRITY_FINDING_TYPES.includes(req.body.type)) {
+      return res.status(400).json({
+        success: false,
+        error: `type must be one of: ${INTEGRITY_FINDING_TYPES.join(', ')}`
+      });
+    }
+
+    const result = await repairIntegrityFinding(req.body, { revisedBy: req.admin._id });
+
+    res.json({
+      success: true,
+      type: req.body.type,
+      data: result
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+};
+
 // @desc    Get records summary for a customer or all customers
 // @route   GET /api/records/summary
 // @access  Private/Admin
@@ -629,6 +653,9 @@ const getRecordsByCustomer = async (req, res) => {
 export {
   getRecords,
   createDailyRecords,
+  backfillRecords,
+  getRecordIntegrity,
+  repairRecordIntegrity,
   getRecordsSummary,
   getRecordById,
   updateRecord,
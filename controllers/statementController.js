@@ -0,0 +1,187 @@
+// controllers/statementController.js
+import PDFDocument from 'pdfkit';
+import Customer from '../models/Customer.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { registerFonts } from '../config/fonts.js';
+import { getLedgerStatement } from '../utils/ledger.js';
+import {
+    dairyFormDefaults,
+    drawDairyFormHeader,
+    toGujaratiNumber,
+    toGujaratiDate,
+    getBrandingOptions,
+} from './invoiceController.js';
+
+const formatStatementAmount = (amount) => (amount ? toGujaratiNumber(amount.toFixed(2)) : '');
+
+// Positive balances are owed by the customer (ઉધાર), negative ones are held for them (જમા)
+const formatStatementBalance = (balance) => {
+    if (Math.abs(balance) < 0.005) return toGujaratiNumber('0.00');
+    return `${toGujaratiNumber(Math.abs(balance).toFixed(2))} ${balance > 0 ? 'ઉધાર' : 'જમા'}`;
+};
+
+// @desc    Render a statement of account with the same Gujarati header as the dairy form
+// @param   customer - Customer document (name, customerNo, phoneNo)
+// @param   statement - Result of getLedgerStatement plus the from/to of the range
+// @param   outputStream - Stream to pipe the PDF to (can be response or file)
+// @param   options - Additional options for customization
+export const generateStatementPDF = async (customer, statement, outputStream, options = {}) => {
+    try {
+        const mergedOptions = { ...dairyFormDefaults, ...options };
+
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 0,
+            layout: 'portrait'
+        });
+
+        registerFonts(doc);
+        doc.pipe(outputStream);
+
+        drawDairyFormHeader(doc, mergedOptions);
+
+        // Title
+        doc.fillColor('black').font('Gujarati-Bold').fontSize(18);
+        doc.text('ખાતાનું પત્રક / Statement of Account', 30, 135, { width: doc.page.width - 60, align: 'center' });
+
+        // Customer and period
+        const period = `${statement.from ? toGujaratiDate(statement.from) : 'શરૂઆત'} - ${toGujaratiDate(statement.to || new Date())}`;
+        doc.font('Gujarati').fontSize(12);
+        doc.text('ગ્રાહક નામ:', 30, 170);
+        doc.text(customer.name || '', 120, 170);
+        doc.text('ગ્રાહક નં.:', 350, 170);
+        doc.text(toGujaratiNumber(customer.customerNo ?? ''), 430, 170);
+        doc.text('સમયગાળો:', 30, 192);
+        doc.text(period, 120, 192);
+        doc.text('મોબાઈલ:', 350, 192);
+        doc.text(toGujaratiNumber(customer.phoneNo || ''), 430, 192);
+
+        const marginLeft = 30;
+        const tableWidth = doc.page.width - 60;
+        const columns = [
+            { title: 'તારીખ / Date', width: 0.14, align: 'center' },
+            { title: 'વિગત / Particulars', width: 0.40, align: 'left' },
+            { title: 'ઉધાર / Debit', width: 0.14, align: 'right' },
+            { title: 'જમા / Credit', width: 0.14, align: 'right' },
+            { title: 'બાકી / Balance', width: 0.18, align: 'right' },
+        ];
+        const rowHeight = 22;
+        let y = 225;
+
+        const drawRow = (cells, font) => {
+            let x = marginLeft;
+            columns.forEach((column, index) => {
+                const width = tableWidth * column.width;
+                doc.rect(x, y, width, rowHeight).stroke();
+                doc.font(font).fontSize(9).fillColor('black');
+                doc.text(cells[index], x + 4, y + 6, {
+                    width: width - 8,
+                    height: rowHeight - 6,
+                    align: column.align,
+                    ellipsis: true,
+                });
+                x += width;
+            });
+            y += rowHeight;
+        };
+
+        const drawHeaderRow = () => drawRow(columns.map(column => column.title), 'Gujarati-Bold');
+
+        // Continue on a new page (repeating the column titles) when the table runs off the bottom
+        const ensureSpace = () => {
+            if (y > doc.page.height - 110) {
+                doc.addPage({ size: 'A4', margin: 0 });
+                y = 40;
+                drawHeaderRow();
+            }
+        };
+
+        drawHeaderRow();
+        drawRow([
+            statement.from ? toGujaratiDate(statement.from) : '',
+            'ઉઘડતી બાકી / Opening balance',
+            '',
+            '',
+            formatStatementBalance(statement.openingBalance),
+        ], 'Gujarati-Bold');
+
+        statement.entries.forEach(entry => {
+            ensureSpace();
+            drawRow([
+                toGujaratiDate(entry.date),
+                entry.description || entry.type,
+                formatStatementAmount(entry.debit),
+                formatStatementAmount(entry.credit),
+                formatStatementBalance(entry.balance),
+            ], 'Gujarati');
+        });
+
+        ensureSpace();
+        drawRow([
+            '',
+            'કુલ / Total',
+            formatStatementAmount(statement.totalDebit),
+            formatStatementAmount(statement.totalCredit),
+            '',
+        ], 'Gujarati-Bold');
+        drawRow([
+            toGujaratiDate(statement.to || new Date()),
+            'બંધ બાકી / Closing balance',
+            '',
+            '',
+            formatStatementBalance(statement.closingBalance),
+        ], 'Gujarati-Bold');
+
+        // Notes at the bottom
+        y += 15;
+        doc.font('Gujarati').fontSize(10).fillColor('orange');
+        mergedOptions.footerNotes.forEach(note => {
+            doc.text(note, 50, y);
+            y += 16;
+        });
+
+        doc.end();
+
+        return true;
+    } catch (error) {
+        console.error('Statement PDF generation error:', error);
+        throw error;
+    }
+};
+
+// @desc    Download a customer's statement of account for a date range as PDF
+// @route   GET /api/customers/:id/statement.pdf?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+export const getCustomerStatementPDF = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id).select('name customerNo phoneNo');
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+            return res.status(400).json({ message: 'Invalid date format. Please use YYYY-MM-DD format' });
+        }
+
+        if (from && to && from > to) {
+            return res.status(400).json({ message: 'from must be on or before to' });
+        }
+
+        if (from) from.setHours(0, 0, 0, 0);
+        if (to) to.setHours(23, 59, 59, 999);
+
+        const statement = await getLedgerStatement(customer._id, { from, to });
+        const config = await SystemConfig.findOne().lean();
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=statement-${customer.customerNo || customer._id}.pdf`);
+
+        await generateStatementPDF(customer, { ...statement, from, to }, res, getBrandingOptions(config));
+    } catch (error) {
+        console.error('Statement PDF generation error:', error);
+        return res.status(500).json({ message: error.message });
+    }
+};
@@ -43,7 +43,7 @@ const getSubcategoryById = async (req, res) => {
 // @access  Private/Admin
 const createSubcategory = async (req, res) => {
   try {
-    const { name, category, price, description, isActive } = req.body;
+    const { name, category, price, description, isActive, hsnCode, taxRate } = req.body;
     
     // Check if category exists
     const categoryExists = await Category.findById(category);
@@ -65,6 +65,8 @@ const createSubcategory = async (req, res) => {
       price,
       description,
       isActive,
+      hsnCode,
+      taxRate,
     });
     
     if (subcategory) {
@@ -82,7 +84,7 @@ const createSubcategory = async (req, res) => {
 // @access  Private/Admin
 const updateSubcategory = async (req, res) => {
   try {
-    const { name, category, price, description, isActive } = req.body;
+    const { name, category, price, description, isActive, hsnCode, taxRate } = req.body;
     
     const subcategory = await Subcategory.findById(req.params.id);
     
@@ -113,6 +115,9 @@ const updateSubcategory = async (req, res) => {
       subcategory.price = price !== undefined ? price : subcategory.price;
       subcategory.description = description !== undefined ? description : subcategory.description;
       subcategory.isActive = isActive !== undefined ? isActive : subcategory.isActive;
+      subcategory.hsnCode = hsnCode !== undefined ? hsnCode : subcategory.hsnCode;
+      // null clears the override so the category's rate applies again
+      subcategory.taxRate = taxRate !== undefined ? taxRate : subcategory.taxRate;
       
       const updatedSubcategory = await subcategory.save();
       res.json(await updatedSubcategory.populate('category', 'name'));
@@ -1,4 +1,69 @@
-import SystemConfig from '../models/SystemConfig.js';
+import fs from 'fs';
+import path from 'path';
+import SystemConfig, { INVOICE_TEMPLATES, INVOICE_LANGUAGES } from '../models/SystemConfig.js';
+import { SERIES_DEFAULTS, RESET_PERIODS, formatSequence, formatIdentifiesPeriod } from '../utils/sequence.js';
+import { GSTIN_PATTERN } from '../utils/tax.js';
+import { getBrandingOptions, renderInvoicePDF } from './invoiceController.js';
+
+// Uploaded logos are kept on local disk, relative to the server's working directory
+const LOGO_UPLOAD_DIR = './uploads/branding';
+const LOGO_TYPES = {
+    'image/png': { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    'image/jpeg': { extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+};
+const UPI_ID_PATTERN = /^[\w.-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/;
+const MAX_FOOTER_NOTES = 4;
+const MAX_CONTACT_PERSONS = 2;
+const PERIOD_HINTS = {
+    financial_year: '{FY}, {FYY} or {YY}/{YYYY} with {MM}',
+    year: '{YY} or {YYYY}',
+    month: '{YY} or {YYYY} with {MM}',
+};
+
+// Returns an error message for an invalid invoiceBranding update, or null
+const validateInvoiceBranding = (branding) => {
+    if (typeof branding !== 'object' || Array.isArray(branding)) {
+        return 'invoiceBranding must be an object';
+    }
+    if (branding.defaultTemplate && !INVOICE_TEMPLATES.includes(branding.defaultTemplate)) {
+        return `Template must be one of ${INVOICE_TEMPLATES.join(', ')}`;
+    }
+    if (branding.defaultLanguage && !INVOICE_LANGUAGES.includes(branding.defaultLanguage)) {
+        return `Language must be one of ${INVOICE_LANGUAGES.join(', ')}`;
+    }
+    if (branding.upiId && !UPI_ID_PATTERN.test(branding.upiId)) {
+        return 'Invalid UPI id';
+    }
+    if (branding.footerNotes !== undefined) {
+        if (!Array.isArray(branding.footerNotes) || branding.footerNotes.some(note => typeof note !== 'string')) {
+            return 'Footer notes must be a list of text lines';
+        }
+        if (branding.footerNotes.length > MAX_FOOTER_NOTES) {
+            return `At most ${MAX_FOOTER_NOTES} footer notes fit on the invoice`;
+        }
+    }
+    if (branding.contactPersons !== undefined) {
+        if (!Array.isArray(branding.contactPersons) || branding.contactPersons.some(p => !p?.name || !p?.phone)) {
+            return 'Each contact person needs a name and phone';
+        }
+        if (branding.contactPersons.length > MAX_CONTACT_PERSONS) {
+            return `At most ${MAX_CONTACT_PERSONS} contact persons fit on the invoice`;
+        }
+    }
+    return null;
+};
+
+// Copy the editable branding fields from a request onto the config document
+const applyInvoiceBranding = (config, branding) => {
+    ['defaultTemplate', 'defaultLanguage', 'upiId', 'footerNotes', 'contactPersons'].forEach(key => {
+        if (branding[key] !== undefined) config.invoiceBranding[key] = branding[key];
+    });
+    ['logoText', 'headerText'].forEach(key => {
+        Object.entries(branding[key] || {}).forEach(([field, value]) => {
+            config.invoiceBranding[key][field] = value;
+        });
+    });
+};
 
 // Create a wrapper to handle errors in async functions
 const tryCatch = (controller) => async (req, res, next) => {
@@ -34,18 +99,69 @@ const getSystemConfig = tryCatch(async (req, res) => {
 // @route   PUT /api/config
 // @access  Private/Admin
 const updateSystemConfig = tryCatch(async (req, res) => {
-    const { morningTime, eveningTime, companyName, contactEmail, address } = req.body;
+    const {
+        morningTime,
+        eveningTime,
+        companyName,
+        contactEmail,
+        address,
+        autoInvoice,
+        lateFee,
+        dunning,
+        gstin,
+        state,
+        stateCode,
+        pricesIncludeTax,
+        invoiceBranding
+    } = req.body;
+
+    if (invoiceBranding) {
+        const brandingError = validateInvoiceBranding(invoiceBranding);
+        if (brandingError) {
+            return res.status(400).json({ message: brandingError });
+        }
+    }
+
+    if (gstin && !GSTIN_PATTERN.test(gstin.toUpperCase())) {
+        return res.status(400).json({ message: 'Invalid GSTIN' });
+    }
+
+    if (autoInvoice?.dayOfMonth !== undefined) {
+        const day = parseInt(autoInvoice.dayOfMonth);
+        if (isNaN(day) || day < 1 || day > 28) {
+            return res.status(400).json({ message: 'Auto invoice day must be between 1 and 28' });
+        }
+    }
+
+    if (lateFee) {
+        if (lateFee.feeType && !['flat', 'percentage'].includes(lateFee.feeType)) {
+            return res.status(400).json({ message: 'Late fee type must be flat or percentage' });
+        }
+        if (lateFee.amount !== undefined && !(parseFloat(lateFee.amount) >= 0)) {
+            return res.status(400).json({ message: 'Late fee amount cannot be negative' });
+        }
+        if (lateFee.graceDays !== undefined && !(parseInt(lateFee.graceDays) >= 0)) {
+            return res.status(400).json({ message: 'Grace days cannot be negative' });
+        }
+    }
 
     let config = await SystemConfig.findOne();
 
     if (!config) {
-        // Create new config if doesn't exist
-        config = await SystemConfig.create({
+        // Create new config if doesn't exist; late fee and dunning settings are applied below as for an update
+        config = new SystemConfig({
             morningTime: morningTime || "06:00",
             eveningTime: eveningTime || "18:00",
             companyName: companyName || "Ramdev Dairy Farm",
             contactEmail: contactEmail || "info@ramdevdairy.com",
             address: address || "",
+            autoInvoice: autoInvoice || {},
+            gstin: gstin || "",
+            state: state || "",
+            // The first two digits of a GSTIN are the state code
+            stateCode: stateCode || (gstin ? gstin.slice(0, 2) : ""),
+            pricesIncludeTax: pricesIncludeTax !== undefined ? Boolean(pricesIncludeTax) : true,
+            invoiceBranding: invoiceBranding ? { ...invoiceBranding, logoPath: undefined } : {},
             milkmen: []
         });
     } else {
@@ -56,9 +172,48 @@ const updateSystemConfig = tryCatch(async (req, res) => {
         config.contactEmail = contactEmail || config.contactEmail;
         config.address = address || config.address;
 
-        await config.save();
+        if (autoInvoice) {
+            if (autoInvoice.enabled !== undefined) {
+                config.autoInvoice.enabled = Boolean(autoInvoice.enabled);
+            }
+            if (autoInvoice.dayOfMonth !== undefined) {
+                config.autoInvoice.dayOfMonth = parseInt(autoInvoice.dayOfMonth);
+            }
+        }
+
+        if (gstin !== undefined) {
+            config.gstin = gstin;
+            if (gstin && !stateCode) config.stateCode = gstin.slice(0, 2);
+        }
+        if (state !== undefined) config.state = state;
+        if (stateCode !== undefined) config.stateCode = stateCode;
+        if (pricesIncludeTax !== undefined) config.pricesIncludeTax = Boolean(pricesIncludeTax);
+
+        if (invoiceBranding) {
+            applyInvoiceBranding(config, invoiceBranding);
+        }
     }
 
+    if (lateFee) {
+        if (lateFee.enabled !== undefined) config.lateFee.enabled = Boolean(lateFee.enabled);
+        if (lateFee.feeType) config.lateFee.feeType = lateFee.feeType;
+        if (lateFee.amount !== undefined) config.lateFee.amount = parseFloat(lateFee.amount);
+        if (lateFee.graceDays !== undefined) config.lateFee.graceDays = parseInt(lateFee.graceDays);
+    }
+
+    if (dunning) {
+        ['reminder1Days', 'reminder2Days', 'finalDays'].forEach(key => {
+            if (dunning[key] !== undefined) config.dunning[key] = parseInt(dunning[key]);
+        });
+    }
+
+    const { reminder1Days, reminder2Days, finalDays } = config.dunning;
+    if (!(reminder1Days < reminder2Days && reminder2Days < finalDays)) {
+        return res.status(400).json({ message: 'Dunning days must increase from reminder 1 to reminder 2 to final' });
+    }
+
+    await config.save();
+
     res.json({
         success: true,
         message: 'System configuration updated successfully',
@@ -209,11 +364,294 @@ const getActiveMilkmen = tryCatch(async (req, res) => {
     });
 });
 
+// @desc    Get numbering format for every series (invoices, customers, receipts...)
+// @route   GET /api/config/number-series
+// @access  Private/Admin
+const getNumberSeries = tryCatch(async (req, res) => {
+    const config = await SystemConfig.findOne();
+    const overrides = config?.numberSeries || [];
+
+    const series = Object.entries(SERIES_DEFAULTS).map(([name, defaults]) => {
+        const override = overrides.find(s => s.series === name);
+        const format = override?.format || defaults.format;
+        return {
+            series: name,
+            format,
+            reset: override?.reset || defaults.reset,
+            isDefault: !override,
+            example: formatSequence(format, 1, new Date(), { customerNo: 1 }),
+        };
+    });
+
+    res.json({ series, resetPeriods: RESET_PERIODS });
+});
+
+// @desc    Change the numbering format of a series
+// @route   PUT /api/config/number-series/:series
+// @access  Private/Admin
+const updateNumberSeries = tryCatch(async (req, res) => {
+    const { series } = req.params;
+    const { format, reset } = req.body;
+
+    if (!SERIES_DEFAULTS[series]) {
+        return res.status(404).json({ message: 'Unknown number series' });
+    }
+
+    // customerNo is numeric, so only its reset period can change
+    const newFormat = series === 'customer' ? SERIES_DEFAULTS.customer.format : (format || '').trim();
+
+    if (!/\{SEQ(:\d+)?\}/.test(newFormat)) {
+        return res.status(400).json({ message: 'Format must contain a {SEQ} or {SEQ:n} token' });
+    }
+
+    if (reset && !RESET_PERIODS.includes(reset)) {
+        return res.status(400).json({ message: 'Invalid reset period' });
+    }
+
+    let config = await SystemConfig.findOne();
+
+    // A counter that restarts needs the period in the number, or numbers repeat
+    const newReset = reset || config?.numberSeries.find(s => s.series === series)?.reset || SERIES_DEFAULTS[series].reset;
+    if (!formatIdentifiesPeriod(newFormat, newReset)) {
+        return res.status(400).json({
+            message: `Format must include the period (${PERIOD_HINTS[newReset]}) when numbering resets every ${newReset.replace('_', ' ')}`
+        });
+    }
+
+    if (!config) {
+        config = new SystemConfig({
+            morningTime: "06:00",
+            eveningTime: "18:00",
+            milkmen: [],
+            companyName: "Ramdev Dairy Farm"
+        });
+    }
+
+    const existing = config.numberSeries.find(s => s.series === series);
+    if (existing) {
+        existing.format = newFormat;
+        existing.reset = reset || existing.reset;
+    } else {
+        config.numberSeries.push({
+            series,
+            format: newFormat,
+            reset: reset || SERIES_DEFAULTS[series].reset
+        });
+    }
+
+    await config.save();
+
+    res.json({
+        success: true,
+        message: 'Number series updated successfully',
+        numberSeries: config.numberSeries
+    });
+});
+
+// @desc    Get the invoice branding in effect (saved values over built-in defaults)
+// @route   GET /api/config/invoice-branding
+// @access  Private/Admin
+const getInvoiceBranding = tryCatch(async (req, res) => {
+    const config = await SystemConfig.findOne().lean();
+    res.json({
+        branding: getBrandingOptions(config),
+        saved: config?.invoiceBranding || {},
+        hasCustomLogo: Boolean(config?.invoiceBranding?.logoPath),
+        templates: INVOICE_TEMPLATES,
+        languages: INVOICE_LANGUAGES,
+    });
+});
+
+// @desc    Upload the logo printed on invoices (raw PNG or JPEG request body)
+// @route   PUT /api/config/logo
+// @access  Private/Admin
+const uploadLogo = tryCatch(async (req, res) => {
+    const type = LOGO_TYPES[(req.headers['content-type'] || '').split(';')[0].trim()];
+    const image = req.body;
+
+    if (!type || !Buffer.isBuffer(image) || image.length === 0) {
+        return res.status(400).json({ message: 'Send a PNG or JPEG image as the request body' });
+    }
+
+    if (!image.subarray(0, type.signature.length).equals(type.signature)) {
+        return res.status(400).json({ message: 'File content does not match its image type' });
+    }
+
+    let config = await SystemConfig.findOne();
+    if (!config) {
+        config = new SystemConfig({
+            morningTime: "06:00",
+            eveningTime: "18:00",
+            milkmen: [],
+            companyName: "Ramdev Dairy Farm"
+        });
+    }
+
+    await fs.promises.mkdir(LOGO_UPLOAD_DIR, { recursive: true });
+    const logoPath = `${LOGO_UPLOAD_DIR}/logo-${Date.now()}.${type.extension}`;
+    await fs.promises.writeFile(logoPath, image);
+
+    const previousLogo = config.invoiceBranding.logoPath;
+    config.invoiceBranding.logoPath = logoPath;
+    await config.save();
+
+    if (previousLogo) {
+        await fs.promises.rm(previousLogo, { force: true });
+    }
+
+    res.json({
+        success: true,
+        message: 'Logo uploaded successfully',
+        logoPath
+    });
+});
+
+// @desc    Get the logo currently used on invoices
+// @route   GET /api/config/logo
+// @access  Private/Admin
+const getLogo = tryCatch(async (req, res) => {
+    const config = await SystemConfig.findOne().lean();
+    const { logoPath } = getBrandingOptions(config);
+
+    res.sendFile(path.resolve(logoPath));
+});
+
+// @desc    Remove the uploaded logo and go back to the bundled one
+// @route   DELETE /api/config/logo
+// @access  Private/Admin
+const deleteLogo = tryCatch(async (req, res) => {
+    const config = await SystemConfig.findOne();
+
+    if (!config?.invoiceBranding?.logoPath) {
+        return res.status(404).json({ message: 'No custom logo uploaded' });
+    }
+
+    await fs.promises.rm(config.invoiceBranding.logoPath, { force: true });
+    config.invoiceBranding.logoPath = undefined;
+    await config.save();
+
+    res.json({
+        success: true,
+        message: 'Logo removed successfully'
+    });
+});
+
+// Invoice for the previous month with a typical cow/buffalo delivery pattern
+const buildSampleInvoice = () => {
+    const now = new Date();
+    const startDate = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    const endDate = new Date(now.getFullYear(), now.getMonth(), 0);
+    const cow = { name: 'Cow' };
+    const buffalo = { name: 'Buffalo' };
+
+    const items = [];
+    for (let day = 1; day <= endDate.getDate(); day++) {
+        // A skipped evening every tenth day so the table does not look uniform
+        const evening = day % 10 === 0 ? 0 : 0.5;
+        const deliverySchedule = [
+            {
+                time: 'morning',
+                milkItems: [{ milkType: cow, quantity: 1, pricePerUnit: 60, totalPrice: 60 }],
+            },
+            {
+                time: 'evening',
+                milkItems: evening ? [{ milkType: buffalo, quantity: evening, pricePerUnit: 70, totalPrice: evening * 70 }] : [],
+            },
+        ];
+        items.push({
+            date: new Date(startDate.getFullYear(), startDate.getMonth(), day),
+            deliverySchedule,
+            totalDailyQuantity: 1 + evening,
+            totalDailyDiscount: 0,
+            totalDailyPrice: 60 + evening * 70,
+        });
+    }
+
+    const totalQuantity = items.reduce((sum, item) => sum + item.totalDailyQuantity, 0);
+    const grossAmount = items.reduce((sum, item) => sum + item.totalDailyPrice, 0);
+    const discountAmount = 50;
+    const totalAmount = grossAmount - discountAmount;
+
+    return {
+        invoiceNumber: 'INV-SAMPLE-0001',
+        customer: { name: 'નમૂના ગ્રાહક / Sample Customer', customerNo: 101, address: 'Sample Society, Main Road' },
+        startDate,
+        endDate,
+        items,
+        totalQuantity,
+        totalAmount,
+        discounts: [{ name: 'Loyalty', quantity: 0, amount: discountAmount }],
+        discountAmount,
+        amountPaid: 1000,
+        dueAmount: totalAmount - 1000,
+        taxLines: [],
+    };
+};
+
+// @desc    Render sample data in an invoice template, optionally with unsaved branding changes
+// @route   POST /api/config/invoice-templates/preview
+// @access  Private/Admin
+const previewInvoiceTemplate = tryCatch(async (req, res) => {
+    const { template, language, branding = {} } = req.body;
+
+    if (template && !INVOICE_TEMPLATES.includes(template)) {
+        return res.status(400).json({ message: `Template must be one of ${INVOICE_TEMPLATES.join(', ')}` });
+    }
+
+    if (language && !INVOICE_LANGUAGES.includes(language)) {
+        return res.status(400).json({ message: `Language must be one of ${INVOICE_LANGUAGES.join(', ')}` });
+    }
+
+    const brandingError = validateInvoiceBranding(branding);
+    if (brandingError) {
+        return res.status(400).json({ message: brandingError });
+    }
+
+    const config = await SystemConfig.findOne().lean();
+    const options = getBrandingOptions({
+        ...config,
+        invoiceBranding: {
+            ...config?.invoiceBranding,
+            ...branding,
+            // Only an uploaded logo can be previewed, never an arbitrary path
+            logoPath: config?.invoiceBranding?.logoPath,
+        },
+    });
+
+    const sample = buildSampleInvoice();
+    // Two older unpaid bills' worth of dues, so the previous due line shows
+    const totalCustomerDue = sample.dueAmount + 850;
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename=invoice-preview-${template || options.template}.pdf`);
+
+    await renderInvoicePDF(sample, res, {
+        ...options,
+        ...(template ? { template } : {}),
+        ...(language ? { language } : {}),
+        // The classic form reads the rate line from the customer's delivery schedule
+        customer: { ...sample.customer, deliverySchedule: sample.items[0].deliverySchedule },
+        totalCustomerDue,
+        supplier: {
+            name: config?.companyName,
+            address: config?.address,
+            state: config?.state
+        }
+    });
+});
+
 export {
     getSystemConfig,
     updateSystemConfig,
     addMilkman,
     updateMilkman,
     deleteMilkman,
-    getActiveMilkmen
+    getActiveMilkmen,
+    getNumberSeries,
+    updateNumberSeries,
+    getInvoiceBranding,
+    uploadLogo,
+    getLogo,
+    deleteLogo,
+    previewInvoiceTemplate
 };
@@ -1,5 +1,6 @@
 import jwt from 'jsonwebtoken';
 import Admin from '../models/Admin.js';
+import Customer from '../models/Customer.js';
 
 const protect = async (req, res, next) => {
   let token;
@@ -35,4 +36,27 @@ const admin = (req, res, next) => {
   }
 };
 
-export { protect, admin };
\ No newline at end of file
+// For customer logins (POST /api/customers/login); sets req.customer
+const protectCustomer = async (req, res, next) => {
+  if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+    return res.status(401).json({ message: 'Not authorized, no token' });
+  }
+
+  try {
+    const token = req.headers.authorization.split(' ')[1];
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    req.customer = await Customer.findById(decoded.id).select('-password');
+  } catch (error) {
+    console.error(error);
+    return res.status(401).json({ message: 'Not authorized, token failed' });
+  }
+
+  if (!req.customer || !req.customer.isActive) {
+    return res.status(401).json({ message: 'Not authorized as a customer' });
+  }
+
+  next();
+};
+
+export { protect, admin, protectCustomer };
\ No newline at end of file
@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Customer from './models/Customer.js';
+import Invoice from './models/Invoice.js';
+import LedgerEntry from './models/LedgerEntry.js';
+import connectDB from './config/db.js';
+import { postLedgerEntries } from './utils/ledger.js';
+
+dotenv.config();
+
+connectDB();
+
+// Post opening balances for customers that existed before the ledger was introduced.
+// Customers that already have ledger entries are left untouched, so this is safe to re-run.
+const migrateLedger = async () => {
+  try {
+    const customers = await Customer.find({});
+    let migrated = 0;
+
+    for (const customer of customers) {
+      const hasEntries = await LedgerEntry.exists({ customer: customer._id });
+      if (hasEntries) continue;
+
+      const invoices = await Invoice.find({ customer: customer._id });
+      const pendingAmount = invoices.reduce((sum, inv) => sum + Math.max(inv.dueAmount || 0, 0), 0);
+
+      await postLedgerEntries([
+        {
+          customer: customer._id,
+          account: 'receivable',
+          type: 'opening',
+          debit: pendingAmount,
+          description: 'Opening balance (outstanding invoices)',
+        },
+        {
+          customer: customer._id,
+          account: 'advance',
+          type: 'opening',
+          credit: customer.advance || 0,
+          description: 'Opening balance (advance)',
+        },
+      ]);
+      migrated++;
+    }
+
+    console.log(`Opening ledger balances posted for ${migrated} customers`);
+    await mongoose.disconnect();
+    process.exit();
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+};
+
+migrateLedger();
@@ -0,0 +1,46 @@
+// models/BankStatementImport.js
+import mongoose from 'mongoose';
+
+// One uploaded bank statement file and what came out of it
+const bankStatementImportSchema = mongoose.Schema(
+    {
+        fileName: {
+            type: String,
+        },
+        // Preset the columns were read with (see BANK_STATEMENT_FORMATS), or 'custom'
+        bankFormat: {
+            type: String,
+            required: true,
+        },
+        columnMapping: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        importedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        counts: {
+            rows: { type: Number, default: 0 },
+            credits: { type: Number, default: 0 },
+            debits: { type: Number, default: 0 },
+            duplicates: { type: Number, default: 0 },
+            invalid: { type: Number, default: 0 },
+            suggested: { type: Number, default: 0 },
+            unmatched: { type: Number, default: 0 },
+        },
+        // Rows that could not be read, by line number in the file
+        rowErrors: [
+            {
+                line: { type: Number },
+                error: { type: String },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const BankStatementImport = mongoose.model('BankStatementImport', bankStatementImportSchema);
+
+export default BankStatementImport;
@@ -0,0 +1,105 @@
+// models/BankTransaction.js
+import mongoose from 'mongoose';
+
+// A credit from an imported bank statement, waiting in the review queue until an admin
+// confirms (possibly after reassigning) its match and it is booked as a payment
+const bankTransactionSchema = mongoose.Schema(
+    {
+        import: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'BankStatementImport',
+            required: true,
+            index: true,
+        },
+        transactionDate: {
+            type: Date,
+            required: true,
+        },
+        narration: {
+            type: String,
+        },
+        // Bank reference / UTR; used as the payment's transaction id when booked
+        reference: {
+            type: String,
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        // UPI ID of the payer when the narration carries one
+        payerVpa: {
+            type: String,
+        },
+        // Hash of date, amount, reference, narration and the row's place among identical
+        // ones, so re-uploading an overlapping statement does not queue the same credit twice
+        fingerprint: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        status: {
+            type: String,
+            enum: ['unmatched', 'suggested', 'confirmed', 'ignored'],
+            default: 'unmatched',
+            index: true,
+        },
+        match: {
+            customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+            // Unset means the amount is spread over the customer's open invoices, oldest first
+            invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+            method: {
+                type: String,
+                enum: ['invoice_number', 'upi_id', 'phone', 'amount', 'manual'],
+            },
+            confidence: {
+                type: String,
+                enum: ['high', 'medium', 'low'],
+            },
+        },
+        // Other plausible matches, shown to the reviewer
+        candidates: [
+            {
+                customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+                invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+                method: { type: String },
+            },
+        ],
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        ignoreReason: {
+            type: String,
+        },
+        // Filled in when the credit is booked
+        payment: {
+            transactionId: { type: String },
+            receiptNumber: { type: String },
+            allocations: [
+                {
+                    invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+                    invoiceNumber: { type: String },
+                    amount: { type: Number },
+                },
+            ],
+            advanceAmount: { type: Number },
+        },
+        // Set when booking a confirmed credit failed part way
+        bookingError: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+bankTransactionSchema.index({ status: 1, transactionDate: -1 });
+
+const BankTransaction = mongoose.model('BankTransaction', bankTransactionSchema);
+
+export default BankTransaction;
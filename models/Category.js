@@ -12,6 +12,17 @@ const categorySchema = mongoose.Schema(
       type: String,
       trim: true,
     },
+    // GST classification; subcategories can override both
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -0,0 +1,85 @@
+// models/CollectionSession.js
+import mongoose from 'mongoose';
+
+// Cash a milkman collects on one round: opened before the round, receipts recorded per
+// customer, closed when he is back, then reconciled against the cash he hands over
+const collectionSessionSchema = mongoose.Schema(
+    {
+        // _id of the milkman entry in SystemConfig.milkmen
+        milkman: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true,
+        },
+        // Name at the time, in case the milkman is later renamed or removed
+        milkmanName: {
+            type: String,
+        },
+        status: {
+            type: String,
+            enum: ['open', 'closed', 'reconciled'],
+            default: 'open',
+            index: true,
+        },
+        openedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        openedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        closedAt: {
+            type: Date,
+        },
+        closedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        receipts: [
+            {
+                customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+                customerName: { type: String },
+                amount: { type: Number, required: true, min: 0 },
+                collectedAt: { type: Date, default: Date.now },
+                transactionId: { type: String },
+                receiptNumber: { type: String },
+                allocations: [
+                    {
+                        invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+                        invoiceNumber: { type: String },
+                        amount: { type: Number },
+                    },
+                ],
+                advanceAmount: { type: Number, default: 0 },
+                notes: { type: String },
+            },
+        ],
+        // Sum of receipts: the cash the milkman should hand over
+        totalCollected: {
+            type: Number,
+            default: 0,
+        },
+        handover: {
+            amountReceived: { type: Number },
+            // Collected minus received; negative when more was handed over than recorded
+            shortfall: { type: Number },
+            notes: { type: String },
+            reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+            reconciledAt: { type: Date },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// A milkman has at most one open session
+collectionSessionSchema.index(
+    { milkman: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+collectionSessionSchema.index({ openedAt: -1, milkman: 1 });
+
+const CollectionSession = mongoose.model('CollectionSession', collectionSessionSchema);
+
+export default CollectionSession;
@@ -0,0 +1,33 @@
+import mongoose from 'mongoose';
+
+// Atomic sequence counters, one document per series/scope/period
+// (e.g. invoice numbers for financial year 2026-27, or transaction ids for one customer in 2026)
+const counterSchema = mongoose.Schema(
+  {
+    series: {
+      type: String,
+      required: true,
+    },
+    scope: {
+      type: String,
+      default: '',
+    },
+    period: {
+      type: String,
+      required: true,
+    },
+    seq: {
+      type: Number,
+      default: 0,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+counterSchema.index({ series: 1, scope: 1, period: 1 }, { unique: true });
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+export default Counter;
@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { nextSequenceValue } from '../utils/sequence.js';
+import { GSTIN_PATTERN } from '../utils/tax.js';
+import { INVOICE_TEMPLATES, INVOICE_LANGUAGES } from './SystemConfig.js';
+import { RECURRENCE_PATTERNS } from '../utils/recurrence.js';
 
 // Schema for individual milk item
 const milkItemSchema = mongoose.Schema({
@@ -27,6 +31,27 @@ const milkItemSchema = mongoose.Schema({
     type: Number,
     required: true,
     min: 0
+  },
+  // Which days the item comes, see utils/recurrence.js; quantity and totalPrice are the usual day's
+  recurrence: {
+    pattern: {
+      type: String,
+      enum: RECURRENCE_PATTERNS,
+      default: 'daily'
+    },
+    // Sunday first, for the weekdays pattern
+    weekdayQuantities: {
+      type: [{ type: Number, min: 0 }],
+      default: undefined
+    },
+    // every_n_days: delivered every `every` days counted from startDate
+    every: {
+      type: Number,
+      min: 2
+    },
+    startDate: {
+      type: Date
+    }
   }
 });
 
@@ -74,6 +99,58 @@ const customerSchema = mongoose.Schema(
       trim: true,
       index: true,
     },
+    // Delivery area / locality used to group customers in reports
+    area: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    // _id of the milkman entry in SystemConfig.milkmen who serves this customer
+    milkman: {
+      type: mongoose.Schema.Types.ObjectId,
+      index: true,
+    },
+    // Position on the milkman's delivery round; bills are printed in this order
+    routeOrder: {
+      type: Number,
+      min: 0,
+    },
+    // GST registration; customers with a GSTIN get B2B tax invoices
+    gstin: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      match: [GSTIN_PATTERN, 'Invalid GSTIN'],
+    },
+    // Two digit GST state code for place of supply (defaults to the dairy's state)
+    stateCode: {
+      type: String,
+      trim: true,
+    },
+    // UPI IDs the customer pays from, used to match bank statement credits.
+    // Confirming a bank match adds the payer's UPI ID here.
+    upiIds: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    // Invoice PDF layout and label language; unset means the SystemConfig defaults
+    invoiceTemplate: {
+      type: String,
+      enum: INVOICE_TEMPLATES,
+    },
+    invoiceLanguage: {
+      type: String,
+      enum: INVOICE_LANGUAGES,
+    },
+    // Customer group whose price list overrides the base price (e.g. hotel, wholesale)
+    priceGroup: {
+      type: String,
+      trim: true,
+      index: true,
+    },
     joinedDate: {
       type: String,
       default: () => {
@@ -112,6 +189,10 @@ const customerSchema = mongoose.Schema(
       default: true,
       index: true,
     },
+    // When isActive was last switched off; records after this day should not exist
+    deactivatedAt: {
+      type: Date,
+    },
     advance: {
       type: Number,
       default: 0,
@@ -126,6 +207,7 @@ const customerSchema = mongoose.Schema(
 customerSchema.index({ name: 'text', address: 'text', phoneNo: 'text' });
 customerSchema.index({ 'deliverySchedule.milkItems.milkType': 1 });
 customerSchema.index({ 'deliverySchedule.time': 1 });
+customerSchema.index({ upiIds: 1 });
 
 // Pre-save middleware to calculate totals
 deliveryTimeSchema.pre('save', function (next) {
@@ -297,8 +379,13 @@ customerSchema.pre('save', async function (next) {
 customerSchema.pre('validate', async function (next) {
   if (this.isNew && !this.customerNo) {
     try {
-      const lastCustomer = await this.constructor.findOne({}, {}, { sort: { 'customerNo': -1 } });
-      this.customerNo = lastCustomer ? lastCustomer.customerNo + 1 : 1;
+      // Atomic counter; seeded from the highest existing customerNo the first time
+      this.customerNo = await nextSequenceValue('customer', {
+        seed: async () => {
+          const lastCustomer = await this.constructor.findOne({}, {}, { sort: { 'customerNo': -1 } });
+          return lastCustomer ? lastCustomer.customerNo : 0;
+        }
+      });
       next();
     } catch (error) {
       next(error);
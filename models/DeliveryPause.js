@@ -0,0 +1,70 @@
+// models/DeliveryPause.js
+import mongoose from 'mongoose';
+
+// Days a customer does not want milk, e.g. while out of town. Deliveries resume on their own
+// after endDate. Customers' own requests wait for staff approval; only approved pauses apply.
+const deliveryPauseSchema = mongoose.Schema(
+    {
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer',
+            required: true,
+            index: true,
+        },
+        // First and last paused day, both inclusive
+        startDate: {
+            type: Date,
+            required: true,
+        },
+        endDate: {
+            type: Date,
+            required: true,
+        },
+        // Slots paused; empty pauses the whole day
+        times: [
+            {
+                type: String,
+                enum: ['morning', 'evening'],
+            },
+        ],
+        reason: {
+            type: String,
+            trim: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'approved', 'rejected', 'cancelled'],
+            default: 'pending',
+            index: true,
+        },
+        requestedBy: {
+            type: String,
+            enum: ['customer', 'staff'],
+            required: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        reviewedAt: {
+            type: Date,
+        },
+        rejectReason: {
+            type: String,
+            trim: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+deliveryPauseSchema.index({ customer: 1, startDate: 1, endDate: 1 });
+
+const DeliveryPause = mongoose.model('DeliveryPause', deliveryPauseSchema);
+
+export default DeliveryPause;
@@ -0,0 +1,96 @@
+// models/GatewayPayment.js
+import mongoose from 'mongoose';
+
+// One payment reported by an online payment provider. The unique provider payment id
+// is what makes webhook deliveries idempotent: a redelivered event finds its record.
+const gatewayPaymentSchema = mongoose.Schema(
+    {
+        provider: {
+            type: String,
+            required: true,
+        },
+        providerPaymentId: {
+            type: String,
+            required: true,
+        },
+        providerOrderId: {
+            type: String,
+        },
+        // Not set when the provider reports an order we never created
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'PaymentOrder',
+        },
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer',
+        },
+        amount: {
+            type: Number,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['captured', 'failed'],
+            required: true,
+        },
+        paidAt: {
+            type: Date,
+        },
+        // How the money was booked: on the invoice, and any remainder to advance
+        appliedAmount: {
+            type: Number,
+            default: 0,
+        },
+        advanceAmount: {
+            type: Number,
+            default: 0,
+        },
+        transactionId: {
+            type: String,
+        },
+        receiptNumber: {
+            type: String,
+        },
+        // Set once the payment is on the invoice and ledger; a captured payment without it
+        // was interrupted and is applied again by the next webhook delivery or reconciliation
+        appliedAt: {
+            type: Date,
+        },
+        // When a webhook or reconciliation started booking it; stops two of them applying
+        // the same payment at once
+        applyStartedAt: {
+            type: Date,
+        },
+        // Whether it came from a webhook or was picked up by reconciliation
+        source: {
+            type: String,
+            enum: ['webhook', 'reconciliation'],
+            default: 'webhook',
+        },
+        reconciliation: {
+            status: {
+                type: String,
+                enum: ['pending', 'matched', 'mismatch'],
+                default: 'pending',
+                index: true,
+            },
+            issues: [{ type: String }],
+            checkedAt: { type: Date },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+gatewayPaymentSchema.index({ provider: 1, providerPaymentId: 1 }, { unique: true });
+gatewayPaymentSchema.index({ paidAt: 1 });
+
+const GatewayPayment = mongoose.model('GatewayPayment', gatewayPaymentSchema);
+
+export default GatewayPayment;
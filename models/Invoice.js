@@ -37,6 +37,20 @@ const invoiceSchema = mongoose.Schema(
             type: Number,
             default: 0,
         },
+        // Running totals of credit/debit notes issued against this invoice
+        creditNoteAmount: {
+            type: Number,
+            default: 0,
+        },
+        debitNoteAmount: {
+            type: Number,
+            default: 0,
+        },
+        // Total of the late fee charges below
+        lateFeeAmount: {
+            type: Number,
+            default: 0,
+        },
         dueAmount: {
             type: Number,
             required: true,
@@ -44,7 +58,7 @@ const invoiceSchema = mongoose.Schema(
         },
         status: {
             type: String,
-            enum: ['pending', 'partially_paid', 'paid', 'overdue'],
+            enum: ['pending', 'partially_paid', 'paid', 'overdue', 'void'],
             default: 'pending',
             index: true,
         },
@@ -75,9 +89,54 @@ const invoiceSchema = mongoose.Schema(
                     }
                 ],
                 totalDailyQuantity: { type: Number, default: 0 },
+                totalDailyDiscount: { type: Number, default: 0 },
                 totalDailyPrice: { type: Number, default: 0 }
             },
         ],
+        // Pricing rule discounts for the period, one line per rule (totalAmount is already net of these)
+        discounts: [
+            {
+                rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+                name: { type: String },
+                quantity: { type: Number, default: 0 },
+                amount: { type: Number, required: true },
+            },
+        ],
+        discountAmount: {
+            type: Number,
+            default: 0,
+        },
+        // GST breakup, only present when the dairy has a GSTIN configured
+        tax: {
+            supplierGstin: { type: String },
+            supplierState: { type: String },
+            customerGstin: { type: String },
+            placeOfSupply: { type: String },
+            isInterState: { type: Boolean },
+            supplyType: { type: String, enum: ['B2B', 'B2C'] },
+            pricesIncludeTax: { type: Boolean },
+            taxableValue: { type: Number },
+            cgst: { type: Number },
+            sgst: { type: Number },
+            igst: { type: Number },
+            totalTax: { type: Number },
+        },
+        taxLines: [
+            {
+                subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory' },
+                description: { type: String },
+                hsnCode: { type: String },
+                quantity: { type: Number, default: 0 },
+                grossAmount: { type: Number, default: 0 },
+                discount: { type: Number, default: 0 },
+                taxableValue: { type: Number, default: 0 },
+                taxRate: { type: Number, default: 0 },
+                cgst: { type: Number, default: 0 },
+                sgst: { type: Number, default: 0 },
+                igst: { type: Number, default: 0 },
+                totalAmount: { type: Number, default: 0 },
+            },
+        ],
         // Track payment history
         payments: [
             {
@@ -97,14 +156,78 @@ const invoiceSchema = mongoose.Schema(
                 transactionId: {
                     type: String,
                 },
+                // Receipt handed to the customer; shared when one payment covers several invoices
+                receiptNumber: {
+                    type: String,
+                    index: true,
+                },
                 notes: {
                     type: String,
                 },
+                // Milkman (SystemConfig.milkmen _id) who took the cash, and the round it was taken on
+                collectedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                },
+                collectionSession: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'CollectionSession',
+                },
+                // Reversed payments stay in the history but no longer count towards amountPaid
+                isReversed: {
+                    type: Boolean,
+                    default: false,
+                },
+                reversedAt: {
+                    type: Date,
+                },
+                reversedBy: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'Admin',
+                },
+                reversalReason: {
+                    type: String,
+                },
             },
         ],
         notes: {
             type: String,
         },
+        // Late fees added by the overdue sweeper, kept apart from the milk items
+        lateFees: [
+            {
+                amount: { type: Number, required: true },
+                appliedAt: { type: Date, default: Date.now },
+                daysOverdue: { type: Number },
+                feeType: { type: String, enum: ['flat', 'percentage'] },
+                rate: { type: Number },
+                description: { type: String },
+            },
+        ],
+        // Reminder stage for an unpaid invoice past its due date
+        dunningLevel: {
+            type: String,
+            enum: ['none', 'reminder_1', 'reminder_2', 'final'],
+            default: 'none',
+            index: true,
+        },
+        dunningHistory: [
+            {
+                level: { type: String, enum: ['reminder_1', 'reminder_2', 'final'] },
+                date: { type: Date, default: Date.now },
+                daysOverdue: { type: Number },
+            },
+        ],
+        // A voided invoice is kept for audit but never counts towards dues
+        voidedAt: {
+            type: Date,
+        },
+        voidedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        voidReason: {
+            type: String,
+        },
     },
     {
         timestamps: true,
@@ -117,16 +240,26 @@ invoiceSchema.index({ status: 1, dueDate: 1 });
 
 // Pre-save hook to calculate due amount
 invoiceSchema.pre('save', function (next) {
-    // Calculate due amount as total amount minus amount paid
-    this.dueAmount = this.totalAmount - this.amountPaid;
+    if (this.voidedAt) {
+        this.dueAmount = 0;
+        this.status = 'void';
+        return next();
+    }
+
+    // Calculate due amount as total amount (adjusted by notes and late fees) minus amount paid
+    this.dueAmount = this.totalAmount
+        + (this.debitNoteAmount || 0)
+        - (this.creditNoteAmount || 0)
+        + (this.lateFeeAmount || 0)
+        - this.amountPaid;
 
-    // Update status based on payment
+    // Update status based on payment; anything still due past the due date is overdue
     if (this.dueAmount <= 0) {
         this.status = 'paid';
-    } else if (this.amountPaid > 0) {
-        this.status = 'partially_paid';
     } else if (this.dueDate < new Date()) {
         this.status = 'overdue';
+    } else if (this.amountPaid > 0) {
+        this.status = 'partially_paid';
     } else {
         this.status = 'pending';
     }
@@ -142,6 +275,25 @@ invoiceSchema.methods.addPayment = async function (paymentDetails) {
     return this;
 };
 
+// Method to reverse a payment, keeping it in the history for audit
+invoiceSchema.methods.reversePayment = async function (paymentId, { reason, reversedBy }) {
+    const payment = this.payments.id(paymentId);
+    if (!payment) {
+        throw new Error('Payment not found');
+    }
+    if (payment.isReversed) {
+        throw new Error('Payment has already been reversed');
+    }
+
+    payment.isReversed = true;
+    payment.reversedAt = new Date();
+    payment.reversedBy = reversedBy;
+    payment.reversalReason = reason;
+    this.amountPaid -= payment.amount;
+    await this.save();
+    return payment;
+};
+
 const Invoice = mongoose.model('Invoice', invoiceSchema);
 
 export default Invoice;
\ No newline at end of file
@@ -0,0 +1,94 @@
+// models/InvoiceNote.js
+import mongoose from 'mongoose';
+
+// Credit and debit notes share one collection; `noteType` tells them apart
+const invoiceNoteSchema = mongoose.Schema(
+    {
+        noteNumber: {
+            type: String,
+            required: true,
+            unique: true,
+            index: true,
+        },
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+            required: true,
+            index: true,
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer',
+            required: true,
+            index: true,
+        },
+        reason: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // Free-text remarks alongside the reason
+        notes: {
+            type: String,
+            trim: true,
+        },
+        // Line items by date and milk type (e.g. spoiled milk or a missed delivery)
+        items: [
+            {
+                date: { type: Date, required: true },
+                time: { type: String, enum: ['morning', 'evening'], required: true },
+                milkType: { type: mongoose.Schema.Types.ObjectId, ref: 'Category', required: true },
+                subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory', required: true },
+                quantity: { type: Number, required: true, min: 0 },
+                pricePerUnit: { type: Number, required: true, min: 0 },
+                amount: { type: Number, required: true, min: 0 },
+                notes: { type: String },
+            },
+        ],
+        totalQuantity: {
+            type: Number,
+            default: 0,
+        },
+        totalAmount: {
+            type: Number,
+            required: true,
+            default: 0,
+        },
+        // Portion of a credit note that reduced the invoice due; the rest went to advance
+        appliedAmount: {
+            type: Number,
+            default: 0,
+        },
+        advanceAmount: {
+            type: Number,
+            default: 0,
+        },
+        issuedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+    },
+    {
+        timestamps: true,
+        discriminatorKey: 'noteType',
+    }
+);
+
+invoiceNoteSchema.index({ invoice: 1, createdAt: 1 });
+
+// Recalculate line and note totals
+invoiceNoteSchema.pre('validate', function (next) {
+    this.items.forEach(item => {
+        item.amount = item.quantity * item.pricePerUnit;
+    });
+    this.totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
+    this.totalAmount = this.items.reduce((sum, item) => sum + item.amount, 0);
+    next();
+});
+
+const InvoiceNote = mongoose.model('InvoiceNote', invoiceNoteSchema);
+
+export const CreditNote = InvoiceNote.discriminator('CreditNote', new mongoose.Schema({}));
+export const DebitNote = InvoiceNote.discriminator('DebitNote', new mongoose.Schema({}));
+
+export default InvoiceNote;
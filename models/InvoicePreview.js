@@ -0,0 +1,66 @@
+// models/InvoicePreview.js
+import mongoose from 'mongoose';
+
+// A reviewed-but-not-yet-committed invoice generation. Confirming it is only
+// allowed while every customer's fingerprint still matches.
+const invoicePreviewSchema = mongoose.Schema(
+    {
+        token: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        scope: {
+            type: String,
+            enum: ['customer', 'batch'],
+            required: true,
+        },
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        updateExisting: {
+            type: Boolean,
+            default: false,
+        },
+        customers: [
+            {
+                customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+                outcome: { type: String },
+                fingerprint: { type: String, required: true },
+                totalAmount: { type: Number },
+                advanceToApply: { type: Number },
+            },
+        ],
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        confirmedAt: {
+            type: Date,
+        },
+        invoiceRun: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InvoiceRun',
+        },
+        // Removed by MongoDB once expired
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const InvoicePreview = mongoose.model('InvoicePreview', invoicePreviewSchema);
+
+export default InvoicePreview;
@@ -0,0 +1,77 @@
+// models/InvoiceRevision.js
+import mongoose from 'mongoose';
+import Invoice from './Invoice.js';
+
+// Snapshot of an invoice taken just before it was regenerated, so any earlier
+// version can be shown (or printed) again when a customer disputes a bill
+const invoiceRevisionSchema = mongoose.Schema(
+    {
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+            required: true,
+            index: true,
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer',
+            required: true,
+        },
+        // 1 for the originally generated version, 2 for the first regeneration, ...
+        revisionNumber: {
+            type: Number,
+            required: true,
+        },
+        reason: {
+            type: String,
+            trim: true,
+        },
+        source: {
+            type: String,
+            enum: ['manual', 'batch', 'schedule', 'preview', 'integrity'],
+            default: 'manual',
+        },
+        revisedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        invoiceRun: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InvoiceRun',
+        },
+        // The invoice as it was before regeneration
+        startDate: { type: Date },
+        endDate: { type: Date },
+        items: [Invoice.schema.path('items').schema],
+        totalQuantity: { type: Number, default: 0 },
+        totalAmount: { type: Number, default: 0 },
+        discounts: [Invoice.schema.path('discounts').schema],
+        discountAmount: { type: Number, default: 0 },
+        tax: { type: mongoose.Schema.Types.Mixed },
+        taxLines: [Invoice.schema.path('taxLines').schema],
+        amountPaid: { type: Number, default: 0 },
+        dueAmount: { type: Number, default: 0 },
+        // Totals after regeneration, for a quick comparison in lists
+        newTotalQuantity: { type: Number, default: 0 },
+        newTotalAmount: { type: Number, default: 0 },
+        // Only the days whose quantity or amount changed
+        changes: [
+            {
+                date: { type: Date, required: true },
+                previousQuantity: { type: Number, default: 0 },
+                newQuantity: { type: Number, default: 0 },
+                previousAmount: { type: Number, default: 0 },
+                newAmount: { type: Number, default: 0 },
+            },
+        ],
+    },
+    {
+        timestamps: true,
+    }
+);
+
+invoiceRevisionSchema.index({ invoice: 1, revisionNumber: 1 }, { unique: true });
+
+const InvoiceRevision = mongoose.model('InvoiceRevision', invoiceRevisionSchema);
+
+export default InvoiceRevision;
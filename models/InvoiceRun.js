@@ -0,0 +1,84 @@
+// models/InvoiceRun.js
+import mongoose from 'mongoose';
+
+// One execution of monthly invoice generation across many customers
+const invoiceRunSchema = mongoose.Schema(
+    {
+        month: {
+            type: Number,
+            required: true,
+            min: 1,
+            max: 12,
+        },
+        year: {
+            type: Number,
+            required: true,
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual', 'rerun'],
+            required: true,
+        },
+        // Set when this run retries the failed customers of an earlier run
+        parentRun: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'InvoiceRun',
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        updateExisting: {
+            type: Boolean,
+            default: false,
+        },
+        status: {
+            type: String,
+            enum: ['running', 'completed', 'failed'],
+            default: 'running',
+            index: true,
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        finishedAt: {
+            type: Date,
+        },
+        counts: {
+            created: { type: Number, default: 0 },
+            updated: { type: Number, default: 0 },
+            skipped_existing: { type: Number, default: 0 },
+            no_records: { type: Number, default: 0 },
+            error: { type: Number, default: 0 },
+        },
+        results: [
+            {
+                customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer', required: true },
+                name: { type: String },
+                outcome: {
+                    type: String,
+                    enum: ['created', 'updated', 'skipped_existing', 'no_records', 'error'],
+                    required: true,
+                },
+                invoice: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+                invoiceNumber: { type: String },
+                totalAmount: { type: Number },
+                advanceUsed: { type: Number },
+                error: { type: String },
+            },
+        ],
+        error: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+invoiceRunSchema.index({ year: 1, month: 1, trigger: 1 });
+
+const InvoiceRun = mongoose.model('InvoiceRun', invoiceRunSchema);
+
+export default InvoiceRun;
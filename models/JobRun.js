@@ -0,0 +1,70 @@
+// models/JobRun.js
+import mongoose from 'mongoose';
+
+// One execution of a background job (scheduled or started by an admin)
+const jobRunSchema = mongoose.Schema(
+    {
+        job: {
+            type: String,
+            enum: ['daily_records'],
+            required: true,
+        },
+        // Day the job worked on
+        targetDate: {
+            type: Date,
+            required: true,
+        },
+        trigger: {
+            type: String,
+            enum: ['schedule', 'manual'],
+            required: true,
+        },
+        triggeredBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+        status: {
+            type: String,
+            enum: ['running', 'completed', 'skipped', 'failed'],
+            default: 'running',
+            index: true,
+        },
+        startedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        finishedAt: {
+            type: Date,
+        },
+        counts: {
+            created: { type: Number, default: 0 },
+            skipped_existing: { type: Number, default: 0 },
+            skipped_paused: { type: Number, default: 0 },
+            skipped_off_day: { type: Number, default: 0 },
+            error: { type: Number, default: 0 },
+        },
+        // Why the run did nothing (e.g. the day is a holiday)
+        message: {
+            type: String,
+        },
+        failures: [
+            {
+                customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' },
+                name: { type: String },
+                error: { type: String },
+            },
+        ],
+        error: {
+            type: String,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+jobRunSchema.index({ job: 1, targetDate: -1 });
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+export default JobRun;
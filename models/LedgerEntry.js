@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// Each customer has two accounts:
+// - receivable: what the customer owes us (debited by invoices, credited by payments)
+// - advance: money we hold for the customer (credited by top-ups, debited when applied)
+// A positive net balance (debit - credit across both accounts) means the customer owes us.
+const ledgerEntrySchema = mongoose.Schema(
+  {
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true,
+      index: true,
+    },
+    date: {
+      type: Date,
+      required: true,
+      default: Date.now,
+      index: true,
+    },
+    account: {
+      type: String,
+      enum: ['receivable', 'advance'],
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: [
+        'opening',
+        'invoice',
+        'invoice_adjustment',
+        'payment',
+        'advance_topup',
+        'advance_applied',
+        'adjustment',
+        'reversal',
+        'refund',
+        'void',
+        'credit_note',
+        'debit_note',
+        'late_fee',
+      ],
+      required: true,
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    invoice: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Invoice',
+    },
+    transactionId: {
+      type: String,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Statements are always read per customer in date order
+ledgerEntrySchema.index({ customer: 1, date: 1, createdAt: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+export default LedgerEntry;
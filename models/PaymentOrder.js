@@ -0,0 +1,64 @@
+// models/PaymentOrder.js
+import mongoose from 'mongoose';
+
+// A request to collect an invoice's due amount through an online payment provider.
+// The money itself is recorded from the provider's webhook as a GatewayPayment.
+const paymentOrderSchema = mongoose.Schema(
+    {
+        invoice: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Invoice',
+            required: true,
+            index: true,
+        },
+        customer: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Customer',
+            required: true,
+        },
+        provider: {
+            type: String,
+            required: true,
+        },
+        // Order id issued by the provider, quoted back on every webhook
+        providerOrderId: {
+            type: String,
+            required: true,
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: 0,
+        },
+        currency: {
+            type: String,
+            default: 'INR',
+        },
+        status: {
+            type: String,
+            enum: ['created', 'paid', 'failed'],
+            default: 'created',
+            index: true,
+        },
+        // Whatever the provider needs on the client side to open its checkout
+        checkout: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        paidAt: {
+            type: Date,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+paymentOrderSchema.index({ provider: 1, providerOrderId: 1 }, { unique: true });
+
+const PaymentOrder = mongoose.model('PaymentOrder', paymentOrderSchema);
+
+export default PaymentOrder;
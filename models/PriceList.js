@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// One effective-dated price for a subcategory. Entries without a priceGroup are
+// the base price list; entries with one override it for customers in that group.
+const priceListSchema = mongoose.Schema(
+  {
+    subcategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subcategory',
+      required: true,
+    },
+    priceGroup: {
+      type: String,
+      trim: true,
+      default: null,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    effectiveFrom: {
+      type: Date,
+      required: true,
+    },
+    notes: {
+      type: String,
+      trim: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Only one price per subcategory, group and start date
+priceListSchema.index({ subcategory: 1, priceGroup: 1, effectiveFrom: 1 }, { unique: true });
+
+const PriceList = mongoose.model('PriceList', priceListSchema);
+
+export default PriceList;
@@ -0,0 +1,108 @@
+import mongoose from 'mongoose';
+
+// Volume tier: once the day's quantity reaches minQuantity, every unit gets discountPerUnit off
+const volumeTierSchema = mongoose.Schema({
+  minQuantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  discountPerUnit: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, { _id: false });
+
+// A discount agreement for one customer or for every customer in a price group.
+// Rules are applied when daily records are generated.
+const pricingRuleSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      index: true,
+    },
+    priceGroup: {
+      type: String,
+      trim: true,
+      index: true,
+    },
+    // Limit the rule to one product; without it the rule covers every item
+    subcategory: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subcategory',
+    },
+    ruleType: {
+      type: String,
+      enum: ['percentage', 'flat_per_unit', 'volume_tier', 'free_quantity'],
+      required: true,
+    },
+    // Percent off for 'percentage', rupees off per unit for 'flat_per_unit'
+    value: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    tiers: [volumeTierSchema],
+    // 'free_quantity': this many units free once a week on freeDayOfWeek (0 = Sunday)
+    freeQuantity: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    freeDayOfWeek: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 0,
+    },
+    validFrom: {
+      type: Date,
+      required: true,
+      default: Date.now,
+    },
+    validTo: {
+      type: Date,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+pricingRuleSchema.pre('validate', function (next) {
+  if (!this.customer && !this.priceGroup) {
+    this.invalidate('customer', 'A pricing rule must target a customer or a price group');
+  }
+  if (this.validTo && this.validTo < this.validFrom) {
+    this.invalidate('validTo', 'Valid to date must be after valid from date');
+  }
+  if (this.ruleType === 'percentage' && this.value > 100) {
+    this.invalidate('value', 'Percentage discount cannot exceed 100');
+  }
+  if (this.ruleType === 'volume_tier' && this.tiers.length === 0) {
+    this.invalidate('tiers', 'Volume tier rules need at least one tier');
+  }
+  if (this.ruleType === 'free_quantity' && !(this.freeQuantity > 0)) {
+    this.invalidate('freeQuantity', 'Free quantity rules need a free quantity');
+  }
+  next();
+});
+
+const PricingRule = mongoose.model('PricingRule', pricingRuleSchema);
+
+export default PricingRule;
@@ -65,6 +65,22 @@ const recordSchema = mongoose.Schema(
       type: Number,
       default: 0,
     },
+    // Discounts from the customer's pricing rules for this day
+    discounts: [
+      {
+        rule: { type: mongoose.Schema.Types.ObjectId, ref: 'PricingRule' },
+        name: { type: String },
+        ruleType: { type: String },
+        subcategory: { type: mongoose.Schema.Types.ObjectId, ref: 'Subcategory' },
+        quantity: { type: Number, default: 0 },
+        amount: { type: Number, required: true },
+      }
+    ],
+    totalDailyDiscount: {
+      type: Number,
+      default: 0,
+    },
+    // Net of totalDailyDiscount
     totalDailyPrice: {
       type: Number,
       default: 0,
@@ -21,6 +21,16 @@ const subcategorySchema = mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Overrides the category's HSN code and GST rate when set
+    hsnCode: {
+      type: String,
+      trim: true,
+    },
+    taxRate: {
+      type: Number,
+      min: 0,
+      max: 100,
+    },
     isActive: {
       type: Boolean,
       default: true,
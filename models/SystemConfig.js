@@ -1,5 +1,9 @@
 import mongoose from 'mongoose';
 
+// Invoice PDF layouts and label languages a customer can be given
+export const INVOICE_TEMPLATES = ['gujarati_classic', 'english_modern', 'thermal_80mm'];
+export const INVOICE_LANGUAGES = ['gu', 'en'];
+
 const milkmanSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -19,6 +23,25 @@ const milkmanSchema = new mongoose.Schema({
     timestamps: true
 });
 
+// Per-series numbering override (see utils/sequence.js for tokens)
+const numberSeriesSchema = new mongoose.Schema({
+    series: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    format: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    reset: {
+        type: String,
+        enum: ['never', 'financial_year', 'year', 'month'],
+        default: 'financial_year'
+    }
+}, { _id: false });
+
 const systemConfigSchema = new mongoose.Schema({
     morningTime: {
         type: String,
@@ -31,6 +54,124 @@ const systemConfigSchema = new mongoose.Schema({
         default: "18:00"
     },
     milkmen: [milkmanSchema],
+    numberSeries: [numberSeriesSchema],
+    // Automatic generation of last month's invoices
+    autoInvoice: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        dayOfMonth: {
+            type: Number,
+            min: 1,
+            max: 28,
+            default: 1
+        }
+    },
+    // Late fee charged once on invoices still unpaid after dueDate + graceDays
+    lateFee: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        feeType: {
+            type: String,
+            enum: ['flat', 'percentage'],
+            default: 'flat'
+        },
+        // Rupees for flat fees, percent of the amount due for percentage fees
+        amount: {
+            type: Number,
+            min: 0,
+            default: 0
+        },
+        graceDays: {
+            type: Number,
+            min: 0,
+            default: 0
+        }
+    },
+    // Days past the due date at which each reminder stage is reached
+    dunning: {
+        reminder1Days: {
+            type: Number,
+            min: 1,
+            default: 1
+        },
+        reminder2Days: {
+            type: Number,
+            min: 1,
+            default: 15
+        },
+        finalDays: {
+            type: Number,
+            min: 1,
+            default: 30
+        }
+    },
+    // GST registration of the dairy; tax invoices are only issued when set
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: ""
+    },
+    state: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    stateCode: {
+        type: String,
+        trim: true,
+        default: ""
+    },
+    // Whether milk prices already include GST (taxable value is backed out of them)
+    pricesIncludeTax: {
+        type: Boolean,
+        default: true
+    },
+    // Invoice PDF branding. Fields left empty fall back to the built-in dairy form defaults.
+    invoiceBranding: {
+        defaultTemplate: {
+            type: String,
+            enum: INVOICE_TEMPLATES,
+            default: 'gujarati_classic'
+        },
+        defaultLanguage: {
+            type: String,
+            enum: INVOICE_LANGUAGES,
+            default: 'gu'
+        },
+        upiId: {
+            type: String,
+            trim: true
+        },
+        // Uploaded logo, relative to the server's working directory
+        logoPath: {
+            type: String
+        },
+        logoText: {
+            main: { type: String, trim: true },
+            sub: { type: String, trim: true }
+        },
+        headerText: {
+            left: { type: String, trim: true },
+            right: { type: String, trim: true }
+        },
+        contactPersons: {
+            type: [{
+                _id: false,
+                name: { type: String, trim: true, required: true },
+                phone: { type: String, trim: true, required: true }
+            }],
+            default: undefined
+        },
+        footerNotes: {
+            type: [String],
+            default: undefined
+        }
+    },
     companyName: {
         type: String,
         default: "Ramdev Dairy Farm"
@@ -0,0 +1,39 @@
+// routes/bankStatementRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getBankStatementFormats,
+  importBankStatement,
+  getBankStatementImports,
+  getBankTransactions,
+  reassignBankTransaction,
+  confirmBankTransaction,
+  ignoreBankTransaction
+} from '../controllers/bankStatementController.js';
+
+const router = express.Router();
+
+router.route('/formats')
+  .get(protect, admin, getBankStatementFormats);
+
+// Statement file is sent as the raw request body
+router.route('/import')
+  .post(protect, admin, express.text({ type: ['text/csv', 'text/plain', 'application/octet-stream'], limit: '5mb' }), importBankStatement);
+
+router.route('/imports')
+  .get(protect, admin, getBankStatementImports);
+
+// Review queue
+router.route('/transactions')
+  .get(protect, admin, getBankTransactions);
+
+router.route('/transactions/:id/match')
+  .put(protect, admin, reassignBankTransaction);
+
+router.route('/transactions/:id/confirm')
+  .post(protect, admin, confirmBankTransaction);
+
+router.route('/transactions/:id/ignore')
+  .post(protect, admin, ignoreBankTransaction);
+
+export default router;
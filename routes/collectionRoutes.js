@@ -0,0 +1,32 @@
+// routes/collectionRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  openCollectionSession,
+  getCollectionSessions,
+  getCollectionSessionById,
+  addCollectionReceipt,
+  closeCollectionSession,
+  reconcileCollectionSession
+} from '../controllers/collectionController.js';
+
+const router = express.Router();
+
+// Milkman cash collection rounds
+router.route('/sessions')
+  .get(protect, admin, getCollectionSessions)
+  .post(protect, admin, openCollectionSession);
+
+router.route('/sessions/:id')
+  .get(protect, admin, getCollectionSessionById);
+
+router.route('/sessions/:id/receipts')
+  .post(protect, admin, addCollectionReceipt);
+
+router.route('/sessions/:id/close')
+  .post(protect, admin, closeCollectionSession);
+
+router.route('/sessions/:id/reconcile')
+  .post(protect, admin, reconcileCollectionSession);
+
+export default router;
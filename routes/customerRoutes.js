@@ -11,7 +11,11 @@ import {
   updateAdvanceAmount,
   clearAdvanceAmount,
 getCustomerFinancials,
+  getCustomerLedger,
+  getCustomerSchedulePreview,
 } from '../controllers/customerController.js';
+import { allocateCustomerPayment, refundAdvance } from '../controllers/paymentController.js';
+import { getCustomerStatementPDF } from '../controllers/statementController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 import Customer from '../models/Customer.js';
 
@@ -34,9 +38,26 @@ router.route('/:id/advance')
 router.route('/:id/advance/clear')
   .put(protect, admin, clearAdvanceAmount);
 
+router.route('/:id/advance/refund')
+  .post(protect, admin, refundAdvance);
+
 router.route('/:id/financials')
   .get(getCustomerFinancials);
 
+// Expected deliveries for a month, recurring schedules applied
+router.route('/:id/schedule-preview')
+  .get(protect, getCustomerSchedulePreview);
+
+router.route('/:id/ledger')
+  .get(protect, admin, getCustomerLedger);
+
+router.route('/:id/statement.pdf')
+  .get(protect, admin, getCustomerStatementPDF);
+
+// Record one payment split across the customer's open invoices
+router.route('/:id/payments')
+  .post(protect, admin, allocateCustomerPayment);
+
 router.route('/login')
   .post(authCustomer);
 
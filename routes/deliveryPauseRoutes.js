@@ -0,0 +1,38 @@
+// routes/deliveryPauseRoutes.js
+import express from 'express';
+import { protect, admin, protectCustomer } from '../middleware/authMiddleware.js';
+import {
+  createDeliveryPause,
+  getDeliveryPauses,
+  approveDeliveryPause,
+  rejectDeliveryPause,
+  endDeliveryPause,
+  requestDeliveryPause,
+  getMyDeliveryPauses,
+  endMyDeliveryPause
+} from '../controllers/deliveryPauseController.js';
+
+const router = express.Router();
+
+// Customer login: request, list and end their own pauses
+router.route('/my')
+  .get(protectCustomer, getMyDeliveryPauses)
+  .post(protectCustomer, requestDeliveryPause);
+
+router.route('/my/:id/end')
+  .post(protectCustomer, endMyDeliveryPause);
+
+router.route('/')
+  .get(protect, admin, getDeliveryPauses)
+  .post(protect, admin, createDeliveryPause);
+
+router.route('/:id/approve')
+  .post(protect, admin, approveDeliveryPause);
+
+router.route('/:id/reject')
+  .post(protect, admin, rejectDeliveryPause);
+
+router.route('/:id/end')
+  .post(protect, admin, endDeliveryPause);
+
+export default router;
@@ -0,0 +1,21 @@
+// routes/invoiceNoteRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getNotes,
+  getNoteById,
+  getNotePDF
+} from '../controllers/invoiceNoteController.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getNotes);
+
+router.route('/:id')
+  .get(protect, admin, getNoteById);
+
+router.route('/:id/pdf')
+  .get(protect, admin, getNotePDF);
+
+export default router;
@@ -1,6 +1,6 @@
 // routes/invoiceRoutes.js
 import express from 'express';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { protect, admin, protectCustomer } from '../middleware/authMiddleware.js';
 import {
   generateCustomerMonthlyInvoice,
   generateBatchMonthlyInvoices,
@@ -14,9 +14,28 @@ import {
   getCustomersWithDueAmounts,
   searchDueCustomers,
   generateModernInvoicePDF,
+  getInvoiceUpi,
   checkExistingInvoice,
-  getCustomerInvoices
+  getCustomerInvoices,
+  voidInvoice,
+  runOverdueSweep,
+  previewCustomerMonthlyInvoice,
+  previewBatchMonthlyInvoices,
+  confirmInvoicePreview
 } from '../controllers/invoiceController.js';
+import { reverseInvoicePayment } from '../controllers/paymentController.js';
+import {
+  createCreditNote,
+  createDebitNote,
+  getInvoiceNotes
+} from '../controllers/invoiceNoteController.js';
+import {
+  getInvoiceRevisions,
+  getInvoiceRevisionById,
+  getInvoiceRevisionPDF
+} from '../controllers/invoiceRevisionController.js';
+import { exportBulkInvoicePDFs } from '../controllers/invoicePrintController.js';
+import { createInvoicePaymentOrder } from '../controllers/paymentGatewayController.js';
 import Invoice from '../models/Invoice.js';
 
 const router = express.Router();
@@ -36,12 +55,29 @@ router.route('/due/customers')
 router.route('/due/customers/search')
   .get(protect, admin, searchDueCustomers);
 
+router.route('/overdue/sweep')
+  .post(protect, admin, runOverdueSweep);
+
 router.route('/generate/customer/:id')
   .post(protect, admin, generateCustomerMonthlyInvoice);
 
 router.route('/generate/batch')
   .post(protect, admin, generateBatchMonthlyInvoices);
 
+// Dry-run generation, confirmed later with the returned preview token
+router.route('/preview/customer/:id')
+  .post(protect, admin, previewCustomerMonthlyInvoice);
+
+router.route('/preview/batch')
+  .post(protect, admin, previewBatchMonthlyInvoices);
+
+router.route('/preview/:token/confirm')
+  .post(protect, admin, confirmInvoicePreview);
+
+// Month-end printing: every matching bill in delivery route order
+router.route('/bulk/pdf')
+  .get(protect, admin, exportBulkInvoicePDFs);
+
 router.route('/customer/:id/summary')
   .get(getCustomerInvoiceSummary);
 
@@ -58,13 +94,53 @@ router.route('/:id/status')
 router.route('/:id/payment')
   .post(protect, addPaymentToInvoice);
 
+// Online payment through the configured payment provider; the customer app uses /my/:id/payment-order
+router.route('/:id/payment-order')
+  .post(protect, admin, createInvoicePaymentOrder);
+
+router.route('/my/:id/payment-order')
+  .post(protectCustomer, createInvoicePaymentOrder);
+
+router.route('/:id/payments/:paymentId/reverse')
+  .post(protect, admin, reverseInvoicePayment);
+
+router.route('/:id/void')
+  .post(protect, admin, voidInvoice);
+
+router.route('/:id/credit-notes')
+  .post(protect, admin, createCreditNote);
+
+router.route('/:id/debit-notes')
+  .post(protect, admin, createDebitNote);
+
+router.route('/:id/notes')
+  .get(protect, admin, getInvoiceNotes);
+
 router.route('/:id/pdf')
   .get(generateModernInvoicePDF);
 
+// UPI link and QR for the invoice's due amount; the customer app uses /my/:id/upi
+router.route('/:id/upi')
+  .get(protect, admin, getInvoiceUpi);
+
+router.route('/my/:id/upi')
+  .get(protectCustomer, getInvoiceUpi);
+
+// Earlier versions of an invoice, kept each time it is regenerated
+router.route('/:id/revisions')
+  .get(protect, admin, getInvoiceRevisions);
+
+router.route('/:id/revisions/:revisionId')
+  .get(protect, admin, getInvoiceRevisionById);
+
+router.route('/:id/revisions/:revisionId/pdf')
+  .get(protect, admin, getInvoiceRevisionPDF);
+
 // Get invoice statistics for dashboard
 router.get('/stats', async (req, res) => {
   try {
     const total = await Invoice.aggregate([
+      { $match: { status: { $ne: 'void' } } },
       {
         $group: {
           _id: null,
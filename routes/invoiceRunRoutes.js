@@ -0,0 +1,23 @@
+// routes/invoiceRunRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getInvoiceRuns,
+  getInvoiceRunById,
+  createInvoiceRun,
+  rerunFailedCustomers
+} from '../controllers/invoiceRunController.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getInvoiceRuns)
+  .post(protect, admin, createInvoiceRun);
+
+router.route('/:id')
+  .get(protect, admin, getInvoiceRunById);
+
+router.route('/:id/rerun')
+  .post(protect, admin, rerunFailedCustomers);
+
+export default router;
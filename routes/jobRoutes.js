@@ -0,0 +1,21 @@
+// routes/jobRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  getJobRuns,
+  getJobRunById,
+  runDailyRecordsJob
+} from '../controllers/jobRunController.js';
+
+const router = express.Router();
+
+router.route('/runs')
+  .get(protect, admin, getJobRuns);
+
+router.route('/runs/:id')
+  .get(protect, admin, getJobRunById);
+
+router.route('/daily-records')
+  .post(protect, admin, runDailyRecordsJob);
+
+export default router;
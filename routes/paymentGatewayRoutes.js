@@ -0,0 +1,26 @@
+// routes/paymentGatewayRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import {
+  receivePaymentWebhook,
+  simulateFakePayment,
+  runPaymentReconciliation,
+  getGatewayPayments
+} from '../controllers/paymentGatewayController.js';
+
+const router = express.Router();
+
+// Called by the provider; authenticated by its signature, not a token
+router.route('/webhook/:provider')
+  .post(receivePaymentWebhook);
+
+router.route('/fake/orders/:orderId/pay')
+  .post(protect, admin, simulateFakePayment);
+
+router.route('/reconcile')
+  .post(protect, admin, runPaymentReconciliation);
+
+router.route('/payments')
+  .get(protect, admin, getGatewayPayments);
+
+export default router;
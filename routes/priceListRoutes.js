@@ -0,0 +1,24 @@
+import express from 'express';
+import {
+  getPriceLists,
+  resolvePrice,
+  applyPriceListChange,
+  deletePriceList
+} from '../controllers/priceListController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getPriceLists);
+
+router.route('/resolve')
+  .get(protect, admin, resolvePrice);
+
+router.route('/apply')
+  .post(protect, admin, applyPriceListChange);
+
+router.route('/:id')
+  .delete(protect, admin, deletePriceList);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import {
+  getPricingRules,
+  getPricingRuleById,
+  createPricingRule,
+  updatePricingRule,
+  deletePricingRule
+} from '../controllers/pricingRuleController.js';
+import { protect, admin } from '../middleware/authMiddleware.js';
+
+const router = express.Router();
+
+router.route('/')
+  .get(protect, admin, getPricingRules)
+  .post(protect, admin, createPricingRule);
+
+router.route('/:id')
+  .get(protect, admin, getPricingRuleById)
+  .put(protect, admin, updatePricingRule)
+  .delete(protect, admin, deletePricingRule);
+
+export default router;
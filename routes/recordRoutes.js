@@ -1,5 +1,5 @@
 import express from 'express';
-import { createDailyRecords, getRecords, getRecordsSummary, getRecordById, updateRecord, deleteRecord, getRecordsByCustomer } from '../controllers/recordController.js';
+import { createDailyRecords, backfillRecords, getRecordIntegrity, repairRecordIntegrity, getRecords, getRecordsSummary, getRecordById, updateRecord, deleteRecord, getRecordsByCustomer } from '../controllers/recordController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
@@ -8,7 +8,18 @@ router.route('/')
   .get(getRecords);
 
 router.route('/daily')
-  .post(createDailyRecords);
+  .post(protect, admin, createDailyRecords);
+
+// Fill in days the daily job missed
+router.route('/backfill')
+  .post(protect, admin, backfillRecords);
+
+// Gaps, duplicates and totals that disagree, each with a repair
+router.route('/integrity')
+  .get(protect, admin, getRecordIntegrity);
+
+router.route('/integrity/repair')
+  .post(protect, admin, repairRecordIntegrity);
 
 router.route('/customer/:id')
   .get(getRecordsByCustomer);
@@ -0,0 +1,17 @@
+// routes/reportRoutes.js
+import express from 'express';
+import { protect, admin } from '../middleware/authMiddleware.js';
+import { getAgingReport, getGstr1Summary, getMilkmanCollectionReport } from '../controllers/reportController.js';
+
+const router = express.Router();
+
+router.route('/aging')
+  .get(protect, admin, getAgingReport);
+
+router.route('/gstr1')
+  .get(protect, admin, getGstr1Summary);
+
+router.route('/milkman-collections')
+  .get(protect, admin, getMilkmanCollectionReport);
+
+export default router;
@@ -5,7 +5,14 @@ import {
     addMilkman,
     updateMilkman,
     deleteMilkman,
-    getActiveMilkmen
+    getActiveMilkmen,
+    getNumberSeries,
+    updateNumberSeries,
+    getInvoiceBranding,
+    uploadLogo,
+    getLogo,
+    deleteLogo,
+    previewInvoiceTemplate
 } from '../controllers/systemConfigController.js';
 import { protect, admin } from '../middleware/authMiddleware.js';
 
@@ -28,4 +35,23 @@ router.route('/milkman/:id')
 router.route('/milkmen')
     .get(protect, admin, getActiveMilkmen);
 
+// Invoice, customer, receipt and transaction numbering
+router.route('/number-series')
+    .get(protect, admin, getNumberSeries);
+
+router.route('/number-series/:series')
+    .put(protect, admin, updateNumberSeries);
+
+// Invoice templates and branding
+router.route('/invoice-branding')
+    .get(protect, admin, getInvoiceBranding);
+
+router.route('/logo')
+    .get(protect, admin, getLogo)
+    .put(protect, admin, express.raw({ type: ['image/png', 'image/jpeg'], limit: '2mb' }), uploadLogo)
+    .delete(protect, admin, deleteLogo);
+
+router.route('/invoice-templates/preview')
+    .post(protect, admin, previewInvoiceTemplate);
+
 export default router;
@@ -10,9 +10,19 @@ import stockRoutes from './routes/stockRoutes.js'
 import holidayRoutes from './routes/holidays.js'
 import recordRoutes from './routes/recordRoutes.js'
 import quantityUpdateRoutes from './routes/quantityUpdateRoutes.js'
-import scheduleDailyRecords from './utils/cronJobs.js'
+import scheduleDailyRecords, { scheduleMonthlyInvoices, scheduleOverdueSweep, schedulePaymentReconciliation } from './utils/cronJobs.js'
 import invoiceRoutes from './routes/invoiceRoutes.js';
 import systemConfigRoutes from './routes/systemConfigRoutes.js';
+import invoiceNoteRoutes from './routes/invoiceNoteRoutes.js';
+import invoiceRunRoutes from './routes/invoiceRunRoutes.js';
+import reportRoutes from './routes/reportRoutes.js';
+import priceListRoutes from './routes/priceListRoutes.js';
+import pricingRuleRoutes from './routes/pricingRuleRoutes.js';
+import paymentGatewayRoutes from './routes/paymentGatewayRoutes.js';
+import bankStatementRoutes from './routes/bankStatementRoutes.js';
+import collectionRoutes from './routes/collectionRoutes.js';
+import jobRoutes from './routes/jobRoutes.js';
+import deliveryPauseRoutes from './routes/deliveryPauseRoutes.js';
 // Add this line
 
 dotenv.config();
@@ -40,7 +50,12 @@ app.use(cors({
   allowedHeaders: ["Content-Type", "Authorization"],
 }));
 
-app.use(express.json());
+// Keep the raw body as well; payment webhooks are signed over the exact bytes sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 
 
 app.use('/api/auth', authRoutes);
@@ -53,8 +68,21 @@ app.use('/api/records', recordRoutes);
 app.use('/api/updates/quantity', quantityUpdateRoutes);
 app.use('/api/invoices', invoiceRoutes);
 app.use('/api/config', systemConfigRoutes);
+app.use('/api/invoice-notes', invoiceNoteRoutes);
+app.use('/api/invoice-runs', invoiceRunRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/price-lists', priceListRoutes);
+app.use('/api/pricing-rules', pricingRuleRoutes);
+app.use('/api/payment-gateway', paymentGatewayRoutes);
+app.use('/api/bank-statements', bankStatementRoutes);
+app.use('/api/collections', collectionRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/delivery-pauses', deliveryPauseRoutes);
 
 scheduleDailyRecords();
+scheduleMonthlyInvoices();
+scheduleOverdueSweep();
+schedulePaymentReconciliation();
 
 app.get('/', (req, res) => {
 
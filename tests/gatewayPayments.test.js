@@ -0,0 +1,249 @@
+// Offline checks for online payments: no database, the models' calls are stubbed
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Counter from '../models/Counter.js';
+import Customer from '../models/Customer.js';
+import GatewayPayment from '../models/GatewayPayment.js';
+import Invoice from '../models/Invoice.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import PaymentOrder from '../models/PaymentOrder.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { createFakeProvider, signPayload } from '../utils/paymentGateway.js';
+import { recordGatewayPayment } from '../utils/gatewayPayments.js';
+import { receivePaymentWebhook } from '../controllers/paymentGatewayController.js';
+
+afterEach(() => mock.restoreAll());
+
+const id = () => new mongoose.Types.ObjectId();
+
+const makeOrder = (overrides = {}) => ({
+  _id: id(),
+  invoice: id(),
+  customer: id(),
+  provider: 'fake',
+  providerOrderId: 'fake_order_1',
+  amount: 500,
+  status: 'created',
+  save: mock.fn(async () => {}),
+  ...overrides,
+});
+
+const makeInvoice = (overrides = {}) => {
+  const invoice = {
+    _id: id(),
+    customer: id(),
+    invoiceNumber: 'INV-26-10-0001',
+    status: 'unpaid',
+    dueAmount: 500,
+    payments: [],
+    ...overrides,
+  };
+  invoice.addPayment = mock.fn(async (payment) => {
+    invoice.payments.push(payment);
+    return invoice;
+  });
+  return invoice;
+};
+
+const makeGatewayPayment = (order, overrides = {}) => ({
+  _id: id(),
+  provider: 'fake',
+  providerPaymentId: 'fake_pay_1',
+  providerOrderId: order.providerOrderId,
+  order: order._id,
+  amount: 500,
+  status: 'captured',
+  reconciliation: { status: 'pending', issues: [] },
+  save: mock.fn(async () => {}),
+  ...overrides,
+});
+
+const captured = (order, amount = order.amount) => ({
+  paymentId: 'fake_pay_1',
+  orderId: order.providerOrderId,
+  amount,
+  status: 'captured',
+  paidAt: new Date('2026-10-01T10:00:00Z'),
+});
+
+// Stub everything an apply touches; returns the mocks to assert on
+const stubApply = ({ order, invoice, claimed = true, advanceBooked = false }) => {
+  mock.method(PaymentOrder, 'findOne', async () => order);
+  mock.method(PaymentOrder, 'findById', async () => order);
+  mock.method(Invoice, 'findById', () => ({ populate: async () => invoice }));
+  mock.method(SystemConfig, 'findOne', () => ({ select: () => ({ lean: async () => null }) }));
+  mock.method(Counter, 'findOneAndUpdate', async () => ({ seq: 7 }));
+  return {
+    claim: mock.method(GatewayPayment, 'findOneAndUpdate', async () => (claimed ? {} : null)),
+    release: mock.method(GatewayPayment, 'updateOne', async () => {}),
+    ledger: mock.method(LedgerEntry, 'insertMany', async (entries) => entries),
+    advanceBooked: mock.method(LedgerEntry, 'exists', async () => advanceBooked),
+    customer: mock.method(Customer, 'findById', async () => ({ _id: order.customer, advance: 0, save: async () => {} })),
+  };
+};
+
+test('fake provider accepts only webhooks signed with its secret', () => {
+  const provider = createFakeProvider('test-secret');
+  const rawBody = JSON.stringify({ event: 'payment.captured', payment: { id: 'fake_pay_1' } });
+
+  assert.equal(provider.verifyWebhookSignature(rawBody, { 'x-webhook-signature': signPayload('test-secret', rawBody) }), true);
+  assert.equal(provider.verifyWebhookSignature(`${rawBody} `, { 'x-webhook-signature': signPayload('test-secret', rawBody) }), false);
+  assert.equal(provider.verifyWebhookSignature(rawBody, { 'x-webhook-signature': signPayload('other-secret', rawBody) }), false);
+  assert.equal(provider.verifyWebhookSignature(rawBody, {}), false);
+});
+
+test('simulated payments produce a webhook that verifies and parses', async () => {
+  const provider = createFakeProvider('test-secret');
+  const { orderId } = await provider.createOrder({ amount: 500 });
+  const { rawBody, headers } = provider.simulatePayment(orderId);
+
+  assert.equal(provider.verifyWebhookSignature(rawBody, headers), true);
+  const event = provider.parseWebhookEvent(JSON.parse(rawBody));
+  assert.equal(event.orderId, orderId);
+  assert.equal(event.amount, 500);
+  assert.equal(event.status, 'captured');
+});
+
+test('the webhook endpoint rejects an unsigned or tampered body before recording anything', async () => {
+  const create = mock.method(GatewayPayment, 'create', async () => {
+    throw new Error('should not be called');
+  });
+  const rawBody = Buffer.from(JSON.stringify({ event: 'payment.captured', payment: { id: 'fake_pay_1' } }));
+
+  for (const headers of [{}, { 'x-webhook-signature': signPayload('guessed-secret', rawBody) }]) {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    await receivePaymentWebhook({ params: { provider: 'fake' }, rawBody, headers }, res);
+    assert.equal(res.statusCode, 401);
+  }
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('a captured payment is booked on the invoice and the order marked paid', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer });
+  const stubs = stubApply({ order, invoice });
+  const gatewayPayment = makeGatewayPayment(order);
+  mock.method(GatewayPayment, 'create', async () => gatewayPayment);
+
+  const result = await recordGatewayPayment('fake', captured(order));
+
+  assert.equal(result.duplicate, false);
+  assert.equal(invoice.addPayment.mock.callCount(), 1);
+  assert.equal(invoice.payments[0].transactionId, 'fake_pay_1');
+  assert.equal(invoice.payments[0].amount, 500);
+  assert.equal(stubs.ledger.mock.callCount(), 1);
+  assert.equal(stubs.customer.mock.callCount(), 0);
+  assert.equal(gatewayPayment.appliedAmount, 500);
+  assert.ok(gatewayPayment.appliedAt);
+  assert.equal(order.status, 'paid');
+});
+
+test('money beyond the due amount goes to advance', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer, dueAmount: 300 });
+  const stubs = stubApply({ order, invoice });
+  const gatewayPayment = makeGatewayPayment(order);
+  mock.method(GatewayPayment, 'create', async () => gatewayPayment);
+
+  await recordGatewayPayment('fake', captured(order));
+
+  assert.equal(gatewayPayment.appliedAmount, 300);
+  assert.equal(gatewayPayment.advanceAmount, 200);
+  assert.equal(stubs.customer.mock.callCount(), 1);
+});
+
+test('a redelivered webhook for an applied payment books nothing', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer });
+  const stubs = stubApply({ order, invoice });
+  const existing = makeGatewayPayment(order, { appliedAt: new Date(), appliedAmount: 500 });
+  mock.method(GatewayPayment, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  mock.method(GatewayPayment, 'findOne', async () => existing);
+
+  const result = await recordGatewayPayment('fake', captured(order));
+
+  assert.equal(result.duplicate, true);
+  assert.equal(result.gatewayPayment, existing);
+  assert.equal(stubs.claim.mock.callCount(), 0);
+  assert.equal(invoice.addPayment.mock.callCount(), 0);
+});
+
+test('a redelivered webhook applies a payment the first delivery failed to book', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer });
+  stubApply({ order, invoice });
+  const existing = makeGatewayPayment(order);
+  mock.method(GatewayPayment, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  mock.method(GatewayPayment, 'findOne', async () => existing);
+
+  const result = await recordGatewayPayment('fake', captured(order));
+
+  assert.equal(result.duplicate, true);
+  assert.equal(invoice.addPayment.mock.callCount(), 1);
+  assert.ok(existing.appliedAt);
+  assert.equal(order.status, 'paid');
+});
+
+test('re-applying does not book the invoice payment or advance a second time', async () => {
+  const order = makeOrder({ amount: 700 });
+  // The earlier attempt got as far as the invoice and the advance top-up
+  const invoice = makeInvoice({
+    _id: order.invoice,
+    customer: order.customer,
+    dueAmount: 0,
+    payments: [{ amount: 500, transactionId: 'fake_pay_1', receiptNumber: 'RCP/2026-27/0003' }],
+  });
+  const stubs = stubApply({ order, invoice, advanceBooked: true });
+  const existing = makeGatewayPayment(order, { amount: 700 });
+  mock.method(GatewayPayment, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  mock.method(GatewayPayment, 'findOne', async () => existing);
+
+  await recordGatewayPayment('fake', captured(order, 700));
+
+  assert.equal(invoice.addPayment.mock.callCount(), 0);
+  assert.equal(stubs.customer.mock.callCount(), 0);
+  assert.equal(existing.appliedAmount, 500);
+  assert.equal(existing.advanceAmount, 200);
+  assert.equal(existing.receiptNumber, 'RCP/2026-27/0003');
+  assert.ok(existing.appliedAt);
+});
+
+test('an apply already under way elsewhere is left alone', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer });
+  stubApply({ order, invoice, claimed: false });
+  const existing = makeGatewayPayment(order);
+  mock.method(GatewayPayment, 'create', async () => {
+    throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  });
+  mock.method(GatewayPayment, 'findOne', async () => existing);
+
+  await recordGatewayPayment('fake', captured(order));
+
+  assert.equal(invoice.addPayment.mock.callCount(), 0);
+  assert.equal(existing.appliedAt, undefined);
+});
+
+test('a failed apply releases its claim for the next attempt', async () => {
+  const order = makeOrder();
+  const invoice = makeInvoice({ _id: order.invoice, customer: order.customer });
+  invoice.addPayment = mock.fn(async () => {
+    throw new Error('write conflict');
+  });
+  const stubs = stubApply({ order, invoice });
+  mock.method(GatewayPayment, 'create', async () => makeGatewayPayment(order));
+
+  await assert.rejects(recordGatewayPayment('fake', captured(order)), /write conflict/);
+  assert.equal(stubs.release.mock.callCount(), 1);
+  assert.equal(order.status, 'created');
+});
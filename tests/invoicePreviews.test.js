@@ -0,0 +1,70 @@
+// Offline checks for the monthly invoice handlers' error paths: no database, the models' calls are stubbed
+import { test, mock, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import Customer from '../models/Customer.js';
+import InvoicePreview from '../models/InvoicePreview.js';
+import InvoiceRun from '../models/InvoiceRun.js';
+import { generateBatchMonthlyInvoices, confirmInvoicePreview } from '../controllers/invoiceController.js';
+
+afterEach(() => mock.restoreAll());
+
+const makeRes = () => ({
+  status(code) { this.statusCode = code; return this; },
+  json(body) { this.body = body; return this; },
+});
+
+const makePreview = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  scope: 'batch',
+  month: 1,
+  year: 2026,
+  updateExisting: false,
+  customers: [{ customer: new mongoose.Types.ObjectId(), fingerprint: 'abc' }],
+});
+
+test('a batch run that throws answers 500', async () => {
+  mock.method(InvoiceRun, 'create', async () => {
+    throw new Error('database unavailable');
+  });
+  const res = makeRes();
+
+  await generateBatchMonthlyInvoices({ body: { month: 1, year: 2026 }, admin: { _id: new mongoose.Types.ObjectId() } }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.message, 'database unavailable');
+});
+
+test('a confirm that fails before committing answers 500 and releases the preview', async () => {
+  const preview = makePreview();
+  mock.method(InvoicePreview, 'findOneAndUpdate', async () => preview);
+  const release = mock.method(InvoicePreview, 'updateOne', async () => ({}));
+  mock.method(Customer, 'find', async () => {
+    throw new Error('database unavailable');
+  });
+  const res = makeRes();
+
+  await confirmInvoicePreview({ params: { token: 'token' }, body: {}, admin: { _id: new mongoose.Types.ObjectId() } }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(release.mock.callCount(), 1);
+  const [filter, update] = release.mock.calls[0].arguments;
+  assert.equal(filter._id, preview._id);
+  assert.deepEqual(update, { $unset: { confirmedAt: 1 } });
+});
+
+test('a confirm still answers 500 when releasing the preview fails too', async () => {
+  mock.method(InvoicePreview, 'findOneAndUpdate', async () => makePreview());
+  mock.method(InvoicePreview, 'updateOne', async () => {
+    throw new Error('still unavailable');
+  });
+  mock.method(Customer, 'find', async () => {
+    throw new Error('database unavailable');
+  });
+  const res = makeRes();
+
+  await confirmInvoicePreview({ params: { token: 'token' }, body: {}, admin: { _id: new mongoose.Types.ObjectId() } }, res);
+
+  assert.equal(res.statusCode, 500);
+  assert.equal(res.body.message, 'database unavailable');
+});
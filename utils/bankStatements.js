@@ -0,0 +1,247 @@
+import crypto from 'crypto';
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import { parseCsv } from './csv.js';
+
+// Column headings of the CSV statement exports of common Indian banks. Either separate
+// credit/debit columns, or one amount column with a Cr/Dr type column.
+// Any of these can be overridden per upload for other layouts.
+const BANK_STATEMENT_FORMATS = {
+  generic: { date: 'Date', narration: 'Description', reference: 'Reference', credit: 'Credit', debit: 'Debit' },
+  sbi: { date: 'Txn Date', narration: 'Description', reference: 'Ref No./Cheque No.', credit: 'Credit', debit: 'Debit' },
+  hdfc: { date: 'Date', narration: 'Narration', reference: 'Chq./Ref.No.', credit: 'Deposit Amt.', debit: 'Withdrawal Amt.' },
+  icici: {
+    date: 'Transaction Date',
+    narration: 'Transaction Remarks',
+    reference: 'Cheque Number',
+    credit: 'Deposit Amount (INR )',
+    debit: 'Withdrawal Amount (INR )',
+  },
+  axis: { date: 'Tran Date', narration: 'PARTICULARS', reference: 'CHQNO', credit: 'CR', debit: 'DR' },
+  kotak: { date: 'Transaction Date', narration: 'Description', reference: 'Chq / Ref No.', amount: 'Amount', type: 'Dr / Cr' },
+  bob: { date: 'TRAN DATE', narration: 'NARRATION', reference: 'CHQ.NO.', credit: 'DEPOSIT', debit: 'WITHDRAWAL' },
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const normalizeHeading = (value) => String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Statement dates are day first: 05/10/2026, 05-10-26, 05 Oct 2026, 05-Oct-2026; ISO is accepted too
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  // Some exports add the time after the date
+  match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3,}|\d{1,2})[/\-. ,]+(\d{2,4})(?:\s.*)?$/);
+  if (!match) return null;
+
+  const day = Number(match[1]);
+  const month = /^\d+$/.test(match[2])
+    ? Number(match[2]) - 1
+    : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+
+  if (month < 0 || month > 11 || day < 1 || day > 31) return null;
+  const date = new Date(year, month, day);
+  return date.getMonth() === month ? date : null;
+};
+
+// "1,250.00", "₹ 1,250.00 Cr" and blanks
+const parseStatementAmount = (value) => {
+  const text = String(value || '').replace(/[₹,\s]|INR|Cr|Dr/gi, '');
+  if (!text) return 0;
+  const amount = parseFloat(text);
+  return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+};
+
+// Hyphens are left out: narrations use them to separate fields (UPI-NAME-vpa@bank-...)
+const VPA_PATTERN = /[a-z0-9._]{2,}@[a-z][a-z0-9]{1,}/gi;
+const PHONE_PATTERN = /(?<!\d)(?:\+?91[-\s]?)?([6-9]\d{9})(?!\d)/g;
+const UPI_REFERENCE_PATTERN = /(?<!\d)(\d{12})(?!\d)/;
+
+const sameAmount = (a, b) => Math.abs(a - b) < 0.005;
+
+const findVpas = (narration) => [...new Set((narration.match(VPA_PATTERN) || []).map(vpa => vpa.toLowerCase()))];
+const findPhones = (narration) => [...new Set([...narration.matchAll(PHONE_PATTERN)].map(m => m[1]))];
+
+// Last ten digits, so +91 and 0 prefixes compare equal
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// Banks drop punctuation from remarks, so INV-26-10-0001 may arrive as INV26100001
+const normalizeForSearch = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Read a bank statement CSV with the given column mapping. Banks put account details above
+// the table, so everything before the row carrying the date and narration headings is skipped.
+// Returns { rows, errors } with the file line of each row; throws when no heading row is found.
+const parseBankStatement = (text, mapping) => {
+  const table = parseCsv(text);
+  const wanted = normalizeHeading(mapping.date);
+  const narrationHeading = normalizeHeading(mapping.narration);
+
+  const headerIndex = table.findIndex(row => {
+    const headings = row.map(normalizeHeading);
+    return headings.includes(wanted) && headings.includes(narrationHeading);
+  });
+
+  if (headerIndex === -1) {
+    throw new Error(`Could not find a heading row with "${mapping.date}" and "${mapping.narration}" columns`);
+  }
+
+  const headings = table[headerIndex].map(normalizeHeading);
+  const column = (key) => (mapping[key] ? headings.indexOf(normalizeHeading(mapping[key])) : -1);
+  const columns = {
+    date: column('date'),
+    narration: column('narration'),
+    reference: column('reference'),
+    credit: column('credit'),
+    debit: column('debit'),
+    amount: column('amount'),
+    type: column('type'),
+  };
+
+  if (columns.credit === -1 && (columns.amount === -1 || columns.type === -1)) {
+    throw new Error('The mapping needs a credit column, or an amount column with a Cr/Dr type column');
+  }
+
+  const rows = [];
+  const errors = [];
+
+  table.slice(headerIndex + 1).forEach((cells, index) => {
+    const line = headerIndex + index + 2;
+    const cell = (key) => (columns[key] === -1 ? '' : (cells[columns[key]] || '').trim());
+
+    // Opening/closing balance and total lines at the foot of the table have no date
+    if (!cell('date')) return;
+
+    const transactionDate = parseStatementDate(cell('date'));
+    if (!transactionDate) {
+      errors.push({ line, error: `Unreadable date "${cell('date')}"` });
+      return;
+    }
+
+    let credit;
+    let debit;
+    if (columns.credit !== -1) {
+      credit = parseStatementAmount(cell('credit'));
+      debit = parseStatementAmount(cell('debit'));
+    } else {
+      const amount = parseStatementAmount(cell('amount'));
+      const isCredit = /^c/i.test(cell('type'));
+      credit = isCredit ? amount : 0;
+      debit = isCredit ? 0 : amount;
+    }
+
+    if (credit === null || debit === null) {
+      errors.push({ line, error: 'Unreadable amount' });
+      return;
+    }
+
+    const narration = cell('narration');
+    rows.push({
+      line,
+      transactionDate,
+      narration,
+      reference: cell('reference') || narration.match(UPI_REFERENCE_PATTERN)?.[1] || '',
+      credit,
+      debit,
+      payerVpa: findVpas(narration)[0],
+    });
+  });
+
+  return { rows, errors };
+};
+
+// Fingerprint each row of a statement so re-uploading an overlapping one is recognised.
+// Identical rows (say two equal UPI credits from one payer on a day) are told apart by
+// their order among themselves, so both are kept and both still match on a re-upload.
+const fingerprintBankRows = (rows) => {
+  const occurrences = new Map();
+  return rows.map(row => {
+    const key = [row.transactionDate.toDateString(), row.credit.toFixed(2), row.reference, row.narration].join('|');
+    const occurrence = occurrences.get(key) || 0;
+    occurrences.set(key, occurrence + 1);
+    // The first one hashes as before, so rows imported earlier are still recognised
+    return crypto
+      .createHash('sha256')
+      .update(occurrence ? `${key}|${occurrence}` : key)
+      .digest('hex');
+  });
+};
+
+// Open invoices and customers' phone numbers and UPI IDs, loaded once per import
+const loadMatchContext = async () => {
+  const [invoices, customers] = await Promise.all([
+    Invoice.find({ dueAmount: { $gt: 0 }, status: { $ne: 'void' } })
+      .select('invoiceNumber customer dueAmount startDate')
+      .sort({ startDate: 1 })
+      .lean(),
+    Customer.find().select('phoneNo upiIds').lean(),
+  ]);
+
+  const customersByVpa = new Map();
+  const customersByPhone = new Map();
+  customers.forEach(customer => {
+    (customer.upiIds || []).forEach(vpa => customersByVpa.set(vpa.toLowerCase(), customer._id));
+    if (customer.phoneNo) customersByPhone.set(normalizePhone(customer.phoneNo), customer._id);
+  });
+
+  return {
+    invoices: invoices.map(invoice => ({ ...invoice, searchKey: normalizeForSearch(invoice.invoiceNumber) })),
+    customersByVpa,
+    customersByPhone,
+  };
+};
+
+// Suggest who a credit is from, strongest evidence first: an open invoice's number in the
+// narration, a known UPI ID, a registered phone number, and last an open invoice due for
+// exactly this amount. Returns { match, candidates } where match may be null.
+const matchBankCredit = (row, context) => {
+  const found = [];
+  const add = (customer, invoice, method, confidence) => {
+    if (!found.some(f => f.customer.equals(customer) && String(f.invoice) === String(invoice))) {
+      found.push({ customer, invoice, method, confidence });
+    }
+  };
+
+  // Invoice due for exactly this amount for a customer identified some other way
+  const invoiceForAmount = (customerId) => context.invoices
+    .find(invoice => invoice.customer.equals(customerId) && sameAmount(invoice.dueAmount, row.credit))?._id;
+
+  const narrationKey = normalizeForSearch(row.narration);
+  context.invoices
+    .filter(invoice => invoice.searchKey.length >= 6 && narrationKey.includes(invoice.searchKey))
+    .forEach(invoice => add(invoice.customer, invoice._id, 'invoice_number', 'high'));
+
+  findVpas(row.narration).forEach(vpa => {
+    const customerId = context.customersByVpa.get(vpa);
+    if (customerId) add(customerId, invoiceForAmount(customerId), 'upi_id', 'high');
+  });
+
+  findPhones(row.narration).forEach(phone => {
+    const customerId = context.customersByPhone.get(phone);
+    if (customerId) add(customerId, invoiceForAmount(customerId), 'phone', 'medium');
+  });
+
+  const dueForAmount = context.invoices.filter(invoice => sameAmount(invoice.dueAmount, row.credit));
+  dueForAmount.forEach(invoice => add(invoice.customer, invoice._id, 'amount', 'low'));
+
+  // Several invoices due for the same amount are only candidates, never a suggestion
+  const [best] = found;
+  const match = best && !(best.method === 'amount' && dueForAmount.length > 1) ? best : null;
+
+  return {
+    match,
+    candidates: found.filter(f => f !== match).slice(0, 10).map(({ customer, invoice, method }) => ({ customer, invoice, method })),
+  };
+};
+
+export {
+  BANK_STATEMENT_FORMATS,
+  parseStatementDate,
+  parseBankStatement,
+  fingerprintBankRows,
+  loadMatchContext,
+  matchBankCredit,
+};
@@ -1,43 +1,87 @@
 import cron from 'node-cron';
-import axios from 'axios';
+import SystemConfig from '../models/SystemConfig.js';
+import InvoiceRun from '../models/InvoiceRun.js';
+import { runMonthlyInvoices } from './invoiceRuns.js';
+import { sweepOverdueInvoices } from './overdue.js';
+import { reconcileGatewayPayments } from './gatewayPayments.js';
+import { generateDailyRecords } from './dailyRecords.js';
 
-// Function to create daily records
-const createDailyRecords = async () => {
+// Create the day's delivery records at 6 PM; each run is logged as a JobRun
+const scheduleDailyRecords = () => {
+  cron.schedule("0 0 18 * * *", async () => {
+    console.log("Running daily records creation at", new Date().toString());
+    try {
+      const { run } = await generateDailyRecords({ date: new Date(), trigger: 'schedule' });
+      console.log(`Daily records job ${run._id} ${run.status}:`, run.counts);
+    } catch (error) {
+      console.error('Error creating daily records:', error.message);
+    }
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
+
+// Generate last month's invoices once per month, on the configured day or the first check
+// after it (so a missed morning or a day past the month's end still gets a run)
+const createMonthlyInvoices = async () => {
   try {
-    // Get the admin token from environment variable or config
-    const adminToken = process.env.ADMIN_TOKEN;
-
-    // Make API call to create daily records
-    const response = await axios.post(
-      `${process.env.BASE_URL}/api/records/daily`,
-      {},
-      {
-        headers: {
-          Authorization: `Bearer ${adminToken}`
-        }
-      }
-    );
-
-    console.log('Daily records created successfully:');
+    const config = await SystemConfig.findOne();
+    if (!config?.autoInvoice?.enabled) return;
+
+    const today = new Date();
+    const lastDayOfMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+    if (today.getDate() < Math.min(config.autoInvoice.dayOfMonth, lastDayOfMonth)) return;
+
+    const lastMonth = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+    const month = lastMonth.getMonth() + 1;
+    const year = lastMonth.getFullYear();
+
+    const alreadyRun = await InvoiceRun.exists({ month, year, trigger: 'schedule' });
+    if (alreadyRun) return;
+
+    const run = await runMonthlyInvoices({ month, year, trigger: 'schedule' });
+    console.log(`Monthly invoice run ${run._id} for ${month}/${year} ${run.status}:`, run.counts);
   } catch (error) {
-    console.error('Error creating daily records:', error.message);
+    console.error('Error generating monthly invoices:', error.message);
   }
 };
 
-// Schedule the cron job to run at 11:59 PM every day
-const scheduleDailyRecords = () => {
-  // // // For testing: Run every minute
-   //cron.schedule('* * * * *', () => {
-    //createDailyRecords();
-   //});
+// Check every morning at 6 AM whether this month's invoices are due
+const scheduleMonthlyInvoices = () => {
+  cron.schedule("0 0 6 * * *", () => {
+    createMonthlyInvoices();
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
 
-  // Production schedule (commented out for testing)
-  cron.schedule("0 0 18 * * *", () => {
-    console.log("Running daily records creation at", new Date().toString());
-    createDailyRecords();
+// Mark overdue invoices, charge late fees and escalate reminders shortly after midnight
+const scheduleOverdueSweep = () => {
+  cron.schedule("0 30 0 * * *", async () => {
+    try {
+      const summary = await sweepOverdueInvoices();
+      console.log('Overdue sweep finished:', summary);
+    } catch (error) {
+      console.error('Error sweeping overdue invoices:', error.message);
+    }
+  }, {
+    timezone: "Asia/Kolkata"
+  });
+};
+
+// Match online payments against the providers every night, picking up missed webhooks
+const schedulePaymentReconciliation = () => {
+  cron.schedule("0 15 1 * * *", async () => {
+    try {
+      const summary = await reconcileGatewayPayments();
+      console.log('Payment reconciliation finished:', summary);
+    } catch (error) {
+      console.error('Error reconciling payments:', error.message);
+    }
   }, {
     timezone: "Asia/Kolkata"
   });
 };
 
+export { scheduleMonthlyInvoices, scheduleOverdueSweep, schedulePaymentReconciliation };
 export default scheduleDailyRecords; 
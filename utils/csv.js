@@ -0,0 +1,64 @@
+// Quote a value for CSV when it contains a delimiter, quote or line break
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString().split('T')[0] : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from rows using [{ header, value: row => any }] column definitions
+const toCsv = (rows, columns) => {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+  return lines.join('\r\n');
+};
+
+// Parse CSV text into rows of strings. Handles quoted fields with embedded commas,
+// doubled quotes and line breaks, CRLF or LF line endings and a leading byte order mark.
+// Blank lines are dropped.
+const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+export { escapeCsvValue, toCsv, parseCsv };
@@ -0,0 +1,451 @@
+import Record from '../models/Record.js';
+import Customer from '../models/Customer.js';
+import QuantityUpdate from '../models/QuantityUpdate.js';
+import Holiday from '../models/Holiday.js';
+import JobRun from '../models/JobRun.js';
+import Invoice from '../models/Invoice.js';
+import { createPriceResolver, buildRecordSchedule } from './pricing.js';
+import { loadPricingRules } from './pricingRules.js';
+import { loadDeliveryPauses, getPausedTimes, isFullyPaused } from './deliveryPauses.js';
+import { isOffDay } from './recurrence.js';
+import { loadAcceptedQuantityUpdates } from './quantityUpdates.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BACKFILL_DAYS = 366;
+
+// Holiday on this day: a one-off holiday on the date, or a yearly one on the same day and month
+const checkIfHoliday = async (date) => {
+  try {
+    const checkDate = new Date(date);
+    checkDate.setHours(0, 0, 0, 0);
+
+    const nonRecurringHoliday = await Holiday.findOne({
+      date: {
+        $gte: checkDate,
+        $lt: new Date(checkDate.getTime() + DAY_MS)
+      },
+      isRecurringYearly: false
+    });
+
+    if (nonRecurringHoliday) {
+      return {
+        isHoliday: true,
+        holidayName: nonRecurringHoliday.name,
+        holidayDetails: nonRecurringHoliday
+      };
+    }
+
+    const recurringHolidays = await Holiday.find({ isRecurringYearly: true });
+
+    for (const holiday of recurringHolidays) {
+      const holidayDate = new Date(holiday.date);
+      if (holidayDate.getMonth() === checkDate.getMonth() &&
+        holidayDate.getDate() === checkDate.getDate()) {
+        return {
+          isHoliday: true,
+          holidayName: holiday.name,
+          holidayDetails: {
+            ...holiday.toObject(),
+            date: checkDate // Show this year's date
+          }
+        };
+      }
+    }
+
+    return { isHoliday: false, holidayName: null, holidayDetails: null };
+  } catch (error) {
+    console.error('Error checking holiday:', error);
+    // In case of error, assume it's not a holiday to avoid blocking record creation
+    return { isHoliday: false, holidayName: null, holidayDetails: null };
+  }
+};
+
+// Create the day's delivery record for every active customer that does not have one yet.
+// Customers who paused deliveries get no record, or one without the paused slot, and
+// customers whose recurring items are all off that day get none either.
+// Running it again for the same day only fills in customers that are still missing.
+const generateDailyRecords = async ({ date, trigger, triggeredBy }) => {
+  const targetDate = new Date(date);
+  targetDate.setHours(0, 0, 0, 0);
+  const endOfDay = new Date(targetDate);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  const run = await JobRun.create({
+    job: 'daily_records',
+    targetDate,
+    trigger,
+    triggeredBy,
+  });
+  const records = [];
+
+  try {
+    const holiday = await checkIfHoliday(targetDate);
+
+    if (holiday.isHoliday) {
+      run.status = 'skipped';
+      run.message = `Records not created because the day is a holiday: ${holiday.holidayName}`;
+    } else {
+      const customers = await Customer.find({ isActive: true });
+      const resolvePrice = await createPriceResolver();
+      const pricingRules = await loadPricingRules({ from: targetDate, to: targetDate });
+      const pauses = await loadDeliveryPauses({ from: targetDate, to: targetDate });
+      const existing = new Set(
+        (await Record.find({ date: targetDate }).select('customer').lean()).map(r => r.customer.toString())
+      );
+
+      for (const customer of customers) {
+        if (existing.has(customer._id.toString())) {
+          run.counts.skipped_existing += 1;
+          continue;
+        }
+
+        const pausedTimes = getPausedTimes(pauses, customer._id, targetDate);
+        if (isFullyPaused(customer, pausedTimes)) {
+          run.counts.skipped_paused += 1;
+          continue;
+        }
+
+        try {
+          const updates = await QuantityUpdate.find({
+            customer: customer._id,
+            date: { $gte: targetDate, $lte: endOfDay }
+          });
+
+          const schedule = buildRecordSchedule(customer, targetDate, resolvePrice, updates, pricingRules, { skipTimes: pausedTimes });
+          if (isOffDay(customer, schedule)) {
+            run.counts.skipped_off_day += 1;
+            continue;
+          }
+
+          const {
+            deliverySchedule,
+            totalDailyQuantity,
+            discounts,
+            totalDailyDiscount,
+            totalDailyPrice
+          } = schedule;
+
+          const record = await Record.create({
+            customer: customer._id,
+            date: targetDate,
+            deliverySchedule,
+            totalDailyQuantity,
+            discounts,
+            totalDailyDiscount,
+            totalDailyPrice
+          });
+
+          records.push(record);
+          run.counts.created += 1;
+        } catch (error) {
+          // Another run created it in the meantime
+          if (error.code === 11000) {
+            run.counts.skipped_existing += 1;
+            continue;
+          }
+          run.counts.error += 1;
+          run.failures.push({ customer: customer._id, name: customer.name, error: error.message });
+        }
+      }
+
+      run.status = 'completed';
+    }
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  return { run, records };
+};
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+// YYYY-MM-DD in server local time, the way record dates are stored
+const toDayString = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+};
+
+// Customer.joinedDate is kept as DD/MM/YYYY
+const parseJoinedDate = (joinedDate) => {
+  const parts = (joinedDate || '').split('/');
+  if (parts.length !== 3) return null;
+  const date = new Date(parseInt(parts[2]), parseInt(parts[1]) - 1, parseInt(parts[0]));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// What is delivered and charged, for telling whether an existing record matches a rebuilt one
+const recordSignature = (record) => JSON.stringify([
+  (record.deliverySchedule || [])
+    .map(delivery => [
+      delivery.time,
+      (delivery.milkItems || [])
+        .map(item => [String(item.subcategory), item.quantity, roundAmount(item.pricePerUnit)])
+        .sort(),
+    ])
+    .sort(),
+  roundAmount(record.totalDailyPrice),
+]);
+
+// Create the records missing between two dates, for every active customer or just the given
+// ones. Holidays, paused days, off days of recurring schedules and days before a customer
+// joined are skipped, and only accepted quantity updates are applied. An existing record
+// that differs from what would be built today is a conflict: left alone, or replaced with
+// regenerate unless the day is already on an invoice. dryRun reports the same outcome
+// without writing anything.
+const backfillDailyRecords = async ({
+  from,
+  to,
+  customerIds,
+  milkman,
+  area,
+  dryRun = false,
+  regenerate = false,
+}) => {
+  const startDate = new Date(from);
+  startDate.setHours(0, 0, 0, 0);
+  const endDate = new Date(to);
+  endDate.setHours(0, 0, 0, 0);
+  const endOfRange = new Date(endDate);
+  endOfRange.setHours(23, 59, 59, 999);
+
+  const days = [];
+  for (const day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+
+  if (days.length > MAX_BACKFILL_DAYS) {
+    throw new Error(`Backfill is limited to ${MAX_BACKFILL_DAYS} days at a time`);
+  }
+
+  const customerQuery = customerIds?.length ? { _id: { $in: customerIds } } : { isActive: true };
+  if (milkman) customerQuery.milkman = milkman;
+  if (area) customerQuery.area = area;
+  const customers = await Customer.find(customerQuery);
+  const ids = customers.map(c => c._id);
+
+  const [resolvePrice, pricingRules, pauses, existingRecords, acceptedUpdates, invoices] = await Promise.all([
+    createPriceResolver(),
+    loadPricingRules({ from: startDate, to: endOfRange }),
+    loadDeliveryPauses({ customerIds: ids, from: startDate, to: endOfRange }),
+    Record.find({ customer: { $in: ids }, date: { $gte: startDate, $lte: endOfRange } }),
+    loadAcceptedQuantityUpdates({ customerIds: ids, from: startDate, to: endOfRange }),
+    Invoice.find({
+      customer: { $in: ids },
+      status: { $ne: 'void' },
+      startDate: { $lte: endOfRange },
+      endDate: { $gte: startDate },
+    }).select('customer startDate endDate invoiceNumber').lean(),
+  ]);
+
+  const holidays = new Map();
+  for (const day of days) {
+    const holiday = await checkIfHoliday(day);
+    if (holiday.isHoliday) holidays.set(toDayString(day), holiday.holidayName);
+  }
+
+  const existingByKey = new Map(existingRecords.map(r => [`${r.customer}|${toDayString(r.date)}`, r]));
+  const updatesByKey = new Map();
+  acceptedUpdates.forEach(update => {
+    const key = `${update.customer}|${toDayString(update.date)}`;
+    if (!updatesByKey.has(key)) updatesByKey.set(key, []);
+    updatesByKey.get(key).push(update);
+  });
+
+  const report = {
+    from: toDayString(startDate),
+    to: toDayString(endDate),
+    dryRun,
+    regenerate,
+    days: days.length,
+    holidays: [...holidays].map(([date, name]) => ({ date, name })),
+    counts: {
+      created: 0,
+      regenerated: 0,
+      skipped_existing: 0,
+      skipped_holiday: 0,
+      skipped_before_joined: 0,
+      skipped_paused: 0,
+      skipped_off_day: 0,
+      conflict: 0,
+      error: 0,
+    },
+    customers: [],
+  };
+
+  for (const customer of customers) {
+    const joined = parseJoinedDate(customer.joinedDate);
+    const customerInvoices = invoices.filter(invoice => invoice.customer.equals(customer._id));
+    const result = { customer: customer._id, name: customer.name, created: [], regenerated: [], conflicts: [], paused: [], errors: [] };
+
+    for (const day of days) {
+      const dayString = toDayString(day);
+
+      if (holidays.has(dayString)) {
+        report.counts.skipped_holiday += 1;
+        continue;
+      }
+
+      if (joined && day < joined) {
+        report.counts.skipped_before_joined += 1;
+        continue;
+      }
+
+      const key = `${customer._id}|${dayString}`;
+      const existing = existingByKey.get(key);
+      const pausedTimes = getPausedTimes(pauses, customer._id, day);
+
+      if (isFullyPaused(customer, pausedTimes) && !existing) {
+        result.paused.push(dayString);
+        report.counts.skipped_paused += 1;
+        continue;
+      }
+
+      const built = isFullyPaused(customer, pausedTimes)
+        ? null
+        : buildRecordSchedule(customer, day, resolvePrice, updatesByKey.get(key) || [], pricingRules, { skipTimes: pausedTimes });
+
+      if (built && isOffDay(customer, built) && !existing) {
+        report.counts.skipped_off_day += 1;
+        continue;
+      }
+
+      // A record on a fully paused day or an off day should not be there at all
+      const expected = built && !isOffDay(customer, built) ? built : null;
+
+      try {
+        if (!existing) {
+          if (!dryRun) {
+            await Record.create({ customer: customer._id, date: day, ...expected });
+          }
+          result.created.push(dayString);
+          report.counts.created += 1;
+          continue;
+        }
+
+        if (expected && recordSignature(existing) === recordSignature(expected)) {
+          report.counts.skipped_existing += 1;
+          continue;
+        }
+
+        const invoice = customerInvoices.find(inv => inv.startDate <= day && inv.endDate >= day);
+        const conflict = {
+          date: dayString,
+          existing: { totalDailyQuantity: existing.totalDailyQuantity, totalDailyPrice: existing.totalDailyPrice },
+          expected: {
+            totalDailyQuantity: expected?.totalDailyQuantity || 0,
+            totalDailyPrice: expected?.totalDailyPrice || 0,
+          },
+          invoiceNumber: invoice?.invoiceNumber,
+          ...(built ? {} : { paused: true }),
+          ...(built && !expected ? { offDay: true } : {}),
+        };
+
+        // Records already billed stay as they are; regenerate the invoice separately if needed
+        if (regenerate && !invoice) {
+          if (!dryRun) {
+            if (expected) {
+              existing.set(expected);
+              await existing.save();
+            } else {
+              await existing.deleteOne();
+            }
+          }
+          result.regenerated.push(conflict);
+          report.counts.regenerated += 1;
+        } else {
+          result.conflicts.push(conflict);
+          report.counts.conflict += 1;
+        }
+      } catch (error) {
+        if (error.code === 11000) {
+          // Created by the daily job or another backfill meanwhile
+          report.counts.skipped_existing += 1;
+          continue;
+        }
+        result.errors.push({ date: dayString, error: error.message });
+        report.counts.error += 1;
+      }
+    }
+
+    if (result.created.length || result.regenerated.length || result.conflicts.length || result.paused.length || result.errors.length) {
+      report.customers.push(result);
+    }
+  }
+
+  return report;
+};
+
+// Day by day what a customer is due between two dates from their schedule as it is now:
+// recurrences, accepted quantity updates, prices, pricing rules, holidays and pauses applied.
+// Each day's status is delivery, holiday, paused, off_day or before_joined.
+const previewDeliveries = async ({ customer, from, to }) => {
+  const startDate = new Date(from);
+  startDate.setHours(0, 0, 0, 0);
+  const endOfRange = new Date(to);
+  endOfRange.setHours(23, 59, 59, 999);
+
+  const [resolvePrice, pricingRules, pauses, acceptedUpdates] = await Promise.all([
+    createPriceResolver(),
+    loadPricingRules({ from: startDate, to: endOfRange }),
+    loadDeliveryPauses({ customerIds: [customer._id], from: startDate, to: endOfRange }),
+    loadAcceptedQuantityUpdates({ customerIds: [customer._id], from: startDate, to: endOfRange }),
+  ]);
+
+  const joined = parseJoinedDate(customer.joinedDate);
+  const days = [];
+  const totals = { deliveryDays: 0, quantity: 0, discount: 0, amount: 0 };
+
+  for (const day = new Date(startDate); day <= endOfRange; day.setDate(day.getDate() + 1)) {
+    const date = toDayString(day);
+
+    if (joined && day < joined) {
+      days.push({ date, status: 'before_joined' });
+      continue;
+    }
+
+    const holiday = await checkIfHoliday(day);
+    if (holiday.isHoliday) {
+      days.push({ date, status: 'holiday', holidayName: holiday.holidayName });
+      continue;
+    }
+
+    const pausedTimes = getPausedTimes(pauses, customer._id, day);
+    if (isFullyPaused(customer, pausedTimes)) {
+      days.push({ date, status: 'paused', pausedTimes });
+      continue;
+    }
+
+    const updates = acceptedUpdates.filter(update => toDayString(update.date) === date);
+    const schedule = buildRecordSchedule(customer, day, resolvePrice, updates, pricingRules, { skipTimes: pausedTimes });
+
+    if (isOffDay(customer, schedule)) {
+      days.push({ date, status: 'off_day', ...(pausedTimes.length ? { pausedTimes } : {}) });
+      continue;
+    }
+
+    days.push({ date, status: 'delivery', ...(pausedTimes.length ? { pausedTimes } : {}), ...schedule });
+    totals.deliveryDays += 1;
+    totals.quantity += schedule.totalDailyQuantity;
+    totals.discount += schedule.totalDailyDiscount;
+    totals.amount += schedule.totalDailyPrice;
+  }
+
+  totals.discount = roundAmount(totals.discount);
+  totals.amount = roundAmount(totals.amount);
+
+  return { days, totals };
+};
+
+export {
+  MAX_BACKFILL_DAYS,
+  checkIfHoliday,
+  toDayString,
+  parseJoinedDate,
+  generateDailyRecords,
+  backfillDailyRecords,
+  previewDeliveries,
+};
@@ -0,0 +1,46 @@
+import DeliveryPause from '../models/DeliveryPause.js';
+
+const DELIVERY_TIMES = ['morning', 'evening'];
+
+// Approved pauses touching a date range, for some customers or everyone
+const loadDeliveryPauses = ({ customerIds, from, to }) => DeliveryPause.find({
+  ...(customerIds ? { customer: { $in: customerIds } } : {}),
+  status: 'approved',
+  startDate: { $lte: to },
+  endDate: { $gte: from },
+}).lean();
+
+// Slots a customer has paused on a day (both for a whole-day pause), from loadDeliveryPauses
+const getPausedTimes = (pauses, customerId, day) => {
+  const times = new Set();
+  pauses
+    .filter(pause => pause.customer.equals(customerId) && pause.startDate <= day && pause.endDate >= day)
+    .forEach(pause => (pause.times?.length ? pause.times : DELIVERY_TIMES).forEach(time => times.add(time)));
+  return [...times];
+};
+
+// True when none of the customer's deliveries happen that day
+const isFullyPaused = (customer, pausedTimes) => pausedTimes.length > 0 &&
+  customer.deliverySchedule.every(delivery => pausedTimes.includes(delivery.time));
+
+// A pending or approved pause of the same customer sharing a day and a slot with this one
+const findOverlappingPause = ({ customerId, startDate, endDate, times, excludeId }) => {
+  const query = {
+    customer: customerId,
+    status: { $in: ['pending', 'approved'] },
+    startDate: { $lte: endDate },
+    endDate: { $gte: startDate },
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+  // Slot pauses only clash with whole-day pauses or ones for the same slot
+  if (times?.length) query.$or = [{ times: { $size: 0 } }, { times: { $in: times } }];
+  return DeliveryPause.findOne(query);
+};
+
+export {
+  DELIVERY_TIMES,
+  loadDeliveryPauses,
+  getPausedTimes,
+  isFullyPaused,
+  findOverlappingPause,
+};
@@ -0,0 +1,271 @@
+import Invoice from '../models/Invoice.js';
+import PaymentOrder from '../models/PaymentOrder.js';
+import GatewayPayment from '../models/GatewayPayment.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import { generateReceiptNumber, applyInvoicePayment, addToAdvance } from './payments.js';
+import { getPaymentProviders } from './paymentGateway.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Open a provider order for what is due on an invoice. An unpaid order for the same
+// amount is handed back instead of creating another one.
+const createPaymentOrder = async (invoice, provider, { createdBy } = {}) => {
+  const amount = roundAmount(invoice.dueAmount);
+
+  const openOrder = await PaymentOrder.findOne({
+    invoice: invoice._id,
+    provider: provider.name,
+    status: 'created',
+    amount,
+  });
+  if (openOrder) return openOrder;
+
+  const providerOrder = await provider.createOrder({
+    amount,
+    currency: 'INR',
+    receipt: invoice.invoiceNumber,
+    notes: { invoiceId: invoice._id.toString() },
+  });
+
+  return PaymentOrder.create({
+    invoice: invoice._id,
+    customer: invoice.customer._id || invoice.customer,
+    provider: provider.name,
+    providerOrderId: providerOrder.orderId,
+    amount,
+    currency: providerOrder.currency,
+    checkout: providerOrder.checkout,
+    createdBy,
+  });
+};
+
+// An apply that started this long ago without finishing is taken to have died
+const APPLY_TIMEOUT_MS = 10 * 60 * 1000;
+
+// Book a captured payment: on the invoice up to its due amount, the rest to advance.
+// Safe to run again after an interrupted apply: the invoice payment and the advance
+// top-up carry the provider payment id and are not booked twice.
+const applyGatewayPayment = async (gatewayPayment, order) => {
+  // Claim the apply so a webhook redelivery and reconciliation cannot run it side by side
+  const claimed = await GatewayPayment.findOneAndUpdate(
+    {
+      _id: gatewayPayment._id,
+      appliedAt: null,
+      applyStartedAt: { $not: { $gt: new Date(Date.now() - APPLY_TIMEOUT_MS) } },
+    },
+    { $set: { applyStartedAt: new Date() } }
+  );
+  if (!claimed) return false;
+
+  try {
+    const transactionId = gatewayPayment.providerPaymentId;
+    const invoice = await Invoice.findById(order.invoice).populate('customer');
+    const paymentDate = gatewayPayment.paidAt || new Date();
+
+    const bookedPayment = invoice?.payments.find(p => p.transactionId === transactionId);
+    const receiptNumber = bookedPayment?.receiptNumber || await generateReceiptNumber();
+
+    // A voided or already settled invoice takes nothing; the money is kept as advance
+    let appliedAmount = 0;
+    if (bookedPayment) {
+      appliedAmount = bookedPayment.amount;
+    } else if (invoice && invoice.status !== 'void') {
+      appliedAmount = roundAmount(Math.min(gatewayPayment.amount, invoice.dueAmount));
+    }
+    const advanceAmount = roundAmount(gatewayPayment.amount - appliedAmount);
+
+    if (appliedAmount > 0 && !bookedPayment) {
+      await applyInvoicePayment(invoice, {
+        amount: appliedAmount,
+        paymentDate,
+        paymentMethod: 'online',
+        transactionId,
+        receiptNumber,
+        notes: `Paid via ${gatewayPayment.provider} order ${order.providerOrderId}`,
+      });
+    }
+
+    if (advanceAmount > 0) {
+      const bookedAdvance = await LedgerEntry.exists({ account: 'advance', type: 'advance_topup', transactionId });
+      if (!bookedAdvance) {
+        await addToAdvance(
+          order.customer,
+          advanceAmount,
+          `Online payment ${transactionId} beyond invoice ${invoice?.invoiceNumber || order.invoice} due`,
+          transactionId
+        );
+      }
+    }
+
+    gatewayPayment.appliedAmount = appliedAmount;
+    gatewayPayment.advanceAmount = advanceAmount;
+    gatewayPayment.transactionId = transactionId;
+    gatewayPayment.receiptNumber = receiptNumber;
+    gatewayPayment.appliedAt = new Date();
+    if (roundAmount(gatewayPayment.amount) !== order.amount &&
+      !gatewayPayment.reconciliation.issues.includes('amount_differs_from_order')) {
+      gatewayPayment.reconciliation.status = 'mismatch';
+      gatewayPayment.reconciliation.issues.push('amount_differs_from_order');
+    }
+    await gatewayPayment.save();
+
+    order.status = 'paid';
+    order.paidAt = paymentDate;
+    await order.save();
+  } catch (error) {
+    // Let the next delivery or reconciliation pick it up straight away
+    await GatewayPayment.updateOne({ _id: gatewayPayment._id }, { $unset: { applyStartedAt: 1 } });
+    throw error;
+  }
+
+  return true;
+};
+
+// A captured payment for a known order that never finished applying
+const needsApply = (gatewayPayment) =>
+  gatewayPayment.status === 'captured' && Boolean(gatewayPayment.order) && !gatewayPayment.appliedAt;
+
+// Apply a recorded payment left unbooked by an earlier failure
+const retryApply = async (gatewayPayment) => {
+  const order = await PaymentOrder.findById(gatewayPayment.order);
+  if (!order) return false;
+  return applyGatewayPayment(gatewayPayment, order);
+};
+
+// Record a payment event from a provider exactly once. Returns { duplicate, gatewayPayment }.
+const recordGatewayPayment = async (providerName, event, { source = 'webhook' } = {}) => {
+  const order = await PaymentOrder.findOne({ provider: providerName, providerOrderId: event.orderId });
+
+  let gatewayPayment;
+  try {
+    // Creating the record claims the payment id, so a redelivery racing this one stops here
+    gatewayPayment = await GatewayPayment.create({
+      provider: providerName,
+      providerPaymentId: event.paymentId,
+      providerOrderId: event.orderId,
+      order: order?._id,
+      invoice: order?.invoice,
+      customer: order?.customer,
+      amount: roundAmount(event.amount),
+      status: event.status,
+      paidAt: event.paidAt,
+      source,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      const existing = await GatewayPayment.findOne({ provider: providerName, providerPaymentId: event.paymentId });
+      // The first delivery recorded it but did not get to book it
+      if (existing && needsApply(existing)) await retryApply(existing);
+      return { duplicate: true, gatewayPayment: existing };
+    }
+    throw error;
+  }
+
+  if (!order) {
+    gatewayPayment.reconciliation.status = 'mismatch';
+    gatewayPayment.reconciliation.issues.push('unknown_order');
+    await gatewayPayment.save();
+    return { duplicate: false, gatewayPayment };
+  }
+
+  if (event.status === 'failed') {
+    if (order.status === 'created') {
+      order.status = 'failed';
+      await order.save();
+    }
+    return { duplicate: false, gatewayPayment };
+  }
+
+  await applyGatewayPayment(gatewayPayment, order);
+  return { duplicate: false, gatewayPayment };
+};
+
+// Compare what each provider reports for a window with what was recorded here.
+// Captured payments whose webhook never arrived are recorded now; anything that does
+// not line up is flagged on the GatewayPayment for someone to look at.
+const reconcileGatewayPayments = async ({ from = new Date(Date.now() - 2 * DAY_MS), to = new Date() } = {}) => {
+  const summary = { checked: 0, matched: 0, recovered: 0, mismatched: 0, errors: [] };
+  const checkedAt = new Date();
+
+  for (const provider of getPaymentProviders()) {
+    let providerPayments;
+    try {
+      providerPayments = await provider.fetchPayments({ from, to });
+    } catch (error) {
+      summary.errors.push({ provider: provider.name, error: error.message });
+      continue;
+    }
+
+    const reported = new Map(providerPayments.map(p => [p.paymentId, p]));
+    const recorded = await GatewayPayment.find({
+      provider: provider.name,
+      $or: [
+        { providerPaymentId: { $in: [...reported.keys()] } },
+        { paidAt: { $gte: from, $lte: to } },
+      ],
+    });
+    const recordedIds = new Set(recorded.map(p => p.providerPaymentId));
+
+    // Missed webhooks
+    for (const payment of providerPayments) {
+      if (recordedIds.has(payment.paymentId)) continue;
+      try {
+        const { gatewayPayment } = await recordGatewayPayment(provider.name, payment, { source: 'reconciliation' });
+        recorded.push(gatewayPayment);
+        summary.recovered += 1;
+      } catch (error) {
+        summary.errors.push({ provider: provider.name, paymentId: payment.paymentId, error: error.message });
+      }
+    }
+
+    for (const gatewayPayment of recorded) {
+      if (needsApply(gatewayPayment)) {
+        try {
+          await retryApply(gatewayPayment);
+        } catch (error) {
+          summary.errors.push({ provider: provider.name, paymentId: gatewayPayment.providerPaymentId, error: error.message });
+        }
+      }
+
+      const issues = [];
+      const reportedPayment = reported.get(gatewayPayment.providerPaymentId);
+
+      if (!reportedPayment) {
+        issues.push('not_found_at_provider');
+      } else {
+        if (roundAmount(reportedPayment.amount) !== gatewayPayment.amount) issues.push('amount_mismatch');
+        if (reportedPayment.status !== gatewayPayment.status) issues.push('status_mismatch');
+      }
+
+      if (!gatewayPayment.order) issues.push('unknown_order');
+      if (gatewayPayment.status === 'captured' && gatewayPayment.order && !gatewayPayment.appliedAt) {
+        issues.push('not_applied');
+      }
+      if (gatewayPayment.reconciliation.issues.includes('amount_differs_from_order')) {
+        issues.push('amount_differs_from_order');
+      }
+
+      gatewayPayment.reconciliation = {
+        status: issues.length ? 'mismatch' : 'matched',
+        issues,
+        checkedAt,
+      };
+      await gatewayPayment.save();
+
+      summary.checked += 1;
+      if (issues.length) summary.mismatched += 1;
+      else summary.matched += 1;
+    }
+  }
+
+  return summary;
+};
+
+export {
+  createPaymentOrder,
+  applyGatewayPayment,
+  recordGatewayPayment,
+  reconcileGatewayPayments,
+};
@@ -0,0 +1,340 @@
+import crypto from 'crypto';
+import Invoice from '../models/Invoice.js';
+import InvoiceRevision from '../models/InvoiceRevision.js';
+import Record from '../models/Record.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { recordInvoiceCharge, recordInvoiceAdjustment, recordInvoicePayment } from './ledger.js';
+import { nextSequence } from './sequence.js';
+import { summarizeDiscounts } from './pricingRules.js';
+import { calculateInvoiceTax } from './tax.js';
+
+const generateInvoiceNumber = async () => {
+  return nextSequence('invoice', {
+    // Continue from the last number issued this period before counters were introduced
+    seed: async (period) => {
+      const query = period ? { createdAt: { $gte: period.from, $lt: period.to } } : {};
+      const latestInvoice = await Invoice.findOne(query, {}, { sort: { 'createdAt': -1 } });
+      if (!latestInvoice) return 0;
+
+      // Extract counter from the last invoice number (format: INV-YY-MM-XXXX)
+      const lastCounter = parseInt(latestInvoice.invoiceNumber.split('-')[3]);
+      return isNaN(lastCounter) ? 0 : lastCounter;
+    }
+  });
+};
+
+// First day, last day and first day of the next month for a billing month (1-12)
+const getMonthPeriod = (month, year) => ({
+  startDate: new Date(year, month - 1, 1),
+  endDate: new Date(year, month, 0),
+  nextMonthStart: new Date(year, month, 1),
+});
+
+// Voided invoices are kept for audit only, so they never block a fresh one
+const findExistingInvoice = (customerId, startDate, endDate) => Invoice.findOne({
+  customer: customerId,
+  startDate: { $lte: endDate },
+  endDate: { $gte: startDate },
+  status: { $ne: 'void' },
+});
+
+// Build invoice items and totals from a customer's records for the period
+const buildInvoiceItems = async (customerId, startDate, nextMonthStart) => {
+  const records = await Record.find({
+    customer: customerId,
+    date: {
+      $gte: startDate,
+      $lt: nextMonthStart,
+    },
+  }).sort({ date: 1 });
+
+  let totalQuantity = 0;
+  let totalAmount = 0;
+  const items = [];
+
+  records.forEach(record => {
+    items.push({
+      date: record.date,
+      deliverySchedule: record.deliverySchedule,
+      totalDailyQuantity: record.totalDailyQuantity,
+      totalDailyDiscount: record.totalDailyDiscount || 0,
+      totalDailyPrice: record.totalDailyPrice
+    });
+    totalQuantity += record.totalDailyQuantity;
+    totalAmount += record.totalDailyPrice;
+  });
+
+  const discounts = summarizeDiscounts(records);
+  const discountAmount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  return { items, totalQuantity, totalAmount, discounts, discountAmount, records, recordCount: records.length };
+};
+
+// Hash of everything a generated invoice depends on, so a preview can be
+// confirmed only while records, the existing invoice and advance are unchanged
+const fingerprintPlan = (plan, records = []) => {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    outcome: plan.outcome,
+    existingInvoice: plan.existingInvoice
+      ? [plan.existingInvoice._id, plan.existingInvoice.updatedAt, plan.existingInvoice.totalAmount]
+      : null,
+    records: records.map(record => [record._id, record.updatedAt]),
+    advance: plan.customer.advance || 0,
+    totalAmount: plan.totalAmount,
+    advanceToApply: plan.advanceToApply,
+    discountAmount: plan.discountAmount,
+    totalTax: plan.tax?.totalTax || 0,
+  })).digest('hex');
+};
+
+// Work out one customer's invoice for a month without writing anything.
+// outcome is one of 'create', 'update', 'skipped_existing' or 'no_records'.
+const planMonthlyInvoice = async (customer, month, year, { updateExisting = false } = {}) => {
+  const { startDate, endDate, nextMonthStart } = getMonthPeriod(month, year);
+
+  const existingInvoice = await findExistingInvoice(customer._id, startDate, endDate);
+  const plan = {
+    customer,
+    month,
+    year,
+    startDate,
+    endDate,
+    existingInvoice,
+    advanceToApply: 0,
+  };
+
+  if (existingInvoice && !updateExisting) {
+    plan.outcome = 'skipped_existing';
+    plan.fingerprint = fingerprintPlan(plan);
+    return plan;
+  }
+
+  const {
+    items,
+    totalQuantity,
+    totalAmount: netAmount,
+    discounts,
+    discountAmount,
+    records,
+    recordCount,
+  } = await buildInvoiceItems(customer._id, startDate, nextMonthStart);
+
+  if (recordCount === 0) {
+    plan.outcome = 'no_records';
+    plan.fingerprint = fingerprintPlan(plan);
+    return plan;
+  }
+
+  const config = await SystemConfig.findOne().lean();
+  const taxDetails = await calculateInvoiceTax(records, customer, config);
+
+  // Tax is added on top only when prices are quoted without GST
+  const totalAmount = taxDetails && !taxDetails.tax.pricesIncludeTax
+    ? Math.round((netAmount + taxDetails.tax.totalTax) * 100) / 100
+    : netAmount;
+
+  Object.assign(plan, {
+    outcome: existingInvoice ? 'update' : 'create',
+    items,
+    totalQuantity,
+    totalAmount,
+    discounts,
+    discountAmount,
+    tax: taxDetails?.tax,
+    taxLines: taxDetails?.taxLines || [],
+    // Advance is only applied to new invoices
+    advanceToApply: !existingInvoice && customer.advance > 0 ? Math.min(customer.advance, totalAmount) : 0,
+  });
+  plan.fingerprint = fingerprintPlan(plan, records);
+
+  return plan;
+};
+
+const dayKey = (date) => new Date(date).toDateString();
+
+// Per-day quantity and amount differences between two sets of invoice items
+const diffInvoiceItems = (previousItems = [], newItems = []) => {
+  const days = new Map();
+
+  previousItems.forEach(item => {
+    days.set(dayKey(item.date), {
+      date: item.date,
+      previousQuantity: item.totalDailyQuantity,
+      newQuantity: 0,
+      previousAmount: item.totalDailyPrice,
+      newAmount: 0,
+    });
+  });
+
+  newItems.forEach(item => {
+    const day = days.get(dayKey(item.date)) || {
+      date: item.date,
+      previousQuantity: 0,
+      previousAmount: 0,
+    };
+    day.newQuantity = item.totalDailyQuantity;
+    day.newAmount = item.totalDailyPrice;
+    days.set(dayKey(item.date), day);
+  });
+
+  return [...days.values()]
+    .filter(day => day.previousQuantity !== day.newQuantity || day.previousAmount !== day.newAmount)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+// Build (unsaved) a revision holding the invoice as it is now, before the plan overwrites it
+const buildInvoiceRevision = async (invoice, plan, { revisedBy, reason, source, invoiceRun } = {}) => {
+  const previousRevisions = await InvoiceRevision.countDocuments({ invoice: invoice._id });
+
+  return new InvoiceRevision({
+    invoice: invoice._id,
+    customer: invoice.customer._id || invoice.customer,
+    revisionNumber: previousRevisions + 1,
+    reason,
+    source,
+    revisedBy,
+    invoiceRun,
+    startDate: invoice.startDate,
+    endDate: invoice.endDate,
+    items: invoice.items,
+    totalQuantity: invoice.totalQuantity,
+    totalAmount: invoice.totalAmount,
+    discounts: invoice.discounts,
+    discountAmount: invoice.discountAmount,
+    tax: invoice.tax?.toObject ? invoice.tax.toObject() : invoice.tax,
+    taxLines: invoice.taxLines,
+    amountPaid: invoice.amountPaid,
+    dueAmount: invoice.dueAmount,
+    newTotalQuantity: plan.totalQuantity,
+    newTotalAmount: plan.totalAmount,
+    changes: diffInvoiceItems(invoice.items, plan.items),
+  });
+};
+
+// Write a planned invoice. Returns { outcome, invoice, existingInvoice, advanceUsed, revision }
+// where outcome is one of 'created', 'updated', 'skipped_existing' or 'no_records'.
+// revisionDetails ({ revisedBy, reason, source, invoiceRun }) describe who regenerated it and why.
+const commitMonthlyInvoice = async (plan, revisionDetails = {}) => {
+  const { customer, existingInvoice, startDate, endDate, totalAmount } = plan;
+
+  if (plan.outcome === 'skipped_existing' || plan.outcome === 'no_records') {
+    return { outcome: plan.outcome, existingInvoice, advanceUsed: 0 };
+  }
+
+  if (plan.outcome === 'update') {
+    const previousTotal = existingInvoice.totalAmount;
+    const revision = await buildInvoiceRevision(existingInvoice, plan, revisionDetails);
+
+    // Update existing invoice
+    existingInvoice.totalQuantity = plan.totalQuantity;
+    existingInvoice.totalAmount = totalAmount;
+    existingInvoice.items = plan.items;
+    existingInvoice.discounts = plan.discounts;
+    existingInvoice.discountAmount = plan.discountAmount;
+    existingInvoice.tax = plan.tax;
+    existingInvoice.taxLines = plan.taxLines;
+
+    // Update the end date to current calculation
+    existingInvoice.endDate = endDate;
+
+    // dueAmount and status are recalculated by the pre-save hook
+    const invoice = await existingInvoice.save();
+    await revision.save();
+    await recordInvoiceAdjustment(
+      invoice,
+      totalAmount - previousTotal,
+      `Invoice ${invoice.invoiceNumber} regenerated`
+    );
+
+    return { outcome: 'updated', invoice, existingInvoice, advanceUsed: 0, revision };
+  }
+
+  const invoiceNumber = await generateInvoiceNumber();
+
+  // Set due date (e.g., 15 days from end of month)
+  const dueDate = new Date(endDate);
+  dueDate.setDate(dueDate.getDate() + 15);
+
+  // Apply customer advance to new invoice
+  const payments = [];
+  const advanceUsed = plan.advanceToApply;
+
+  if (advanceUsed > 0) {
+    payments.push({
+      amount: advanceUsed,
+      paymentDate: new Date(),
+      paymentMethod: 'advance',
+      notes: 'Advance applied from previous overpayment'
+    });
+    customer.advance = customer.advance - advanceUsed;
+    await customer.save();
+  }
+
+  // dueAmount and status are set by the pre-save hook
+  const invoice = await Invoice.create({
+    customer: customer._id,
+    invoiceNumber,
+    startDate,
+    endDate,
+    totalQuantity: plan.totalQuantity,
+    totalAmount,
+    amountPaid: advanceUsed,
+    payments,
+    dueDate,
+    items: plan.items,
+    discounts: plan.discounts,
+    discountAmount: plan.discountAmount,
+    tax: plan.tax,
+    taxLines: plan.taxLines,
+  });
+
+  await recordInvoiceCharge(invoice);
+  for (const payment of invoice.payments) {
+    await recordInvoicePayment(invoice, payment);
+  }
+
+  return { outcome: 'created', invoice, advanceUsed };
+};
+
+// Generate (or with updateExisting, regenerate) one customer's invoice for a month
+const generateMonthlyInvoice = async (customer, month, year, options = {}, revisionDetails = {}) => {
+  return commitMonthlyInvoice(await planMonthlyInvoice(customer, month, year, options), revisionDetails);
+};
+
+// Plain summary of a plan for preview responses
+const describePlan = (plan, { includeItems = false } = {}) => ({
+  customerId: plan.customer._id,
+  customerNo: plan.customer.customerNo,
+  name: plan.customer.name,
+  outcome: plan.outcome,
+  existingInvoice: plan.existingInvoice ? {
+    _id: plan.existingInvoice._id,
+    invoiceNumber: plan.existingInvoice.invoiceNumber,
+    totalAmount: plan.existingInvoice.totalAmount,
+    status: plan.existingInvoice.status,
+  } : null,
+  startDate: plan.startDate,
+  endDate: plan.endDate,
+  totalQuantity: plan.totalQuantity || 0,
+  totalAmount: plan.totalAmount || 0,
+  discounts: plan.discounts || [],
+  discountAmount: plan.discountAmount || 0,
+  tax: plan.tax,
+  taxLines: plan.taxLines || [],
+  advanceToApply: plan.advanceToApply,
+  dueAfterAdvance: (plan.totalAmount || 0) - plan.advanceToApply,
+  ...(includeItems ? { items: plan.items || [] } : {}),
+});
+
+export {
+  generateInvoiceNumber,
+  getMonthPeriod,
+  findExistingInvoice,
+  buildInvoiceItems,
+  fingerprintPlan,
+  planMonthlyInvoice,
+  diffInvoiceItems,
+  commitMonthlyInvoice,
+  generateMonthlyInvoice,
+  describePlan,
+};
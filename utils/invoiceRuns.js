@@ -0,0 +1,82 @@
+import Customer from '../models/Customer.js';
+import InvoiceRun from '../models/InvoiceRun.js';
+import { planMonthlyInvoice, commitMonthlyInvoice } from './invoiceGenerator.js';
+
+// Generate invoices for a month and keep a per-customer record of what happened.
+// Without customerIds every active customer is processed. expectedFingerprints
+// (customer id -> fingerprint from a preview) refuses customers whose data changed.
+const runMonthlyInvoices = async ({
+  month,
+  year,
+  trigger,
+  customerIds,
+  updateExisting = false,
+  triggeredBy,
+  parentRun,
+  expectedFingerprints,
+  revisionReason,
+}) => {
+  const run = await InvoiceRun.create({
+    month,
+    year,
+    trigger,
+    updateExisting,
+    triggeredBy,
+    parentRun,
+  });
+
+  try {
+    const query = customerIds ? { _id: { $in: customerIds } } : { isActive: true };
+    const customers = await Customer.find(query);
+
+    for (const customer of customers) {
+      try {
+        const plan = await planMonthlyInvoice(customer, month, year, { updateExisting });
+
+        if (expectedFingerprints && expectedFingerprints.get(customer._id.toString()) !== plan.fingerprint) {
+          throw new Error('Invoice data changed since it was previewed');
+        }
+
+        const { outcome, invoice, existingInvoice, advanceUsed } = await commitMonthlyInvoice(plan, {
+          revisedBy: triggeredBy,
+          reason: revisionReason || `Regenerated by ${trigger} invoice run`,
+          source: expectedFingerprints ? 'preview' : (trigger === 'schedule' ? 'schedule' : 'batch'),
+          invoiceRun: run._id,
+        });
+        const target = invoice || existingInvoice;
+
+        run.results.push({
+          customer: customer._id,
+          name: customer.name,
+          outcome,
+          invoice: target?._id,
+          invoiceNumber: target?.invoiceNumber,
+          totalAmount: target?.totalAmount,
+          advanceUsed,
+        });
+      } catch (error) {
+        run.results.push({
+          customer: customer._id,
+          name: customer.name,
+          outcome: 'error',
+          error: error.message,
+        });
+      }
+    }
+
+    run.results.forEach(result => {
+      run.counts[result.outcome] += 1;
+    });
+    run.status = 'completed';
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  return run;
+};
+
+export { runMonthlyInvoices };
@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+import LedgerEntry from '../models/LedgerEntry.js';
+
+// Write ledger entries, dropping any leg that does not move money
+const postLedgerEntries = async (entries) => {
+  const movements = entries.filter(entry => (entry.debit || 0) > 0 || (entry.credit || 0) > 0);
+  if (movements.length === 0) return [];
+  return LedgerEntry.insertMany(movements);
+};
+
+// Debit the receivable account with the full invoice amount
+const recordInvoiceCharge = async (invoice, description) => {
+  return postLedgerEntries([{
+    customer: invoice.customer._id || invoice.customer,
+    account: 'receivable',
+    type: 'invoice',
+    debit: invoice.totalAmount,
+    invoice: invoice._id,
+    description: description || `Invoice ${invoice.invoiceNumber}`,
+  }]);
+};
+
+// Post the change in an invoice total (positive increases what the customer owes)
+const recordInvoiceAdjustment = async (invoice, delta, description) => {
+  return postLedgerEntries([{
+    customer: invoice.customer._id || invoice.customer,
+    account: 'receivable',
+    type: 'invoice_adjustment',
+    debit: delta > 0 ? delta : 0,
+    credit: delta < 0 ? -delta : 0,
+    invoice: invoice._id,
+    description,
+  }]);
+};
+
+// Debit the receivable with a late fee charged on an overdue invoice
+const recordLateFee = async (invoice, lateFee) => {
+  return postLedgerEntries([{
+    customer: invoice.customer._id || invoice.customer,
+    date: lateFee.appliedAt,
+    account: 'receivable',
+    type: 'late_fee',
+    debit: lateFee.amount,
+    invoice: invoice._id,
+    description: lateFee.description || `Late fee on invoice ${invoice.invoiceNumber}`,
+  }]);
+};
+
+// Credit the receivable for a payment. Payments made from advance also debit
+// the advance account so the customer's net balance is unchanged.
+const recordInvoicePayment = async (invoice, payment) => {
+  const customer = invoice.customer._id || invoice.customer;
+  const date = payment.paymentDate || new Date();
+
+  if (payment.paymentMethod === 'advance') {
+    return postLedgerEntries([
+      {
+        customer,
+        date,
+        account: 'advance',
+        type: 'advance_applied',
+        debit: payment.amount,
+        invoice: invoice._id,
+        description: `Advance applied to invoice ${invoice.invoiceNumber}`,
+      },
+      {
+        customer,
+        date,
+        account: 'receivable',
+        type: 'advance_applied',
+        credit: payment.amount,
+        invoice: invoice._id,
+        description: `Advance applied to invoice ${invoice.invoiceNumber}`,
+      },
+    ]);
+  }
+
+  return postLedgerEntries([{
+    customer,
+    date,
+    account: 'receivable',
+    type: 'payment',
+    credit: payment.amount,
+    invoice: invoice._id,
+    transactionId: payment.transactionId,
+    description: payment.notes || `Payment (${payment.paymentMethod || 'cash'}) for invoice ${invoice.invoiceNumber}`,
+  }]);
+};
+
+// Post the change in a customer's advance balance (positive increases the advance)
+const recordAdvanceChange = async (customerId, delta, type, description, { transactionId, createdBy } = {}) => {
+  return postLedgerEntries([{
+    customer: customerId,
+    account: 'advance',
+    type,
+    debit: delta < 0 ? -delta : 0,
+    credit: delta > 0 ? delta : 0,
+    transactionId,
+    description,
+    createdBy,
+  }]);
+};
+
+// Undo a payment: the receivable is debited again, and money that came from
+// advance is handed back to the advance account
+const recordPaymentReversal = async (invoice, payment, createdBy) => {
+  const customer = invoice.customer._id || invoice.customer;
+  const description = `Payment reversed on invoice ${invoice.invoiceNumber}: ${payment.reversalReason}`;
+  const entries = [{
+    customer,
+    account: 'receivable',
+    type: 'reversal',
+    debit: payment.amount,
+    invoice: invoice._id,
+    transactionId: payment.transactionId,
+    description,
+    createdBy,
+  }];
+
+  if (payment.paymentMethod === 'advance') {
+    entries.push({
+      customer,
+      account: 'advance',
+      type: 'reversal',
+      credit: payment.amount,
+      invoice: invoice._id,
+      description,
+      createdBy,
+    });
+  }
+
+  return postLedgerEntries(entries);
+};
+
+// Cancel an invoice charge. Whatever had been paid on it is moved to advance.
+const recordInvoiceVoid = async (invoice, refundedToAdvance, createdBy) => {
+  const customer = invoice.customer._id || invoice.customer;
+  const description = `Invoice ${invoice.invoiceNumber} voided: ${invoice.voidReason}`;
+
+  return postLedgerEntries([
+    {
+      customer,
+      account: 'receivable',
+      type: 'void',
+      credit: invoice.totalAmount
+        + (invoice.debitNoteAmount || 0)
+        - (invoice.creditNoteAmount || 0)
+        + (invoice.lateFeeAmount || 0)
+        - refundedToAdvance,
+      invoice: invoice._id,
+      description,
+      createdBy,
+    },
+    {
+      customer,
+      account: 'advance',
+      type: 'void',
+      credit: refundedToAdvance,
+      invoice: invoice._id,
+      description,
+      createdBy,
+    },
+  ]);
+};
+
+// Post a credit or debit note. Credit notes reduce the receivable, with any
+// amount beyond the invoice due credited to advance instead.
+const recordInvoiceNote = async (note, invoice, createdBy) => {
+  const description = `${note.noteType === 'CreditNote' ? 'Credit' : 'Debit'} note ${note.noteNumber} on invoice ${invoice.invoiceNumber}: ${note.reason}`;
+
+  if (note.noteType === 'DebitNote') {
+    return postLedgerEntries([{
+      customer: note.customer,
+      account: 'receivable',
+      type: 'debit_note',
+      debit: note.totalAmount,
+      invoice: invoice._id,
+      transactionId: note.noteNumber,
+      description,
+      createdBy,
+    }]);
+  }
+
+  return postLedgerEntries([
+    {
+      customer: note.customer,
+      account: 'receivable',
+      type: 'credit_note',
+      credit: note.appliedAmount,
+      invoice: invoice._id,
+      transactionId: note.noteNumber,
+      description,
+      createdBy,
+    },
+    {
+      customer: note.customer,
+      account: 'advance',
+      type: 'credit_note',
+      credit: note.advanceAmount,
+      invoice: invoice._id,
+      transactionId: note.noteNumber,
+      description,
+      createdBy,
+    },
+  ]);
+};
+
+// Sum debits and credits per account, optionally only for entries before a date
+const getLedgerBalances = async (customerId, before) => {
+  const match = { customer: new mongoose.Types.ObjectId(customerId.toString()) };
+  if (before) {
+    match.date = { $lt: before };
+  }
+
+  const totals = await LedgerEntry.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$account',
+        debit: { $sum: '$debit' },
+        credit: { $sum: '$credit' },
+      },
+    },
+  ]);
+
+  const receivable = totals.find(t => t._id === 'receivable') || { debit: 0, credit: 0 };
+  const advance = totals.find(t => t._id === 'advance') || { debit: 0, credit: 0 };
+
+  const pendingAmount = receivable.debit - receivable.credit;
+  const advanceAmount = advance.credit - advance.debit;
+
+  return {
+    pendingAmount,
+    advanceAmount,
+    // Positive means the customer owes us
+    balance: pendingAmount - advanceAmount,
+  };
+};
+
+// Entries in a date range with a running balance (positive means the customer owes us).
+// from/to are optional; the opening balance is everything posted before from.
+const getLedgerStatement = async (customerId, { from, to } = {}) => {
+  const opening = from
+    ? await getLedgerBalances(customerId, from)
+    : { pendingAmount: 0, advanceAmount: 0, balance: 0 };
+
+  const query = { customer: customerId };
+  if (from || to) {
+    query.date = {};
+    if (from) query.date.$gte = from;
+    if (to) query.date.$lte = to;
+  }
+
+  const entries = await LedgerEntry.find(query)
+    .populate('invoice', 'invoiceNumber')
+    .sort({ date: 1, createdAt: 1 })
+    .lean();
+
+  let balance = opening.balance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const movements = entries.map(entry => {
+    balance += entry.debit - entry.credit;
+    totalDebit += entry.debit;
+    totalCredit += entry.credit;
+    return { ...entry, balance };
+  });
+
+  return {
+    openingBalance: opening.balance,
+    entries: movements,
+    totalDebit,
+    totalCredit,
+    closingBalance: balance,
+  };
+};
+
+export {
+  postLedgerEntries,
+  recordInvoiceCharge,
+  recordInvoiceAdjustment,
+  recordLateFee,
+  recordInvoicePayment,
+  recordAdvanceChange,
+  recordPaymentReversal,
+  recordInvoiceVoid,
+  recordInvoiceNote,
+  getLedgerBalances,
+  getLedgerStatement,
+};
@@ -0,0 +1,146 @@
+import Invoice from '../models/Invoice.js';
+import SystemConfig from '../models/SystemConfig.js';
+import { recordLateFee } from './ledger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Reminder stages in escalation order
+const DUNNING_LEVELS = ['none', 'reminder_1', 'reminder_2', 'final'];
+
+const LATE_FEE_DEFAULTS = { enabled: false, feeType: 'flat', amount: 0, graceDays: 0 };
+const DUNNING_DEFAULTS = { reminder1Days: 1, reminder2Days: 15, finalDays: 30 };
+
+// Aging buckets by days past due; 'current' is not yet due
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Not yet due', maxDays: -1 },
+  { key: '0_30', label: '0-30 days', maxDays: 30 },
+  { key: '31_60', label: '31-60 days', maxDays: 60 },
+  { key: '61_90', label: '61-90 days', maxDays: 90 },
+  { key: '90_plus', label: '90+ days', maxDays: Infinity },
+];
+
+// Whole days between the due date and now (zero or negative when not yet overdue)
+const getDaysOverdue = (dueDate, now = new Date()) => {
+  return Math.floor((now - new Date(dueDate)) / DAY_MS);
+};
+
+const getAgingBucket = (daysOverdue) => {
+  return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+};
+
+// Aggregation expression giving the aging bucket key for an invoice's dueDate
+const agingBucketExpression = (now = new Date(), dueDateField = '$dueDate') => {
+  const days = { $floor: { $divide: [{ $subtract: [now, dueDateField] }, DAY_MS] } };
+  return {
+    $switch: {
+      branches: AGING_BUCKETS
+        .filter(bucket => bucket.maxDays !== Infinity)
+        .map(bucket => ({ case: { $lte: [days, bucket.maxDays] }, then: bucket.key })),
+      default: AGING_BUCKETS[AGING_BUCKETS.length - 1].key,
+    },
+  };
+};
+
+const getDunningLevel = (daysOverdue, dunning = DUNNING_DEFAULTS) => {
+  if (daysOverdue >= dunning.finalDays) return 'final';
+  if (daysOverdue >= dunning.reminder2Days) return 'reminder_2';
+  if (daysOverdue >= dunning.reminder1Days) return 'reminder_1';
+  return 'none';
+};
+
+const calculateLateFee = (dueAmount, lateFee) => {
+  const fee = lateFee.feeType === 'percentage'
+    ? (dueAmount * lateFee.amount) / 100
+    : lateFee.amount;
+  return Math.round(fee * 100) / 100;
+};
+
+const getOverdueSettings = async () => {
+  const config = await SystemConfig.findOne().lean();
+  return {
+    lateFee: { ...LATE_FEE_DEFAULTS, ...(config?.lateFee || {}) },
+    dunning: { ...DUNNING_DEFAULTS, ...(config?.dunning || {}) },
+  };
+};
+
+// Mark unpaid invoices past their due date as overdue, charge the configured
+// late fee once the grace period is over and escalate the dunning level
+const sweepOverdueInvoices = async (now = new Date()) => {
+  const { lateFee, dunning } = await getOverdueSettings();
+
+  const invoices = await Invoice.find({
+    status: { $nin: ['paid', 'void'] },
+    dueAmount: { $gt: 0 },
+    dueDate: { $lt: now },
+  });
+
+  const summary = {
+    checked: invoices.length,
+    markedOverdue: 0,
+    lateFeesApplied: 0,
+    lateFeeTotal: 0,
+    dunningEscalated: 0,
+    errors: [],
+  };
+
+  for (const invoice of invoices) {
+    try {
+      const daysOverdue = getDaysOverdue(invoice.dueDate, now);
+      const wasOverdue = invoice.status === 'overdue';
+      let appliedFee = null;
+
+      // A single late fee per invoice
+      if (lateFee.enabled && lateFee.amount > 0 && daysOverdue > lateFee.graceDays && invoice.lateFees.length === 0) {
+        const amount = calculateLateFee(invoice.dueAmount, lateFee);
+        if (amount > 0) {
+          invoice.lateFees.push({
+            amount,
+            appliedAt: now,
+            daysOverdue,
+            feeType: lateFee.feeType,
+            rate: lateFee.amount,
+            description: lateFee.feeType === 'percentage'
+              ? `Late fee ${lateFee.amount}% on invoice ${invoice.invoiceNumber}`
+              : `Late fee on invoice ${invoice.invoiceNumber}`,
+          });
+          invoice.lateFeeAmount = (invoice.lateFeeAmount || 0) + amount;
+          appliedFee = invoice.lateFees[invoice.lateFees.length - 1];
+        }
+      }
+
+      const level = getDunningLevel(daysOverdue, dunning);
+      const escalated = DUNNING_LEVELS.indexOf(level) > DUNNING_LEVELS.indexOf(invoice.dunningLevel);
+      if (escalated) {
+        invoice.dunningLevel = level;
+        invoice.dunningHistory.push({ level, date: now, daysOverdue });
+      }
+
+      // The pre-save hook flips the status to overdue
+      await invoice.save();
+
+      if (appliedFee) {
+        await recordLateFee(invoice, appliedFee);
+        summary.lateFeesApplied += 1;
+        summary.lateFeeTotal += appliedFee.amount;
+      }
+      if (!wasOverdue && invoice.status === 'overdue') summary.markedOverdue += 1;
+      if (escalated) summary.dunningEscalated += 1;
+    } catch (error) {
+      summary.errors.push({ invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+export {
+  DUNNING_LEVELS,
+  AGING_BUCKETS,
+  getDaysOverdue,
+  getAgingBucket,
+  agingBucketExpression,
+  getDunningLevel,
+  calculateLateFee,
+  getOverdueSettings,
+  sweepOverdueInvoices,
+};
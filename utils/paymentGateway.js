@@ -0,0 +1,113 @@
+import crypto from 'crypto';
+
+// A payment provider is an object with:
+//   name
+//   createOrder({ amount, currency, receipt, notes }) -> { orderId, amount, currency, checkout }
+//   verifyWebhookSignature(rawBody, headers) -> boolean
+//   parseWebhookEvent(body) -> { paymentId, orderId, amount, status: 'captured'|'failed', paidAt } or null
+//     for events that are not about a payment
+//   fetchPayments({ from, to }) -> [{ paymentId, orderId, amount, status, paidAt }], used by reconciliation
+// Amounts are in rupees throughout; providers that work in paise convert at the edge.
+
+const signPayload = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Offline stand-in for a real gateway: orders and payments live in memory and webhooks
+// are signed with FAKE_PAYMENT_WEBHOOK_SECRET. Without that variable the secret is random
+// per process, so only simulatePayment can produce a webhook the server will accept.
+const createFakeProvider = (secret = process.env.FAKE_PAYMENT_WEBHOOK_SECRET || crypto.randomBytes(32).toString('hex')) => {
+  const orders = new Map();
+  const payments = [];
+
+  const createOrder = async ({ amount, currency = 'INR', receipt, notes }) => {
+    const orderId = `fake_order_${crypto.randomBytes(8).toString('hex')}`;
+    orders.set(orderId, { orderId, amount, currency, receipt, notes });
+    return { orderId, amount, currency, checkout: { provider: 'fake', orderId } };
+  };
+
+  const verifyWebhookSignature = (rawBody, headers) => {
+    return signaturesMatch(signPayload(secret, rawBody), headers['x-webhook-signature']);
+  };
+
+  const parseWebhookEvent = (body) => {
+    if (!['payment.captured', 'payment.failed'].includes(body?.event)) return null;
+    const { payment } = body;
+    return {
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      amount: payment.amount,
+      status: body.event === 'payment.captured' ? 'captured' : 'failed',
+      paidAt: new Date(payment.createdAt),
+    };
+  };
+
+  const fetchPayments = async ({ from, to }) => {
+    return payments
+      .filter(p => (!from || p.paidAt >= from) && (!to || p.paidAt <= to))
+      .map(p => ({ ...p }));
+  };
+
+  // Pretend the customer paid an order; returns the signed webhook the gateway would send
+  const simulatePayment = (orderId, { amount, status = 'captured' } = {}) => {
+    const order = orders.get(orderId);
+    if (!order) {
+      throw new Error(`Unknown fake order ${orderId}`);
+    }
+
+    const payment = {
+      paymentId: `fake_pay_${crypto.randomBytes(8).toString('hex')}`,
+      orderId,
+      amount: amount ?? order.amount,
+      status,
+      paidAt: new Date(),
+    };
+    payments.push(payment);
+
+    const rawBody = JSON.stringify({
+      event: status === 'captured' ? 'payment.captured' : 'payment.failed',
+      payment: {
+        id: payment.paymentId,
+        orderId,
+        amount: payment.amount,
+        createdAt: payment.paidAt.toISOString(),
+      },
+    });
+
+    return { rawBody, headers: { 'x-webhook-signature': signPayload(secret, rawBody) } };
+  };
+
+  return {
+    name: 'fake',
+    createOrder,
+    verifyWebhookSignature,
+    parseWebhookEvent,
+    fetchPayments,
+    simulatePayment,
+  };
+};
+
+const providers = new Map();
+
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || 'fake') => {
+  return providers.get(name) || null;
+};
+
+const getPaymentProviders = () => [...providers.values()];
+
+registerPaymentProvider(createFakeProvider());
+
+export {
+  signPayload,
+  createFakeProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  getPaymentProviders,
+};
@@ -0,0 +1,155 @@
+import Invoice from '../models/Invoice.js';
+import Customer from '../models/Customer.js';
+import { recordInvoicePayment, recordAdvanceChange } from './ledger.js';
+import { nextSequence } from './sequence.js';
+
+// Scan a customer's payments for the highest transaction sequence used this year
+// (format: YYYY_customerNo_sequence), used to seed the counter the first time
+const findLastTransactionSequence = async (customer) => {
+  const year = new Date().getFullYear();
+  const customerNo = customer.customerNo;
+
+  // Find all invoices for this customer to get the last transaction sequence
+  const allInvoices = await Invoice.find({ customer: customer._id });
+
+  let maxSequence = 0;
+
+  // Check all payments across all invoices for this customer
+  for (const inv of allInvoices) {
+    if (inv.payments && inv.payments.length > 0) {
+      for (const payment of inv.payments) {
+        if (payment.transactionId && payment.transactionId.startsWith(`${year}_${customerNo}_`)) {
+          const parts = payment.transactionId.split('_');
+          if (parts.length >= 3) {
+            const sequence = parseInt(parts[2]);
+            if (!isNaN(sequence) && sequence > maxSequence) {
+              maxSequence = sequence;
+            }
+          }
+        }
+      }
+    }
+  }
+
+  return maxSequence;
+};
+
+// Generate the next transaction ID for a customer
+const generateTransactionId = async (customer) => {
+  return nextSequence('transaction', {
+    scope: customer.customerNo,
+    values: { customerNo: customer.customerNo },
+    seed: () => findLastTransactionSequence(customer),
+  });
+};
+
+// Generate the next payment receipt number
+const generateReceiptNumber = async () => {
+  return nextSequence('receipt');
+};
+
+// Record a payment on an invoice and post it to the ledger
+const applyInvoicePayment = async (invoice, payment) => {
+  const updatedInvoice = await invoice.addPayment(payment);
+  await recordInvoicePayment(updatedInvoice, payment);
+  return updatedInvoice;
+};
+
+// Move money into a customer's advance balance and post it to the ledger
+const addToAdvance = async (customerId, amount, description, transactionId) => {
+  const customer = await Customer.findById(customerId);
+  customer.advance = (customer.advance || 0) + amount;
+  await customer.save();
+  await recordAdvanceChange(customer._id, amount, 'advance_topup', description, { transactionId });
+  return customer;
+};
+
+// Split an amount across a customer's open invoices, oldest first
+const planOldestFirst = async (customerId, amount) => {
+  const openInvoices = await Invoice.find({ customer: customerId, dueAmount: { $gt: 0 }, status: { $ne: 'void' } })
+    .sort({ startDate: 1, createdAt: 1 });
+
+  const plan = [];
+  let remaining = amount;
+  for (const invoice of openInvoices) {
+    if (remaining <= 0) break;
+    const allocationAmount = Math.min(remaining, invoice.dueAmount);
+    plan.push({ invoice, amount: allocationAmount });
+    remaining -= allocationAmount;
+  }
+
+  return plan;
+};
+
+// Apply one customer payment split as [{ invoice, amount }] under a single receipt and
+// transaction id; whatever the plan leaves of totalAmount goes to the customer's advance.
+// collectedBy/collectionSession attribute cash taken by a milkman on a round.
+const applyPaymentPlan = async (customer, plan, totalAmount, {
+  paymentMethod = 'cash',
+  transactionId,
+  notes,
+  paymentDate = new Date(),
+  collectedBy,
+  collectionSession,
+} = {}) => {
+  const receiptId = transactionId || await generateTransactionId(customer);
+  const receiptNumber = await generateReceiptNumber();
+
+  const allocations = [];
+  for (const { invoice, amount } of plan) {
+    const dueBefore = invoice.dueAmount;
+    const updatedInvoice = await applyInvoicePayment(invoice, {
+      amount,
+      paymentDate,
+      paymentMethod,
+      transactionId: receiptId,
+      receiptNumber,
+      notes,
+      collectedBy,
+      collectionSession,
+    });
+
+    allocations.push({
+      invoiceId: updatedInvoice._id,
+      invoiceNumber: updatedInvoice.invoiceNumber,
+      startDate: updatedInvoice.startDate,
+      endDate: updatedInvoice.endDate,
+      amount,
+      dueBefore,
+      dueAfter: updatedInvoice.dueAmount,
+      status: updatedInvoice.status,
+    });
+  }
+
+  const allocatedAmount = allocations.reduce((sum, a) => sum + a.amount, 0);
+  const advanceAmount = totalAmount - allocatedAmount;
+
+  let customerAdvance = customer.advance || 0;
+  if (advanceAmount > 0) {
+    const updatedCustomer = await addToAdvance(
+      customer._id,
+      advanceAmount,
+      `Remainder of payment ${receiptId} moved to advance`,
+      receiptId
+    );
+    customerAdvance = updatedCustomer.advance;
+  }
+
+  return {
+    transactionId: receiptId,
+    receiptNumber,
+    allocations,
+    allocatedAmount,
+    advanceAmount,
+    customerAdvance,
+  };
+};
+
+export {
+  generateTransactionId,
+  generateReceiptNumber,
+  applyInvoicePayment,
+  addToAdvance,
+  planOldestFirst,
+  applyPaymentPlan,
+};
@@ -0,0 +1,283 @@
+import PriceList from '../models/PriceList.js';
+import Subcategory from '../models/Subcategory.js';
+import Customer from '../models/Customer.js';
+import Record from '../models/Record.js';
+import Invoice from '../models/Invoice.js';
+import { loadPricingRules, getCustomerRules, calculateDiscounts } from './pricingRules.js';
+import { scheduledQuantity, isRecurring } from './recurrence.js';
+
+// Price change impact is estimated over a 30 day month
+const DAYS_PER_MONTH = 30;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Load price list entries once and resolve prices for any date in memory.
+// Returns (subcategoryId, priceGroup, date) => price, or undefined when no
+// entry applies so callers can fall back to the customer's own price.
+const createPriceResolver = async (subcategoryIds) => {
+  const query = subcategoryIds ? { subcategory: { $in: subcategoryIds } } : {};
+  const entries = await PriceList.find(query).sort({ effectiveFrom: -1 }).lean();
+
+  const byKey = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.subcategory}|${entry.priceGroup || ''}`;
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(entry);
+  });
+
+  const findEntry = (subcategory, priceGroup, date) => {
+    return (byKey.get(`${subcategory}|${priceGroup || ''}`) || []).find(entry => entry.effectiveFrom <= date);
+  };
+
+  const resolvePrice = (subcategory, priceGroup, date) => {
+    const entry = (priceGroup && findEntry(subcategory, priceGroup, date)) || findEntry(subcategory, null, date);
+    return entry ? entry.price : undefined;
+  };
+  resolvePrice.findEntry = findEntry;
+
+  return resolvePrice;
+};
+
+// Build a record's delivery schedule from the customer's schedule, applying the
+// items' recurrences, any quantity updates, the price valid on the record's date
+// and the customer's pricing rules (see loadPricingRules). totalDailyPrice is net
+// of discounts. Deliveries whose time is in skipTimes (paused slots) are left out,
+// as are items off that day by their recurrence and slots left with no items.
+// The price copied onto the customer's schedule is only used for items no price
+// list covers; it is never rewritten from the price list.
+const buildRecordSchedule = (customer, date, resolvePrice, updates = [], pricingRules = [], { skipTimes = [] } = {}) => {
+  const deliverySchedule = [];
+  let totalDailyQuantity = 0;
+  let totalDailyPrice = 0;
+
+  for (const delivery of customer.deliverySchedule) {
+    if (skipTimes.includes(delivery.time)) continue;
+
+    const milkItems = [];
+    let deliveryTotalQuantity = 0;
+    let deliveryTotalPrice = 0;
+
+    for (const milkItem of delivery.milkItems) {
+      // Check for quantity update for this milk item and time
+      const update = updates.find(u =>
+        u.time === delivery.time &&
+        u.milkType.toString() === milkItem.milkType.toString() &&
+        u.subcategory.toString() === milkItem.subcategory.toString()
+      );
+      const scheduled = scheduledQuantity(milkItem, date);
+      // Off that day by its recurrence, and not asked for specially
+      if (!update && scheduled === 0 && isRecurring(milkItem)) continue;
+
+      const quantity = update ? update.newQuantity : scheduled;
+      const listPrice = resolvePrice ? resolvePrice(milkItem.subcategory, customer.priceGroup, date) : undefined;
+      const pricePerUnit = listPrice !== undefined ? listPrice : milkItem.pricePerUnit;
+      const totalPrice = quantity * pricePerUnit;
+
+      milkItems.push({
+        milkType: milkItem.milkType,
+        subcategory: milkItem.subcategory,
+        quantity,
+        pricePerUnit,
+        totalPrice
+      });
+      deliveryTotalQuantity += quantity;
+      deliveryTotalPrice += totalPrice;
+    }
+
+    if (!milkItems.length && delivery.milkItems.length) continue;
+
+    deliverySchedule.push({
+      time: delivery.time,
+      milkItems,
+      totalQuantity: deliveryTotalQuantity,
+      totalPrice: deliveryTotalPrice
+    });
+    totalDailyQuantity += deliveryTotalQuantity;
+    totalDailyPrice += deliveryTotalPrice;
+  }
+
+  const discounts = calculateDiscounts(deliverySchedule, getCustomerRules(pricingRules, customer, date), date);
+  const totalDailyDiscount = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+
+  return {
+    deliverySchedule,
+    totalDailyQuantity,
+    discounts,
+    totalDailyDiscount,
+    totalDailyPrice: totalDailyPrice - totalDailyDiscount
+  };
+};
+
+// Recalculate the prices of existing records for one subcategory from a date
+const repriceRecords = async (customerIds, subcategoryId, fromDate, resolvePrice) => {
+  const records = await Record.find({
+    customer: { $in: customerIds },
+    date: { $gte: fromDate },
+    'deliverySchedule.milkItems.subcategory': subcategoryId,
+  }).populate('customer', 'priceGroup');
+  const pricingRules = await loadPricingRules({ from: fromDate });
+
+  const touched = [];
+
+  for (const record of records) {
+    const priceGroup = record.customer?.priceGroup;
+    let changed = false;
+
+    record.deliverySchedule.forEach(delivery => {
+      delivery.milkItems.forEach(milkItem => {
+        if (milkItem.subcategory.toString() !== subcategoryId.toString()) return;
+        const listPrice = resolvePrice(milkItem.subcategory, priceGroup, record.date);
+        if (listPrice !== undefined && listPrice !== milkItem.pricePerUnit) {
+          milkItem.pricePerUnit = listPrice;
+          milkItem.totalPrice = milkItem.quantity * listPrice;
+          changed = true;
+        }
+      });
+      delivery.totalPrice = delivery.milkItems.reduce((sum, item) => sum + item.totalPrice, 0);
+    });
+
+    if (changed) {
+      // Percentage and free-quantity discounts depend on the price, so work them out again
+      const customerRules = record.customer ? getCustomerRules(pricingRules, record.customer, record.date) : [];
+      record.discounts = calculateDiscounts(record.deliverySchedule, customerRules, record.date);
+      record.totalDailyDiscount = record.discounts.reduce((sum, discount) => sum + discount.amount, 0);
+      record.totalDailyPrice = record.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0)
+        - record.totalDailyDiscount;
+      await record.save();
+      touched.push({ customer: record.customer._id, date: record.date });
+    }
+  }
+
+  return touched;
+};
+
+// Work out (and unless dryRun, apply) a price change for a subcategory from a
+// date: every affected customer with old and new price and the estimated
+// monthly impact, plus the invoices that now need regenerating
+const applyPriceChange = async ({
+  subcategory: subcategoryId,
+  priceGroup = null,
+  price,
+  effectiveFrom,
+  notes,
+  dryRun = false,
+  reprice = true,
+  createdBy,
+}) => {
+  const subcategory = await Subcategory.findById(subcategoryId);
+  if (!subcategory) {
+    const error = new Error('Subcategory not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  const fromDate = startOfDay(effectiveFrom);
+  const today = startOfDay(new Date());
+  const currentResolver = await createPriceResolver([subcategory._id]);
+
+  const customerQuery = { 'deliverySchedule.milkItems.subcategory': subcategory._id };
+  if (priceGroup) customerQuery.priceGroup = priceGroup;
+  const customers = await Customer.find(customerQuery);
+
+  const affectedCustomers = [];
+  customers.forEach(customer => {
+    // A group with its own price list is not affected by a base price change
+    if (!priceGroup && customer.priceGroup && currentResolver.findEntry(subcategory._id, customer.priceGroup, fromDate)) {
+      return;
+    }
+
+    const items = customer.deliverySchedule
+      .flatMap(delivery => delivery.milkItems)
+      .filter(item => item.subcategory.toString() === subcategory._id.toString());
+    const dailyQuantity = items.reduce((sum, item) => sum + item.quantity, 0);
+    const listPrice = currentResolver(subcategory._id, customer.priceGroup, fromDate);
+    const oldPrice = listPrice !== undefined ? listPrice : items[0].pricePerUnit;
+
+    if (oldPrice === price) return;
+
+    affectedCustomers.push({
+      customerId: customer._id,
+      customerNo: customer.customerNo,
+      name: customer.name,
+      priceGroup: customer.priceGroup || null,
+      isActive: customer.isActive,
+      dailyQuantity,
+      oldPrice,
+      newPrice: price,
+      estimatedMonthlyImpact: (price - oldPrice) * dailyQuantity * DAYS_PER_MONTH,
+    });
+  });
+
+  const result = {
+    dryRun,
+    subcategory: { _id: subcategory._id, name: subcategory.name },
+    priceGroup,
+    price,
+    effectiveFrom: fromDate,
+    affectedCustomers,
+    // Inactive customers are listed but receive no deliveries
+    totalEstimatedMonthlyImpact: affectedCustomers
+      .filter(c => c.isActive)
+      .reduce((sum, c) => sum + c.estimatedMonthlyImpact, 0),
+    recordsRepriced: 0,
+    invoicesToRegenerate: [],
+  };
+
+  if (dryRun) return result;
+
+  result.entry = await PriceList.findOneAndUpdate(
+    { subcategory: subcategory._id, priceGroup, effectiveFrom: fromDate },
+    { price, notes, createdBy },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const resolvePrice = await createPriceResolver([subcategory._id]);
+
+  // The subcategory keeps showing today's base price
+  if (!priceGroup) {
+    const basePrice = resolvePrice(subcategory._id, null, today);
+    if (basePrice !== undefined && basePrice !== subcategory.price) {
+      subcategory.price = basePrice;
+      await subcategory.save();
+    }
+  }
+
+  if (reprice && fromDate <= today && affectedCustomers.length > 0) {
+    const touched = await repriceRecords(
+      affectedCustomers.map(c => c.customerId),
+      subcategory._id,
+      fromDate,
+      resolvePrice
+    );
+    result.recordsRepriced = touched.length;
+
+    // Invoices already issued for repriced days keep their old totals until regenerated
+    if (touched.length > 0) {
+      const invoices = await Invoice.find({
+        customer: { $in: [...new Set(touched.map(t => t.customer.toString()))] },
+        status: { $ne: 'void' },
+        endDate: { $gte: fromDate },
+      }).select('invoiceNumber customer startDate endDate');
+
+      result.invoicesToRegenerate = invoices.filter(invoice => touched.some(t =>
+        t.customer.toString() === invoice.customer.toString() &&
+        t.date >= invoice.startDate &&
+        t.date <= new Date(invoice.endDate.getTime() + 24 * 60 * 60 * 1000 - 1)
+      ));
+    }
+  }
+
+  return result;
+};
+
+export {
+  startOfDay,
+  createPriceResolver,
+  buildRecordSchedule,
+  repriceRecords,
+  applyPriceChange,
+};
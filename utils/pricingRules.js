@@ -0,0 +1,116 @@
+import PricingRule from '../models/PricingRule.js';
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Active rules, optionally only those that overlap a date range
+const loadPricingRules = async ({ from, to } = {}) => {
+  const query = { isActive: true };
+  if (to) query.validFrom = { $lte: to };
+  if (from) query.$or = [{ validTo: null }, { validTo: { $gte: from } }];
+  return PricingRule.find(query).sort({ createdAt: 1 }).lean();
+};
+
+const isRuleValidOn = (rule, date) => {
+  if (new Date(rule.validFrom) > date) return false;
+  if (rule.validTo) {
+    // validTo covers the whole of its last day
+    const lastDay = new Date(rule.validTo);
+    lastDay.setHours(23, 59, 59, 999);
+    if (lastDay < date) return false;
+  }
+  return true;
+};
+
+// Rules attached to this customer directly or through their price group
+const getCustomerRules = (rules, customer, date) => {
+  return rules.filter(rule =>
+    isRuleValidOn(rule, date) && (
+      (rule.customer && rule.customer.toString() === customer._id.toString()) ||
+      (rule.priceGroup && rule.priceGroup === customer.priceGroup)
+    )
+  );
+};
+
+// Work out the discount lines for one day's delivery schedule.
+// Returns [{ rule, name, ruleType, subcategory, quantity, amount }].
+const calculateDiscounts = (deliverySchedule, rules, date) => {
+  const items = deliverySchedule.flatMap(delivery => delivery.milkItems);
+  let remaining = items.reduce((sum, item) => sum + item.totalPrice, 0);
+  const discounts = [];
+
+  for (const rule of rules) {
+    const eligible = rule.subcategory
+      ? items.filter(item => item.subcategory.toString() === rule.subcategory.toString())
+      : items;
+    const quantity = eligible.reduce((sum, item) => sum + item.quantity, 0);
+    const gross = eligible.reduce((sum, item) => sum + item.totalPrice, 0);
+    if (quantity <= 0 || gross <= 0) continue;
+
+    let amount = 0;
+    let discountedQuantity = quantity;
+
+    switch (rule.ruleType) {
+      case 'percentage':
+        amount = (gross * rule.value) / 100;
+        break;
+      case 'flat_per_unit':
+        amount = quantity * rule.value;
+        break;
+      case 'volume_tier': {
+        const tier = [...rule.tiers]
+          .sort((a, b) => b.minQuantity - a.minQuantity)
+          .find(t => quantity >= t.minQuantity);
+        amount = tier ? quantity * tier.discountPerUnit : 0;
+        break;
+      }
+      case 'free_quantity':
+        if (date.getDay() === rule.freeDayOfWeek) {
+          // Free units are valued at the day's average price of the eligible items
+          discountedQuantity = Math.min(rule.freeQuantity, quantity);
+          amount = discountedQuantity * (gross / quantity);
+        }
+        break;
+      default:
+        break;
+    }
+
+    // Never discount below zero
+    amount = roundAmount(Math.min(amount, gross, remaining));
+    if (amount <= 0) continue;
+
+    remaining -= amount;
+    discounts.push({
+      rule: rule._id,
+      name: rule.name,
+      ruleType: rule.ruleType,
+      subcategory: rule.subcategory,
+      quantity: discountedQuantity,
+      amount,
+    });
+  }
+
+  return discounts;
+};
+
+// Combine the daily discount lines of many records into one line per rule
+const summarizeDiscounts = (records) => {
+  const byRule = new Map();
+  records.forEach(record => {
+    (record.discounts || []).forEach(discount => {
+      const key = discount.rule ? discount.rule.toString() : discount.name;
+      const line = byRule.get(key) || { rule: discount.rule, name: discount.name, quantity: 0, amount: 0 };
+      line.quantity += discount.quantity || 0;
+      line.amount = roundAmount(line.amount + discount.amount);
+      byRule.set(key, line);
+    });
+  });
+  return [...byRule.values()];
+};
+
+export {
+  loadPricingRules,
+  isRuleValidOn,
+  getCustomerRules,
+  calculateDiscounts,
+  summarizeDiscounts,
+};
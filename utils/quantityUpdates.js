@@ -0,0 +1,14 @@
+import QuantityUpdate from '../models/QuantityUpdate.js';
+
+// Quantity updates staff have accepted for some customers over a date range, latest first
+// so the newest change to an item wins. Backfill and the schedule preview only go by these;
+// requests nobody has reviewed yet do not change past or planned records.
+const loadAcceptedQuantityUpdates = ({ customerIds, from, to }) => QuantityUpdate.find({
+  customer: { $in: customerIds },
+  date: { $gte: from, $lte: to },
+  status: 'accepted',
+}).sort({ date: -1, createdAt: -1 }).lean();
+
+export {
+  loadAcceptedQuantityUpdates,
+};
@@ -0,0 +1,410 @@
+import Record from '../models/Record.js';
+import Customer from '../models/Customer.js';
+import Invoice from '../models/Invoice.js';
+import { checkIfHoliday, toDayString, parseJoinedDate, backfillDailyRecords, MAX_BACKFILL_DAYS } from './dailyRecords.js';
+import { diffInvoiceItems, generateMonthlyInvoice } from './invoiceGenerator.js';
+import { loadDeliveryPauses, getPausedTimes, isFullyPaused } from './deliveryPauses.js';
+import { buildRecordSchedule } from './pricing.js';
+import { isOffDay } from './recurrence.js';
+
+const INTEGRITY_FINDING_TYPES = ['gap', 'duplicate', 'inactive_customer', 'holiday', 'price_mismatch', 'invoice_mismatch'];
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const roundAmount = (amount) => Math.round((amount || 0) * 100) / 100;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const describeCustomer = (customer) => ({
+  _id: customer._id,
+  name: customer.name,
+  customerNo: customer.customerNo,
+});
+
+// What totalDailyPrice should be: the items' totals less the day's pricing rule discount
+const expectedDailyPrice = (record) => roundAmount(
+  (record.deliverySchedule || [])
+    .reduce((sum, delivery) => sum + (delivery.milkItems || []).reduce((s, item) => s + (item.totalPrice || 0), 0), 0)
+  - (record.totalDailyDiscount || 0)
+);
+
+// Day after which a deactivated customer should have no records. Customers switched off before
+// deactivatedAt was kept fall back to their last update, which is never earlier than that.
+const deactivationDay = (customer) => {
+  if (customer.isActive) return null;
+  const since = customer.deactivatedAt || customer.updatedAt;
+  return since ? startOfDay(since) : null;
+};
+
+// Find the problems in the records between two dates: days an active customer has no record
+// (holidays, paused days, recurring schedules' off days and days before joining excepted), several records on one day, records after a
+// customer was deactivated or on a holiday, totals that do not add up, and invoices whose
+// items no longer match the records. Every finding carries the repair body that fixes it.
+const checkRecordIntegrity = async ({ from, to, customerId, types = INTEGRITY_FINDING_TYPES }) => {
+  const startDate = startOfDay(from);
+  const endDate = startOfDay(to);
+  const endOfRange = new Date(endDate);
+  endOfRange.setHours(23, 59, 59, 999);
+
+  const days = [];
+  for (const day = new Date(startDate); day <= endDate; day.setDate(day.getDate() + 1)) {
+    days.push(new Date(day));
+  }
+
+  if (days.length > MAX_BACKFILL_DAYS) {
+    throw new Error(`The integrity check is limited to ${MAX_BACKFILL_DAYS} days at a time`);
+  }
+
+  const customerQuery = customerId ? { _id: customerId } : {};
+  const [customers, pauses, records, invoices] = await Promise.all([
+    Customer.find(customerQuery).select('name customerNo isActive deactivatedAt updatedAt joinedDate deliverySchedule').lean(),
+    loadDeliveryPauses({ customerIds: customerId ? [customerId] : undefined, from: startDate, to: endOfRange }),
+    Record.find({ ...(customerId ? { customer: customerId } : {}), date: { $gte: startDate, $lte: endOfRange } })
+      .select('customer date deliverySchedule totalDailyQuantity totalDailyDiscount totalDailyPrice createdAt')
+      .sort({ date: 1, createdAt: 1 })
+      .lean(),
+    Invoice.find({
+      ...(customerId ? { customer: customerId } : {}),
+      status: { $ne: 'void' },
+      startDate: { $lte: endOfRange },
+      endDate: { $gte: startDate },
+    }).select('customer invoiceNumber startDate endDate items status').lean(),
+  ]);
+
+  const customersById = new Map(customers.map(c => [c._id.toString(), c]));
+  const wanted = new Set(types);
+  const findings = [];
+  const add = (finding) => findings.push(finding);
+
+  const holidays = new Map();
+  for (const day of days) {
+    const holiday = await checkIfHoliday(day);
+    if (holiday.isHoliday) holidays.set(toDayString(day), holiday.holidayName);
+  }
+
+  const invoiceFor = (customer, date) => invoices
+    .find(invoice => invoice.customer.equals(customer) && invoice.startDate <= date && startOfDay(invoice.endDate) >= startOfDay(date));
+
+  const recordsByKey = new Map();
+  records.forEach(record => {
+    const key = `${record.customer}|${toDayString(record.date)}`;
+    if (!recordsByKey.has(key)) recordsByKey.set(key, []);
+    recordsByKey.get(key).push(record);
+  });
+
+  if (wanted.has('gap')) {
+    customers.filter(customer => customer.isActive).forEach(customer => {
+      const joined = parseJoinedDate(customer.joinedDate);
+      let gap = null;
+
+      const closeGap = () => {
+        if (!gap) return;
+        add({
+          type: 'gap',
+          customer: describeCustomer(customer),
+          from: gap.from,
+          to: gap.to,
+          days: gap.days,
+          repair: { type: 'gap', customerId: customer._id, from: gap.from, to: gap.to },
+        });
+        gap = null;
+      };
+
+      for (const day of days) {
+        const dayString = toDayString(day);
+        // Days without deliveries neither start nor end a gap
+        if (holidays.has(dayString) || (joined && day < joined)) continue;
+        const pausedTimes = getPausedTimes(pauses, customer._id, day);
+        if (isFullyPaused(customer, pausedTimes)) continue;
+        if (isOffDay(customer, buildRecordSchedule(customer, day, null, [], [], { skipTimes: pausedTimes }))) continue;
+
+        if (recordsByKey.has(`${customer._id}|${dayString}`)) {
+          closeGap();
+        } else if (gap) {
+          gap.to = dayString;
+          gap.days += 1;
+        } else {
+          gap = { from: dayString, to: dayString, days: 1 };
+        }
+      }
+      closeGap();
+    });
+  }
+
+  recordsByKey.forEach((dayRecords, key) => {
+    const [id, dayString] = key.split('|');
+    const customer = customersById.get(id);
+    if (!customer) return;
+
+    if (wanted.has('duplicate') && dayRecords.length > 1) {
+      add({
+        type: 'duplicate',
+        customer: describeCustomer(customer),
+        date: dayString,
+        records: dayRecords.map(r => ({ _id: r._id, date: r.date, totalDailyQuantity: r.totalDailyQuantity, totalDailyPrice: r.totalDailyPrice })),
+        invoiceNumber: invoiceFor(customer._id, dayRecords[0].date)?.invoiceNumber,
+        repair: { type: 'duplicate', customerId: customer._id, date: dayString },
+      });
+    }
+
+    dayRecords.forEach(record => {
+      const invoiceNumber = invoiceFor(customer._id, record.date)?.invoiceNumber;
+      const inactiveSince = deactivationDay(customer);
+
+      if (wanted.has('inactive_customer') && inactiveSince && record.date > inactiveSince) {
+        add({
+          type: 'inactive_customer',
+          customer: describeCustomer(customer),
+          date: dayString,
+          record: record._id,
+          inactiveSince: toDayString(inactiveSince),
+          invoiceNumber,
+          repair: { type: 'inactive_customer', recordId: record._id },
+        });
+      }
+
+      if (wanted.has('holiday') && holidays.has(dayString)) {
+        add({
+          type: 'holiday',
+          customer: describeCustomer(customer),
+          date: dayString,
+          record: record._id,
+          holidayName: holidays.get(dayString),
+          invoiceNumber,
+          repair: { type: 'holiday', recordId: record._id },
+        });
+      }
+
+      const expectedPrice = expectedDailyPrice(record);
+      if (wanted.has('price_mismatch') && Math.abs(expectedPrice - roundAmount(record.totalDailyPrice)) >= 0.005) {
+        add({
+          type: 'price_mismatch',
+          customer: describeCustomer(customer),
+          date: dayString,
+          record: record._id,
+          totalDailyPrice: record.totalDailyPrice,
+          expectedDailyPrice: expectedPrice,
+          invoiceNumber,
+          repair: { type: 'price_mismatch', recordId: record._id },
+        });
+      }
+    });
+  });
+
+  if (wanted.has('invoice_mismatch') && invoices.length) {
+    // Invoices can run past the checked range, so their whole periods are compared
+    const periodStart = new Date(Math.min(...invoices.map(invoice => invoice.startDate)));
+    const periodEnd = new Date(Math.max(...invoices.map(invoice => invoice.endDate)));
+    periodEnd.setHours(23, 59, 59, 999);
+
+    const periodRecords = await Record.find({
+      customer: { $in: [...new Set(invoices.map(invoice => invoice.customer.toString()))] },
+      date: { $gte: periodStart, $lte: periodEnd },
+    }).select('customer date totalDailyQuantity totalDailyPrice').lean();
+
+    invoices.forEach(invoice => {
+      const customer = customersById.get(invoice.customer.toString());
+      const invoiceEnd = new Date(invoice.endDate);
+      invoiceEnd.setHours(23, 59, 59, 999);
+
+      const recordItems = periodRecords.filter(record =>
+        record.customer.equals(invoice.customer) && record.date >= invoice.startDate && record.date <= invoiceEnd);
+      const changes = diffInvoiceItems(invoice.items, recordItems);
+
+      if (changes.length) {
+        add({
+          type: 'invoice_mismatch',
+          customer: customer ? describeCustomer(customer) : { _id: invoice.customer },
+          invoice: invoice._id,
+          invoiceNumber: invoice.invoiceNumber,
+          status: invoice.status,
+          changes,
+          repair: { type: 'invoice_mismatch', invoiceId: invoice._id },
+        });
+      }
+    });
+  }
+
+  const counts = Object.fromEntries(INTEGRITY_FINDING_TYPES.map(type => [type, 0]));
+  findings.forEach(finding => { counts[finding.type] += 1; });
+
+  return {
+    from: toDayString(startDate),
+    to: toDayString(endDate),
+    holidays: [...holidays].map(([date, name]) => ({ date, name })),
+    counts,
+    findings,
+  };
+};
+
+// Regenerate an invoice's month from the current records
+const regenerateInvoice = async (invoice, customer, revisionDetails) => {
+  const { outcome } = await generateMonthlyInvoice(
+    customer,
+    invoice.startDate.getMonth() + 1,
+    invoice.startDate.getFullYear(),
+    { updateExisting: true },
+    { source: 'integrity', ...revisionDetails }
+  );
+  return { invoiceNumber: invoice.invoiceNumber, outcome };
+};
+
+// Bring the customer's invoice covering this day back in line with the records, if there is one
+const syncInvoiceForDay = async (customer, date, revisionDetails) => {
+  const invoice = await Invoice.findOne({
+    customer: customer._id,
+    status: { $ne: 'void' },
+    startDate: { $lte: date },
+    endDate: { $gte: startOfDay(date) },
+  });
+  if (!invoice) return null;
+
+  return regenerateInvoice(invoice, customer, revisionDetails);
+};
+
+// Recompute a record's item, delivery and daily totals from its quantities and unit prices
+const recalculateRecordTotals = (record) => {
+  record.deliverySchedule.forEach(delivery => {
+    delivery.milkItems.forEach(item => {
+      item.totalPrice = roundAmount(item.quantity * item.pricePerUnit);
+    });
+    delivery.totalQuantity = delivery.milkItems.reduce((sum, item) => sum + item.quantity, 0);
+    delivery.totalPrice = roundAmount(delivery.milkItems.reduce((sum, item) => sum + item.totalPrice, 0));
+  });
+  record.totalDailyQuantity = record.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalQuantity, 0);
+  record.totalDailyPrice = roundAmount(
+    record.deliverySchedule.reduce((sum, delivery) => sum + delivery.totalPrice, 0) - (record.totalDailyDiscount || 0)
+  );
+};
+
+const repairError = (message, statusCode = 400) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Fix one finding, given its repair body. Records removed or changed on an invoiced day are
+// followed by regenerating that invoice, which keeps a revision of what it was before.
+const repairIntegrityFinding = async (repair, { revisedBy } = {}) => {
+  const { type } = repair || {};
+  const revisionDetails = { revisedBy, reason: `Integrity repair: ${type}` };
+
+  if (type === 'gap') {
+    if (!DAY_PATTERN.test(repair.from || '') || !DAY_PATTERN.test(repair.to || '')) {
+      throw repairError('from and to are required in YYYY-MM-DD format');
+    }
+    const customer = await Customer.findById(repair.customerId);
+    if (!customer) throw repairError('Customer not found', 404);
+
+    const report = await backfillDailyRecords({
+      from: new Date(`${repair.from}T00:00:00`),
+      to: new Date(`${repair.to}T00:00:00`),
+      customerIds: [customer._id],
+    });
+    const [result] = report.customers;
+    const created = result?.created || [];
+
+    // Filling days of a month already billed puts them on its invoice
+    const invoices = [];
+    for (const dayString of created) {
+      const day = new Date(`${dayString}T00:00:00`);
+      if (invoices.some(invoice => invoice.startDate <= day && startOfDay(invoice.endDate) >= day)) continue;
+      const invoice = await Invoice.findOne({
+        customer: customer._id,
+        status: { $ne: 'void' },
+        startDate: { $lte: day },
+        endDate: { $gte: day },
+      });
+      if (invoice) invoices.push(invoice);
+    }
+
+    const regenerated = [];
+    for (const invoice of invoices) {
+      regenerated.push(await regenerateInvoice(invoice, customer, revisionDetails));
+    }
+
+    return { created, errors: result?.errors || [], invoices: regenerated };
+  }
+
+  if (type === 'duplicate') {
+    if (!DAY_PATTERN.test(repair.date || '')) {
+      throw repairError('date is required in YYYY-MM-DD format');
+    }
+    const customer = await Customer.findById(repair.customerId);
+    if (!customer) throw repairError('Customer not found', 404);
+
+    const day = new Date(`${repair.date}T00:00:00`);
+    const endOfDay = new Date(day);
+    endOfDay.setHours(23, 59, 59, 999);
+    const dayRecords = await Record.find({ customer: customer._id, date: { $gte: day, $lte: endOfDay } })
+      .sort({ createdAt: 1 });
+
+    if (dayRecords.length < 2) {
+      return { removed: [], kept: dayRecords[0]?._id };
+    }
+
+    // The one dated at midnight is what the daily job would have made; otherwise the oldest stays
+    const kept = dayRecords.find(record => record.date.getTime() === day.getTime()) || dayRecords[0];
+    const removed = dayRecords.filter(record => record !== kept);
+    await Record.deleteMany({ _id: { $in: removed.map(record => record._id) } });
+
+    return {
+      kept: kept._id,
+      removed: removed.map(record => record._id),
+      invoice: await syncInvoiceForDay(customer, day, revisionDetails),
+    };
+  }
+
+  if (type === 'inactive_customer' || type === 'holiday') {
+    const record = await Record.findById(repair.recordId);
+    if (!record) throw repairError('Record not found', 404);
+
+    await record.deleteOne();
+    const customer = await Customer.findById(record.customer);
+
+    return {
+      removed: [record._id],
+      invoice: customer ? await syncInvoiceForDay(customer, record.date, revisionDetails) : null,
+    };
+  }
+
+  if (type === 'price_mismatch') {
+    const record = await Record.findById(repair.recordId);
+    if (!record) throw repairError('Record not found', 404);
+
+    const previousPrice = record.totalDailyPrice;
+    recalculateRecordTotals(record);
+    await record.save();
+    const customer = await Customer.findById(record.customer);
+
+    return {
+      record: record._id,
+      previousDailyPrice: previousPrice,
+      totalDailyPrice: record.totalDailyPrice,
+      invoice: customer ? await syncInvoiceForDay(customer, record.date, revisionDetails) : null,
+    };
+  }
+
+  if (type === 'invoice_mismatch') {
+    const invoice = await Invoice.findById(repair.invoiceId);
+    if (!invoice) throw repairError('Invoice not found', 404);
+    if (invoice.status === 'void') throw repairError('Voided invoices are not regenerated');
+
+    const customer = await Customer.findById(invoice.customer);
+    if (!customer) throw repairError('Customer not found', 404);
+
+    return { invoice: await regenerateInvoice(invoice, customer, revisionDetails) };
+  }
+
+  throw repairError(`Unknown finding type. Use one of: ${INTEGRITY_FINDING_TYPES.join(', ')}`);
+};
+
+export {
+  INTEGRITY_FINDING_TYPES,
+  checkRecordIntegrity,
+  repairIntegrityFinding,
+};
@@ -0,0 +1,81 @@
+// How often a milk item on a customer's schedule is delivered. Without a recurrence (or with
+// 'daily') the item's quantity comes every day, as before recurrences existed.
+const RECURRENCE_PATTERNS = ['daily', 'weekdays', 'every_n_days', 'odd_dates', 'even_dates'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day count, unaffected by the time of day or DST changes
+const dayNumber = (date) => {
+  const d = new Date(date);
+  return Math.round(Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) / DAY_MS);
+};
+
+// Quantity of a schedule item due on a date:
+//   weekdays     - weekdayQuantities[0..6], Sunday first (e.g. more on weekends, 0 on Sundays)
+//   every_n_days - the quantity every `every` days counted from startDate, 0 in between
+//   odd_dates / even_dates - the quantity on odd or even dates of the month, 0 otherwise
+const scheduledQuantity = (milkItem, date) => {
+  const recurrence = milkItem.recurrence;
+  const day = new Date(date);
+
+  switch (recurrence?.pattern) {
+    case 'weekdays': {
+      const quantity = recurrence.weekdayQuantities?.[day.getDay()];
+      return typeof quantity === 'number' ? quantity : milkItem.quantity;
+    }
+    case 'every_n_days': {
+      if (!recurrence.every || !recurrence.startDate) return milkItem.quantity;
+      const elapsed = dayNumber(day) - dayNumber(recurrence.startDate);
+      return elapsed >= 0 && elapsed % recurrence.every === 0 ? milkItem.quantity : 0;
+    }
+    case 'odd_dates':
+      return day.getDate() % 2 === 1 ? milkItem.quantity : 0;
+    case 'even_dates':
+      return day.getDate() % 2 === 0 ? milkItem.quantity : 0;
+    default:
+      return milkItem.quantity;
+  }
+};
+
+const isRecurring = (milkItem) => Boolean(milkItem.recurrence?.pattern) && milkItem.recurrence.pattern !== 'daily';
+
+// Check a recurrence sent with a customer's schedule; returns an error message or null
+const validateRecurrence = (recurrence) => {
+  if (!recurrence) return null;
+
+  if (!RECURRENCE_PATTERNS.includes(recurrence.pattern || 'daily')) {
+    return `recurrence pattern must be one of: ${RECURRENCE_PATTERNS.join(', ')}`;
+  }
+
+  if (recurrence.pattern === 'weekdays') {
+    const quantities = recurrence.weekdayQuantities;
+    if (!Array.isArray(quantities) || quantities.length !== 7 ||
+      quantities.some(q => typeof q !== 'number' || q < 0)) {
+      return 'weekdayQuantities must list 7 quantities, Sunday first';
+    }
+  }
+
+  if (recurrence.pattern === 'every_n_days') {
+    if (!Number.isInteger(recurrence.every) || recurrence.every < 2) {
+      return 'every must be a whole number of days, 2 or more';
+    }
+    if (!recurrence.startDate || isNaN(new Date(recurrence.startDate).getTime())) {
+      return 'startDate is required for every_n_days';
+    }
+  }
+
+  return null;
+};
+
+// A built record schedule with nothing left to deliver on a customer's off day
+// (every scheduled item is off by its recurrence or paused)
+const isOffDay = (customer, schedule) =>
+  customer.deliverySchedule.length > 0 && schedule.deliverySchedule.length === 0;
+
+export {
+  RECURRENCE_PATTERNS,
+  scheduledQuantity,
+  isRecurring,
+  validateRecurrence,
+  isOffDay,
+};
@@ -0,0 +1,153 @@
+import Counter from '../models/Counter.js';
+import SystemConfig from '../models/SystemConfig.js';
+
+// Built-in numbering for each series. Formats can be overridden per series in
+// SystemConfig.numberSeries. Tokens: {YYYY} {YY} {MM} {FY} (2026-27) {FYY} (26-27)
+// {SEQ} or {SEQ:n} (zero padded to n digits) and any value passed by the caller
+// such as {customerNo}.
+const SERIES_DEFAULTS = {
+  invoice: { format: 'INV-{YY}-{MM}-{SEQ:4}', reset: 'financial_year' },
+  customer: { format: '{SEQ}', reset: 'never' },
+  receipt: { format: 'RCP/{FY}/{SEQ:4}', reset: 'financial_year' },
+  transaction: { format: '{YYYY}_{customerNo}_{SEQ}', reset: 'year' },
+  credit_note: { format: 'CN-{YY}-{MM}-{SEQ:4}', reset: 'financial_year' },
+  debit_note: { format: 'DN-{YY}-{MM}-{SEQ:4}', reset: 'financial_year' },
+};
+
+const RESET_PERIODS = ['never', 'financial_year', 'year', 'month'];
+
+// Indian financial year runs April to March
+const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return {
+    startYear,
+    endYear: startYear + 1,
+    label: `${startYear}-${(startYear + 1).toString().slice(-2)}`,
+  };
+};
+
+const getPeriodKey = (reset, date) => {
+  switch (reset) {
+    case 'financial_year':
+      return getFinancialYear(date).label;
+    case 'year':
+      return date.getFullYear().toString();
+    case 'month':
+      return `${date.getFullYear()}-${(date.getMonth() + 1).toString().padStart(2, '0')}`;
+    default:
+      return 'all';
+  }
+};
+
+// First moment of the period a date falls in and of the next one; null for 'never'
+const getPeriodRange = (reset, date) => {
+  switch (reset) {
+    case 'financial_year': {
+      const { startYear } = getFinancialYear(date);
+      return { from: new Date(startYear, 3, 1), to: new Date(startYear + 1, 3, 1) };
+    }
+    case 'year':
+      return { from: new Date(date.getFullYear(), 0, 1), to: new Date(date.getFullYear() + 1, 0, 1) };
+    case 'month':
+      return { from: new Date(date.getFullYear(), date.getMonth(), 1), to: new Date(date.getFullYear(), date.getMonth() + 1, 1) };
+    default:
+      return null;
+  }
+};
+
+// Tokens that tell one period's numbers from the next; any one of the sets will do
+const PERIOD_TOKENS = {
+  financial_year: [['FY'], ['FYY'], ['YYYY', 'MM'], ['YY', 'MM']],
+  year: [['YYYY'], ['YY']],
+  month: [['YYYY', 'MM'], ['YY', 'MM']],
+};
+
+// Whether numbers in a format stay unique when the counter restarts each period
+const formatIdentifiesPeriod = (format, reset) => {
+  const tokenSets = PERIOD_TOKENS[reset];
+  if (!tokenSets) return true;
+  const used = new Set([...format.matchAll(/\{(\w+)(?::\d+)?\}/g)].map(match => match[1]));
+  return tokenSets.some(tokens => tokens.every(token => used.has(token)));
+};
+
+const formatSequence = (format, seq, date = new Date(), values = {}) => {
+  const financialYear = getFinancialYear(date);
+  const tokens = {
+    YYYY: date.getFullYear().toString(),
+    YY: date.getFullYear().toString().slice(-2),
+    MM: (date.getMonth() + 1).toString().padStart(2, '0'),
+    FY: financialYear.label,
+    FYY: `${financialYear.startYear.toString().slice(-2)}-${financialYear.endYear.toString().slice(-2)}`,
+    ...values,
+  };
+
+  return format.replace(/\{(\w+)(?::(\d+))?\}/g, (match, token, width) => {
+    if (token === 'SEQ') {
+      return width ? seq.toString().padStart(parseInt(width), '0') : seq.toString();
+    }
+    return tokens[token] !== undefined ? tokens[token].toString() : match;
+  });
+};
+
+// Resolve the configured format/reset for a series, falling back to the built-in default
+const getSeriesConfig = async (series) => {
+  const defaults = SERIES_DEFAULTS[series] || { format: `${series.toUpperCase()}-{SEQ:4}`, reset: 'never' };
+  const config = await SystemConfig.findOne().select('numberSeries').lean();
+  const override = config?.numberSeries?.find(s => s.series === series);
+
+  return {
+    format: override?.format || defaults.format,
+    reset: override?.reset || defaults.reset,
+  };
+};
+
+const increment = (series, scope, period) => Counter.findOneAndUpdate(
+  { series, scope, period },
+  { $inc: { seq: 1 } },
+  { new: true }
+);
+
+// Atomically take the next number in a series. `seed` is called once, when the
+// counter for this period does not exist yet, and returns the last number already
+// in use (so counters pick up where the old "read latest and add one" logic stopped).
+// It gets the period's { from, to } range (null when the series never resets) and
+// should only look at numbers issued inside it, so a new period starts again at 1.
+const nextSequenceValue = async (series, { date = new Date(), scope = '', seed } = {}) => {
+  const { reset } = await getSeriesConfig(series);
+  const period = getPeriodKey(reset, date);
+  const scopeKey = scope.toString();
+
+  let counter = await increment(series, scopeKey, period);
+
+  if (!counter) {
+    const start = seed ? (await seed(getPeriodRange(reset, date))) || 0 : 0;
+    try {
+      await Counter.create({ series, scope: scopeKey, period, seq: start });
+    } catch (error) {
+      // Another request created the counter first; just use it
+      if (error.code !== 11000) throw error;
+    }
+    counter = await increment(series, scopeKey, period);
+  }
+
+  return counter.seq;
+};
+
+// Take the next number in a series and render it with the series format
+const nextSequence = async (series, { date = new Date(), scope = '', seed, values = {} } = {}) => {
+  const { format } = await getSeriesConfig(series);
+  const seq = await nextSequenceValue(series, { date, scope, seed });
+  return formatSequence(format, seq, date, values);
+};
+
+export {
+  SERIES_DEFAULTS,
+  RESET_PERIODS,
+  getFinancialYear,
+  getPeriodRange,
+  formatIdentifiesPeriod,
+  formatSequence,
+  getSeriesConfig,
+  nextSequenceValue,
+  nextSequence,
+};
@@ -0,0 +1,131 @@
+import Subcategory from '../models/Subcategory.js';
+
+// 15 character GSTIN: state code, PAN, entity number, 'Z', checksum
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// HSN code and GST rate of a subcategory, falling back to its category
+const getTaxProfile = (subcategory) => ({
+  hsnCode: subcategory?.hsnCode || subcategory?.category?.hsnCode || '',
+  taxRate: subcategory?.taxRate ?? subcategory?.category?.taxRate ?? 0,
+});
+
+// Split a net amount into taxable value and tax at a rate
+const splitTax = (netAmount, taxRate, pricesIncludeTax) => {
+  if (pricesIncludeTax) {
+    const taxableValue = roundAmount(netAmount / (1 + taxRate / 100));
+    return { taxableValue, tax: roundAmount(netAmount - taxableValue) };
+  }
+  return { taxableValue: roundAmount(netAmount), tax: roundAmount((netAmount * taxRate) / 100) };
+};
+
+// Group a period's records into one tax line per subcategory with discounts
+// allocated to the lines they belong to
+const collectTaxableLines = (records) => {
+  const lines = new Map();
+
+  const lineFor = (subcategoryId) => {
+    const key = subcategoryId.toString();
+    if (!lines.has(key)) {
+      lines.set(key, { subcategory: subcategoryId, quantity: 0, grossAmount: 0, discount: 0 });
+    }
+    return lines.get(key);
+  };
+
+  records.forEach(record => {
+    const grossBySubcategory = new Map();
+    record.deliverySchedule.forEach(delivery => {
+      delivery.milkItems.forEach(item => {
+        const line = lineFor(item.subcategory);
+        line.quantity += item.quantity;
+        line.grossAmount += item.totalPrice;
+        const key = item.subcategory.toString();
+        grossBySubcategory.set(key, (grossBySubcategory.get(key) || 0) + item.totalPrice);
+      });
+    });
+
+    const recordGross = [...grossBySubcategory.values()].reduce((sum, amount) => sum + amount, 0);
+    (record.discounts || []).forEach(discount => {
+      if (discount.subcategory) {
+        lineFor(discount.subcategory).discount += discount.amount;
+      } else if (recordGross > 0) {
+        // Discounts on the whole delivery are shared by value
+        grossBySubcategory.forEach((gross, key) => {
+          lines.get(key).discount += (discount.amount * gross) / recordGross;
+        });
+      }
+    });
+  });
+
+  return [...lines.values()];
+};
+
+// Work out the GST breakup for an invoice built from these records. Returns
+// null when the dairy has no GSTIN configured (plain bill, no tax).
+const calculateInvoiceTax = async (records, customer, config) => {
+  if (!config?.gstin) return null;
+
+  const lines = collectTaxableLines(records);
+  const subcategories = await Subcategory.find({ _id: { $in: lines.map(line => line.subcategory) } })
+    .populate('category', 'name hsnCode taxRate');
+
+  const supplierState = config.stateCode || config.gstin.slice(0, 2);
+  const placeOfSupply = customer.stateCode || (customer.gstin ? customer.gstin.slice(0, 2) : supplierState);
+  const isInterState = placeOfSupply !== supplierState;
+  const pricesIncludeTax = config.pricesIncludeTax !== false;
+
+  const taxLines = lines.map(line => {
+    const subcategory = subcategories.find(s => s._id.toString() === line.subcategory.toString());
+    const { hsnCode, taxRate } = getTaxProfile(subcategory);
+    const netAmount = roundAmount(line.grossAmount - line.discount);
+    const { taxableValue, tax } = splitTax(netAmount, taxRate, pricesIncludeTax);
+    const cgst = isInterState ? 0 : roundAmount(tax / 2);
+    const sgst = isInterState ? 0 : roundAmount(tax - cgst);
+    const igst = isInterState ? tax : 0;
+
+    return {
+      subcategory: line.subcategory,
+      description: subcategory
+        ? [subcategory.category?.name, subcategory.name].filter(Boolean).join(' - ')
+        : 'Milk',
+      hsnCode,
+      quantity: line.quantity,
+      grossAmount: roundAmount(line.grossAmount),
+      discount: roundAmount(line.discount),
+      taxableValue,
+      taxRate,
+      cgst,
+      sgst,
+      igst,
+      totalAmount: roundAmount(taxableValue + tax),
+    };
+  });
+
+  const sum = (field) => roundAmount(taxLines.reduce((total, line) => total + line[field], 0));
+
+  const tax = {
+    supplierGstin: config.gstin,
+    supplierState,
+    customerGstin: customer.gstin || undefined,
+    placeOfSupply,
+    isInterState,
+    supplyType: customer.gstin ? 'B2B' : 'B2C',
+    pricesIncludeTax,
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+  };
+  tax.totalTax = roundAmount(tax.cgst + tax.sgst + tax.igst);
+
+  return { tax, taxLines };
+};
+
+export {
+  GSTIN_PATTERN,
+  getTaxProfile,
+  splitTax,
+  collectTaxableLines,
+  calculateInvoiceTax,
+};
@@ -0,0 +1,59 @@
+import QRCode from 'qrcode';
+
+// UPI apps expect %20 rather than + for spaces, so URLSearchParams is not used
+const encodeUpiParam = (value) => encodeURIComponent(value).replace(/%40/g, '@');
+
+// upi://pay deep link (NPCI linking spec). amount is omitted when nothing is due,
+// leaving the customer to type it.
+const buildUpiLink = ({ vpa, payeeName, amount, note }) => {
+  const params = [['pa', vpa]];
+  if (payeeName) params.push(['pn', payeeName]);
+  if (amount > 0) params.push(['am', (Math.round(amount * 100) / 100).toFixed(2)]);
+  params.push(['cu', 'INR']);
+  if (note) params.push(['tn', note]);
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeUpiParam(value)}`).join('&')}`;
+};
+
+// Link for paying what is still due on an invoice, with the invoice number as the note
+const buildInvoiceUpiLink = (invoice, { upiId, companyName }) => buildUpiLink({
+  vpa: upiId,
+  payeeName: companyName,
+  amount: invoice.dueAmount,
+  note: invoice.invoiceNumber,
+});
+
+// Draw a QR code as vector squares so it stays sharp when printed (pdfkit, synchronous)
+const drawQrCode = (doc, text, x, y, size) => {
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  // Two module quiet zone on each side
+  const cell = size / (modules.size + 4);
+
+  doc.save();
+  doc.rect(x, y, size, size).fill('white');
+  doc.fillColor('black');
+  for (let row = 0; row < modules.size; row++) {
+    for (let col = 0; col < modules.size; col++) {
+      if (modules.get(row, col)) {
+        doc.rect(x + (col + 2) * cell, y + (row + 2) * cell, cell, cell);
+      }
+    }
+  }
+  doc.fill();
+  doc.restore();
+};
+
+// PNG buffer or SVG markup of a QR code, for apps that show the code themselves
+const generateQrImage = (text, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2, width: 512 };
+  return format === 'svg'
+    ? QRCode.toString(text, { ...options, type: 'svg' })
+    : QRCode.toBuffer(text, { ...options, type: 'png' });
+};
+
+export {
+  buildUpiLink,
+  buildInvoiceUpiLink,
+  drawQrCode,
+  generateQrImage,
+};
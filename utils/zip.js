@@ -0,0 +1,138 @@
+import zlib from 'zlib';
+import { once } from 'events';
+import { pipeline } from 'stream/promises';
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer, previous = 0) => {
+  let crc = previous ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time as stored in zip headers (local time, 2 second resolution)
+const toDosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+// Bit 3: sizes and CRC follow the data; bit 11: file names are UTF-8
+const GENERAL_PURPOSE_FLAGS = 0x0808;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+
+// Write a zip archive straight to `output` one entry at a time, so only the
+// entry being added is ever held in memory. Await each addEntry before the next.
+const createZipWriter = (output) => {
+  const entries = [];
+  let offset = 0;
+
+  const write = async (buffer) => {
+    offset += buffer.length;
+    if (output.destroyed) {
+      throw new Error('Output stream closed');
+    }
+    if (!output.write(buffer)) {
+      // Stop waiting if the client goes away mid-download
+      await Promise.race([once(output, 'drain'), once(output, 'close')]);
+      if (output.destroyed) {
+        throw new Error('Output stream closed');
+      }
+    }
+  };
+
+  const addEntry = async (name, source, modifiedAt = new Date()) => {
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = toDosDateTime(modifiedAt);
+    const headerOffset = offset;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 6);
+    header.writeUInt16LE(METHOD_DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes (14-25) are left zero and sent in the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    await write(Buffer.concat([header, fileName]));
+
+    let crc = 0;
+    let size = 0;
+    let compressedSize = 0;
+
+    await pipeline(
+      source,
+      async function* (chunks) {
+        for await (const chunk of chunks) {
+          crc = crc32(chunk, crc);
+          size += chunk.length;
+          yield chunk;
+        }
+      },
+      zlib.createDeflateRaw(),
+      async (chunks) => {
+        for await (const chunk of chunks) {
+          compressedSize += chunk.length;
+          await write(chunk);
+        }
+      }
+    );
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(crc, 4);
+    descriptor.writeUInt32LE(compressedSize, 8);
+    descriptor.writeUInt32LE(size, 12);
+    await write(descriptor);
+
+    entries.push({ fileName, time, date, crc, size, compressedSize, headerOffset });
+  };
+
+  // Write the central directory and end the output
+  const finalize = async () => {
+    const directoryOffset = offset;
+
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(VERSION, 4);
+      record.writeUInt16LE(VERSION, 6);
+      record.writeUInt16LE(GENERAL_PURPOSE_FLAGS, 8);
+      record.writeUInt16LE(METHOD_DEFLATE, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.fileName.length, 28);
+      record.writeUInt32LE(entry.headerOffset, 42);
+      await write(Buffer.concat([record, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await write(end);
+
+    output.end();
+  };
+
+  return { addEntry, finalize };
+};
+
+export {
+  crc32,
+  createZipWriter,
+};